@@ -16,8 +16,20 @@ import orgChartRoutes from "./routes/orgChart.routes.js";
 import accountChangeRequestRoutes from "./routes/accountChangeRequestRoutes.js";
 import clientAddressRoutes from "./routes/addressRoutes.js";
 import schemeRoutes from "./routes/schemeRoutes.js";
+import ledgerRoutes from "./routes/ledgerRoutes.js";
+import settlementRoutes from "./routes/settlementRoutes.js";
+import paymentRoutes from "./routes/paymentRoutes.js";
+import installmentRoutes from "./routes/installmentRoutes.js";
+import agentRoutes from "./routes/agentRoutes.js";
+import accountClosureRoutes from "./routes/accountClosureRoutes.js";
+import kycRoutes from "./routes/kycRoutes.js";
+import settingsRoutes from "./routes/settingsRoutes.js";
 
 import { startMaturityCron } from "./cron/updateMaturedAccounts.js";
+import { startReconciliationCron } from "./cron/reconcileBalances.js";
+import { startPenaltyCron } from "./cron/assessPenalties.js";
+import { startInstallmentCron } from "./cron/installments.js";
+import { startDefaulterCron } from "./cron/classifyDefaulters.js";
 import { notFound, errorHandler } from "./middleware/errorMiddleware.js";
 import { auditLogger } from "./middleware/auditMiddleware.js";
 import superAdminRoutes from "./routes/superAdminRoutes.js";
@@ -27,14 +39,25 @@ const app = express();
 
 // Middlewares
 app.use(cors());
-app.use(express.json());
+// Keep the raw body of gateway webhooks — signatures are computed over the exact bytes
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook")) req.rawBody = buf;
+    },
+  })
+);
 app.use(morgan("dev"));
 
 // ✅ Audit logger before routes (logs every request)
 app.use(auditLogger);
 
-// ✅ Start cron job
+// ✅ Start cron jobs
 startMaturityCron();
+startReconciliationCron();
+startPenaltyCron();
+startInstallmentCron();
+startDefaulterCron();
 
 // ✅ Root route
 app.get("/", (req, res) => {
@@ -68,6 +91,14 @@ app.use("/api/org-chart", orgChartRoutes);
 app.use("/api/account-change-requests", accountChangeRequestRoutes);
 app.use("/api/clients", clientAddressRoutes);
 app.use("/api/schemes", schemeRoutes);
+app.use("/api/ledger", ledgerRoutes);
+app.use("/api/settlements", settlementRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/installments", installmentRoutes);
+app.use("/api/agents", agentRoutes);
+app.use("/api/account-closures", accountClosureRoutes);
+app.use("/api/kyc", kycRoutes);
+app.use("/api/settings", settingsRoutes);
 
 // Not found + error handlers
 app.use(notFound);
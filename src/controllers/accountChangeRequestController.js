@@ -16,6 +16,9 @@ export const createChangeRequest = async (req, res) => {
     if (!account) {
       return res.status(404).json({ message: "Account not found" });
     }
+    if (account.status === "Closed") {
+      return res.status(409).json({ message: "Closed accounts are read-only" });
+    }
 
     // Capture only relevant old values for audit trail
     const oldValues = {
@@ -0,0 +1,281 @@
+// controllers/accountClosureController.js
+import Account from "../models/Account.js";
+import AccountClosure from "../models/AccountClosure.js";
+import User from "../models/User.js";
+import { PAYOUT_MODES } from "../models/Payout.js";
+import { getScope } from "../utils/scopeHelper.js";
+import { logAudit } from "../utils/auditLogger.js";
+import { sendFirebaseNotification } from "../utils/sendFirebaseNotification.js";
+import { quoteClosure, approveClosure } from "../services/closureService.js";
+
+// Account by id within the caller's scope (same rules as getAccounts)
+const findScopedAccount = async (req, id) => {
+  const scope = await getScope(req.user);
+
+  const filter = { _id: id, companyId: req.user.companyId };
+  if (!scope.isAll) {
+    if (req.user.role === "Manager") {
+      filter.assignedAgent = { $in: scope.agents };
+    } else if (req.user.role === "Agent") {
+      filter.assignedAgent = req.user.id;
+    } else if (req.user.role === "User") {
+      filter.userId = req.user.id;
+    }
+  }
+  return Account.findOne(filter);
+};
+
+const notifyParties = async (closure, title, body) => {
+  try {
+    const users = await User.find({ _id: { $in: [closure.requestedBy, closure.userId] } }).select("fcmToken");
+    for (const user of users) {
+      if (!user.fcmToken) continue;
+      await sendFirebaseNotification(user.fcmToken, title, body, {
+        type: "account_closure",
+        closureId: closure._id.toString(),
+        status: closure.status,
+      });
+    }
+  } catch (err) {
+    console.error("⚠️ Closure notification failed:", err.message);
+  }
+};
+
+// GET /api/accounts/:id/closure-quote → settlement if the account were closed today
+export const getClosureQuote = async (req, res, next) => {
+  try {
+    const account = await findScopedAccount(req, req.params.id);
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+
+    const quote = await quoteClosure(account);
+    if (!quote.ok) {
+      return res.status(409).json({ message: quote.message, reason: quote.reason, details: quote.details });
+    }
+
+    res.json({ accountId: account._id, accountNumber: account.accountNumber, ...quote.settlement });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/accounts/:id/closure-requests → Agent / client asks to close (premature or on maturity)
+export const requestClosure = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const account = await findScopedAccount(req, req.params.id);
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+
+    const quote = await quoteClosure(account);
+    if (!quote.ok) {
+      await logAudit({
+        action: "REQUEST_ACCOUNT_CLOSURE_FAILED",
+        entityType: "Account",
+        entityId: account._id,
+        details: { reason: quote.reason },
+        reqUser: req.user,
+      });
+      return res.status(409).json({ message: quote.message, reason: quote.reason, details: quote.details });
+    }
+    if (quote.settlement.closureType === "Premature" && (!reason || !reason.trim())) {
+      res.status(400);
+      throw new Error("A reason is required to close an account before maturity");
+    }
+
+    let closure;
+    try {
+      closure = await AccountClosure.create({
+        companyId: account.companyId,
+        accountId: account._id,
+        userId: account.userId,
+        assignedAgent: account.assignedAgent,
+        requestedBy: req.user.id,
+        reason: reason?.trim(),
+        quote: quote.settlement,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        res.status(409);
+        throw new Error("A closure request is already pending for this account");
+      }
+      throw err;
+    }
+
+    await logAudit({
+      action: "REQUEST_ACCOUNT_CLOSURE",
+      entityType: "AccountClosure",
+      entityId: closure._id,
+      details: {
+        accountId: account._id,
+        closureType: quote.settlement.closureType,
+        payoutAmount: quote.settlement.payoutAmount,
+      },
+      reqUser: req.user,
+    });
+
+    res.status(201).json({ message: "Closure request submitted for approval", closure });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/account-closures?status=Pending → closure requests within scope
+export const getClosureRequests = async (req, res, next) => {
+  try {
+    const scope = await getScope(req.user);
+    const filter = { companyId: req.user.companyId, status: req.query.status || "Pending" };
+
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.assignedAgent = { $in: scope.agents };
+      } else if (req.user.role === "Agent") {
+        filter.assignedAgent = req.user.id;
+      } else if (req.user.role === "User") {
+        filter.userId = req.user.id;
+      }
+    }
+
+    const closures = await AccountClosure.find(filter)
+      .populate("accountId", "accountNumber clientName paymentMode maturityDate status")
+      .populate("requestedBy", "name role")
+      .populate("reviewedBy", "name")
+      .populate("payoutId")
+      .sort({ createdAt: -1 });
+
+    res.json(closures);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/account-closures/:id/approve → Admin approves and records the payout
+export const approveClosureRequest = async (req, res, next) => {
+  try {
+    const { payoutMode, payoutReference, note } = req.body;
+
+    if (!PAYOUT_MODES.includes(payoutMode)) {
+      res.status(400);
+      throw new Error(`payoutMode must be one of ${PAYOUT_MODES.join(", ")}`);
+    }
+    if (payoutMode !== "Cash" && (!payoutReference || !String(payoutReference).trim())) {
+      res.status(400);
+      throw new Error("payoutReference is required for non-cash payouts");
+    }
+
+    const existing = await AccountClosure.findOne({ _id: req.params.id, companyId: req.user.companyId });
+    if (!existing) {
+      res.status(404);
+      throw new Error("Closure request not found");
+    }
+
+    const result = await approveClosure({
+      closureId: existing._id,
+      payoutMode,
+      payoutReference: payoutReference ? String(payoutReference).trim() : undefined,
+      note,
+      reviewerId: req.user.id,
+    });
+    if (!result.ok) {
+      await logAudit({
+        action: "APPROVE_ACCOUNT_CLOSURE_FAILED",
+        entityType: "AccountClosure",
+        entityId: existing._id,
+        details: { reason: result.reason },
+        reqUser: req.user,
+      });
+      return res.status(409).json({ message: result.message, reason: result.reason, details: result.details });
+    }
+
+    const { closure, payout } = result;
+    await logAudit({
+      action: "APPROVE_ACCOUNT_CLOSURE",
+      entityType: "AccountClosure",
+      entityId: closure._id,
+      details: {
+        accountId: closure.accountId,
+        settlement: closure.settlement,
+        payoutId: payout?._id,
+        payoutMode,
+      },
+      reqUser: req.user,
+    });
+
+    await notifyParties(
+      closure,
+      "Account Closed ✅",
+      `Your account has been closed. Settlement amount: ₹${closure.settlement.payoutAmount.toLocaleString("en-IN")}`
+    );
+
+    res.json({ message: "Account closed and payout recorded", closure, payout });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/account-closures/:id/reject → Admin rejects (note required)
+export const rejectClosureRequest = async (req, res, next) => {
+  try {
+    const { note } = req.body;
+    if (!note || !note.trim()) {
+      res.status(400);
+      throw new Error("A note is required to reject a closure request");
+    }
+
+    const closure = await AccountClosure.findOneAndUpdate(
+      { _id: req.params.id, companyId: req.user.companyId, status: "Pending" },
+      { $set: { status: "Rejected", reviewedBy: req.user.id, reviewedAt: new Date(), reviewNote: note.trim() } },
+      { new: true }
+    );
+    if (!closure) {
+      res.status(404);
+      throw new Error("Pending closure request not found");
+    }
+
+    await logAudit({
+      action: "REJECT_ACCOUNT_CLOSURE",
+      entityType: "AccountClosure",
+      entityId: closure._id,
+      details: { accountId: closure.accountId, note: closure.reviewNote },
+      reqUser: req.user,
+    });
+
+    await notifyParties(closure, "Closure Request Rejected", closure.reviewNote);
+
+    res.json({ message: "Closure request rejected", closure });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/account-closures/:id/cancel → requester withdraws a pending request
+export const cancelClosureRequest = async (req, res, next) => {
+  try {
+    const closure = await AccountClosure.findOneAndUpdate(
+      { _id: req.params.id, companyId: req.user.companyId, requestedBy: req.user.id, status: "Pending" },
+      { $set: { status: "Cancelled" } },
+      { new: true }
+    );
+    if (!closure) {
+      res.status(404);
+      throw new Error("Pending closure request not found");
+    }
+
+    await logAudit({
+      action: "CANCEL_ACCOUNT_CLOSURE",
+      entityType: "AccountClosure",
+      entityId: closure._id,
+      details: { accountId: closure.accountId },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "Closure request cancelled", closure });
+  } catch (err) {
+    next(err);
+  }
+};
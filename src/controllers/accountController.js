@@ -1,8 +1,30 @@
+import mongoose from "mongoose";
 import Account from "../models/Account.js";
 import User from "../models/User.js";
 import Deposit from "../models/Deposit.js";
 import { getScope } from "../utils/scopeHelper.js";
-import { generateAccountNumber } from "../utils/accountHelper.js";
+import { generateAccountNumber, getNumberingSettings, templateUsesBranch } from "../services/accountNumberService.js";
+import PenaltyCharge from "../models/PenaltyCharge.js";
+import { logAudit } from "../utils/auditLogger.js";
+import { collectPenaltyCharges, getPenaltySummary, waivePenaltyCharge } from "../services/penaltyService.js";
+import Installment from "../models/Installment.js";
+import { generateSchedule, rebuildSchedule, summarizeInstallments } from "../services/installmentService.js";
+import { parseInstallmentQuery } from "./installmentController.js";
+import { getAccountInterest } from "../services/interestService.js";
+import { getKycSettings } from "../services/documentService.js";
+import { presentAccounts, kycSearchIndex } from "../utils/kycFields.js";
+import { checkTransition, transitionAccount, getStatusHistory } from "../services/accountLifecycleService.js";
+import { quoteRollover, rollOverClosure } from "../services/closureService.js";
+import { getAccountScheme } from "../utils/accountHelper.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import {
+  STATEMENT_FORMATS,
+  parseStatementPeriod,
+  buildStatementData,
+  renderStatementCsv,
+  renderStatementPdf,
+  statementFileName,
+} from "../services/statementService.js";
 
 // GET Accounts with role-based filtering + query params + populate
 export const getAccounts = async (req, res, next) => {
@@ -37,18 +59,76 @@ export const getAccounts = async (req, res, next) => {
       filter.schemeType = req.query.schemeType; // e.g. ?schemeType=RD
     }
 
+    // Exact match on the encrypted identity numbers via their blind index
+    if (req.query.aadhar) {
+      filter.aadharIndex = kycSearchIndex("aadharCardNumber", req.query.aadhar); // e.g. ?aadhar=123412341234
+    }
+    if (req.query.pan) {
+      filter.panIndex = kycSearchIndex("panNumber", req.query.pan); // e.g. ?pan=ABCDE1234F
+    }
+
     // Fetch accounts - newest first
     const accounts = await Account.find(filter)
       .populate("userId", "name email")       // show client info
       .populate("assignedAgent", "name email") // show agent info
       .sort({ createdAt: -1 });                // sort by creation date (newest first)
 
-    res.json(accounts);
+    res.json(await presentAccounts(accounts, req.user));
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * Duration, payment mode amounts, total payable and maturity date of a new account
+ * @returns {Object} { plan } or { error }
+ */
+const buildPaymentPlan = ({ durationMonths, paymentMode, installmentAmount, dailyDepositAmount, monthlyTarget, yearlyAmount }) => {
+  if (!durationMonths || durationMonths <= 0) return { error: "Duration (in months) is required" };
+  if (!["Yearly", "Monthly", "Daily"].includes(paymentMode)) {
+    return { error: "Payment mode must be Yearly, Monthly or Daily" };
+  }
+
+  let totalPayableAmount = 0;
+  let target = monthlyTarget;
+
+  if (paymentMode === "Yearly") {
+    if (!yearlyAmount || yearlyAmount <= 0) return { error: "Yearly accounts require a valid yearlyAmount" };
+    totalPayableAmount = yearlyAmount;
+  }
+
+  if (paymentMode === "Monthly") {
+    if (!installmentAmount || installmentAmount <= 0) return { error: "Monthly accounts require a valid installmentAmount" };
+    totalPayableAmount = installmentAmount * durationMonths;
+  }
+
+  if (paymentMode === "Daily") {
+    if (!dailyDepositAmount || dailyDepositAmount <= 0) return { error: "Daily accounts require a valid dailyDepositAmount" };
+    if (!target || target <= 0) {
+      // auto-calc monthlyTarget from dailyDepositAmount if not provided
+      target = dailyDepositAmount * 30;
+    }
+    totalPayableAmount = target * durationMonths;
+  }
+
+  const maturityDate = new Date();
+  maturityDate.setMonth(maturityDate.getMonth() + durationMonths);
+
+  return {
+    plan: {
+      durationMonths,
+      maturityDate,
+      paymentMode,
+      yearlyAmount: paymentMode === "Yearly" ? yearlyAmount : null,
+      installmentAmount: paymentMode === "Monthly" ? installmentAmount : null,
+      dailyDepositAmount: paymentMode === "Daily" ? dailyDepositAmount : null,
+      monthlyTarget: paymentMode === "Daily" ? target : null,
+      totalPayableAmount,
+      isFullyPaid: paymentMode === "Yearly" ? false : undefined,
+    },
+  };
+};
+
 // CREATE Account with role and scope checks
 export const createAccount = async (req, res, next) => {
   try {
@@ -57,12 +137,7 @@ export const createAccount = async (req, res, next) => {
       schemeType,
       userId,
       assignedAgent,
-      durationMonths,
       paymentMode,
-      installmentAmount,
-      dailyDepositAmount,
-      monthlyTarget,
-      yearlyAmount, // only for Yearly
 
       // ✅ New fields
       aadharCardNumber,
@@ -72,7 +147,8 @@ export const createAccount = async (req, res, next) => {
       nomineeRelation,
       remarks,
       lastPaymentDate,
-      clientSignature
+      clientSignature,
+      branchCode
     } = req.body;
 
     // 1. Validation: Client must exist
@@ -82,52 +158,19 @@ export const createAccount = async (req, res, next) => {
       throw new Error("Invalid client");
     }
 
-    // 2. Duration validation
-    if (!durationMonths || durationMonths <= 0) {
-      res.status(400);
-      throw new Error("Duration (in months) is required");
+    const kycSettings = await getKycSettings(req.user.companyId);
+    if (kycSettings.requireVerifiedForAccounts && client.kyc?.status !== "Verified") {
+      res.status(409);
+      throw new Error("Client's KYC must be verified before an account can be opened");
     }
 
-    // 3. Payment mode validation
-    if (!["Yearly", "Monthly", "Daily"].includes(paymentMode)) {
+    // 2-4. Duration, payment mode amounts, total payable and maturity date
+    const { plan, error: planError } = buildPaymentPlan(req.body);
+    if (planError) {
       res.status(400);
-      throw new Error("Payment mode must be Yearly, Monthly or Daily");
-    }
-
-    let totalPayableAmount = 0;
-
-    if (paymentMode === "Yearly") {
-      if (!yearlyAmount || yearlyAmount <= 0) {
-        res.status(400);
-        throw new Error("Yearly accounts require a valid yearlyAmount");
-      }
-      totalPayableAmount = yearlyAmount;
-    }
-
-    if (paymentMode === "Monthly") {
-      if (!installmentAmount || installmentAmount <= 0) {
-        res.status(400);
-        throw new Error("Monthly accounts require a valid installmentAmount");
-      }
-      totalPayableAmount = installmentAmount * durationMonths;
+      throw new Error(planError);
     }
 
-    if (paymentMode === "Daily") {
-      if (!dailyDepositAmount || dailyDepositAmount <= 0) {
-        res.status(400);
-        throw new Error("Daily accounts require a valid dailyDepositAmount");
-      }
-      if (!monthlyTarget || monthlyTarget <= 0) {
-        // auto-calc monthlyTarget from dailyDepositAmount if not provided
-        monthlyTarget = dailyDepositAmount * 30;
-      }
-      totalPayableAmount = monthlyTarget * durationMonths;
-    }
-
-    // 4. Calculate maturity date
-    const maturityDate = new Date();
-    maturityDate.setMonth(maturityDate.getMonth() + durationMonths);
-
     // 5. Role-based validation
     if (req.user.role === "Admin") {
       const agent = await User.findById(assignedAgent);
@@ -167,26 +210,36 @@ export const createAccount = async (req, res, next) => {
       }
     }
 
-    const accountNumber = await generateAccountNumber(paymentMode);
+    // 6. Branch (required when the company's account numbers include it)
+    const numbering = await getNumberingSettings(req.user.companyId);
+    const branch = branchCode ? String(branchCode).trim().toUpperCase() : undefined;
+    if (branch && !numbering.branches.some((b) => b.code === branch)) {
+      res.status(400);
+      throw new Error("Unknown branchCode");
+    }
+    if (!branch && templateUsesBranch(numbering.template)) {
+      res.status(400);
+      throw new Error("branchCode is required (it is part of the account number)");
+    }
 
-    // 6. Create account (with calculated total + new fields)
+    const accountNumber = await generateAccountNumber({
+      companyId: req.user.companyId,
+      paymentMode,
+      schemeType,
+      branchCode: branch,
+    });
+
+    // 7. Create account (with calculated total + new fields)
     const account = new Account({
       companyId: req.user.companyId,
       clientName,
       accountNumber,
+      branchCode: branch,
       schemeType,
       balance: 0,
       userId,
       assignedAgent,
-      durationMonths,
-      maturityDate,
-      paymentMode,
-      yearlyAmount: paymentMode === "Yearly" ? yearlyAmount : null,
-      installmentAmount: paymentMode === "Monthly" ? installmentAmount : null,
-      dailyDepositAmount: paymentMode === "Daily" ? dailyDepositAmount : null,
-      monthlyTarget: paymentMode === "Daily" ? monthlyTarget : null,
-      totalPayableAmount,
-      isFullyPaid: paymentMode === "Yearly" ? false : undefined,
+      ...plan,
       status: "Active",
       // ✅ New fields 
       aadharCardNumber,
@@ -199,8 +252,11 @@ export const createAccount = async (req, res, next) => {
       clientSignature
     });
 
-    await account.save();
-    res.status(201).json({ message: "Account created successfully", account });
+    await withTransaction(async (session) => {
+      await account.save(session ? { session } : {});
+      await generateSchedule(account, { session });
+    });
+    res.status(201).json({ message: "Account created successfully", account: await presentAccounts(account, req.user) });
   } catch (err) {
     next(err);
   }
@@ -214,12 +270,17 @@ export const updateAccount = async (req, res, next) => {
       res.status(404);
       throw new Error("Account not found");
     }
+    if (account.status === "Closed") {
+      res.status(409);
+      throw new Error("Closed accounts are read-only");
+    }
 
     const {
       userId,
       assignedAgent,
       durationMonths,
       status,
+      statusReason,
       paymentMode,
       installmentAmount,
       monthlyTarget,
@@ -293,13 +354,22 @@ export const updateAccount = async (req, res, next) => {
       account.maturityDate = maturityDate;
     }
 
-    // -------- Status update --------
+    // -------- Status update (lifecycle rules, see accountLifecycleService) --------
+    // Checked here, applied with the save below as a compare-and-set on the current status
     if (status) {
-      if (!["Active", "OnTrack", "Pending", "Matured", "Closed", "Defaulter"].includes(status)) {
+      if (status === "Closed") {
         res.status(400);
-        throw new Error("Invalid status");
+        throw new Error("Accounts are closed through a closure request");
+      }
+      const invalid = checkTransition(account.status, status);
+      if (invalid) {
+        res.status(invalid.reason === "INVALID_STATUS" ? 400 : 409);
+        throw new Error(invalid.message);
+      }
+      if (status === "Matured" && account.maturityDate > new Date()) {
+        res.status(400);
+        throw new Error("Account can't be marked Matured before its maturity date");
       }
-      account.status = status;
     }
 
     // -------- Payment Mode --------
@@ -371,9 +441,35 @@ export const updateAccount = async (req, res, next) => {
     if (clientSignature !== undefined) account.clientSignature = clientSignature;
 
     // -------- Save final update --------
-    await account.save();
+    const scheduleChanged = account.isModified([
+      "durationMonths",
+      "maturityDate",
+      "paymentMode",
+      "installmentAmount",
+      "monthlyTarget",
+      "dailyDepositAmount",
+      "yearlyAmount",
+      "totalPayableAmount",
+    ]);
+    const updated = await withTransaction(async (session) => {
+      if (status && status !== account.status) {
+        const transition = await transitionAccount(account, status, {
+          reason: statusReason ? String(statusReason).trim() : undefined,
+          source: "Manual",
+          changedBy: req.user.id,
+          session,
+        });
+        if (!transition.ok) {
+          res.status(409);
+          throw new Error(transition.message);
+        }
+      }
+      await account.save(session ? { session } : {});
+      if (scheduleChanged) await rebuildSchedule(account, { session });
+      return Account.findById(account._id).session(session);
+    });
 
-    res.json({ message: "Account updated successfully", account });
+    res.json({ message: "Account updated successfully", account: await presentAccounts(updated, req.user) });
   } catch (err) {
     next(err);
   }
@@ -393,10 +489,16 @@ export const deleteAccount = async (req, res, next) => {
       throw new Error("Only Admin can delete accounts");
     }
 
-    await Deposit.deleteMany({ accountId: account._id });
+    // Deposit history is never deleted — accounts with entries must be closed instead
+    const hasDeposits = await Deposit.exists({ accountId: account._id });
+    if (hasDeposits) {
+      res.status(409);
+      throw new Error("Account has deposit history and cannot be deleted — request a closure instead");
+    }
+
     await account.deleteOne();
 
-    res.json({ message: "Account and related deposits deleted successfully" });
+    res.json({ message: "Account deleted successfully" });
   } catch (err) {
     next(err);
   }
@@ -427,7 +529,499 @@ export const getAccountByNumber = async (req, res, next) => {
       throw new Error("Account not found or not accessible");
     }
 
-    res.json(account);
+    const interest = await getAccountInterest(account);
+
+    res.json({ ...(await presentAccounts(account, req.user)), interest });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/accounts/:id/penalties → late fee charges + totals (same scope rules as accounts)
+export const getAccountPenalties = async (req, res, next) => {
+  try {
+    const scope = await getScope(req.user);
+
+    let filter = { _id: req.params.id, companyId: req.user.companyId };
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.assignedAgent = { $in: scope.agents };
+      } else if (req.user.role === "Agent") {
+        filter.assignedAgent = req.user.id;
+      } else if (req.user.role === "User") {
+        filter.userId = req.user.id;
+      }
+    }
+
+    const account = await Account.findOne(filter).select("accountNumber clientName penaltyDue");
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+
+    const summary = await getPenaltySummary(account._id);
+
+    res.json({ accountId: account._id, accountNumber: account.accountNumber, ...summary });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/accounts/:id/installments?status=&from=&to= → schedule with paid / missed tracking (same scope rules as accounts)
+export const getAccountInstallments = async (req, res, next) => {
+  try {
+    const scope = await getScope(req.user);
+
+    let filter = { _id: req.params.id, companyId: req.user.companyId };
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.assignedAgent = { $in: scope.agents };
+      } else if (req.user.role === "Agent") {
+        filter.assignedAgent = req.user.id;
+      } else if (req.user.role === "User") {
+        filter.userId = req.user.id;
+      }
+    }
+
+    const account = await Account.findOne(filter);
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+
+    // Accounts opened before schedules existed get theirs from the nightly refreshInstallments run
+    const query = parseInstallmentQuery(req, res);
+
+    const [summary, installments] = await Promise.all([
+      summarizeInstallments({ accountId: account._id }),
+      Installment.find({ accountId: account._id, ...query }).sort({ seq: 1 }).lean(),
+    ]);
+
+    res.json({
+      accountId: account._id,
+      accountNumber: account.accountNumber,
+      paymentMode: account.paymentMode,
+      summary,
+      installments,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Cheques aren't accepted for late fees: a bounce would leave the charge marked Paid
+const PENALTY_PAYMENT_METHODS = ["Cash", "UPI", "BankTransfer", "Online"];
+
+// POST /api/accounts/:id/penalties/collect → collect open late fees in full (same scope rules as accounts)
+// Body: { chargeIds?: string[], paymentMethod?: "Cash" | "UPI" | "BankTransfer" | "Online" } — omit chargeIds to collect all
+export const collectAccountPenalties = async (req, res, next) => {
+  try {
+    const { chargeIds, paymentMethod = "Cash" } = req.body || {};
+
+    if (!PENALTY_PAYMENT_METHODS.includes(paymentMethod)) {
+      res.status(400);
+      throw new Error(`paymentMethod must be one of ${PENALTY_PAYMENT_METHODS.join(", ")}`);
+    }
+    if (chargeIds !== undefined) {
+      if (!Array.isArray(chargeIds) || chargeIds.length === 0 || chargeIds.some((id) => !mongoose.isValidObjectId(id))) {
+        res.status(400);
+        throw new Error("chargeIds must be a non-empty array of charge IDs");
+      }
+    }
+
+    const scope = await getScope(req.user);
+
+    let filter = { _id: req.params.id, companyId: req.user.companyId };
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.assignedAgent = { $in: scope.agents };
+      } else if (req.user.role === "Agent") {
+        filter.assignedAgent = req.user.id;
+      }
+    }
+
+    const account = await Account.findOne(filter).select("accountNumber status");
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+
+    const charges = await PenaltyCharge.find({
+      accountId: account._id,
+      status: "Due",
+      ...(chargeIds ? { _id: { $in: chargeIds } } : {}),
+    }).sort({ periodStart: 1 });
+    if (charges.length === 0 || (chargeIds && charges.length !== new Set(chargeIds).size)) {
+      res.status(400);
+      throw new Error(chargeIds ? "Some penalty charges are not open on this account" : "No open penalties on this account");
+    }
+
+    const collected = await collectPenaltyCharges(charges, { paymentMethod, collectedBy: req.user.id });
+    const total = collected.reduce((sum, c) => sum + c.amount, 0);
+
+    await logAudit({
+      action: "COLLECT_PENALTY",
+      entityType: "Account",
+      entityId: account._id,
+      details: {
+        accountNumber: account.accountNumber,
+        paymentMethod,
+        total,
+        periods: collected.map((c) => c.period),
+      },
+      reqUser: req.user,
+    });
+
+    res.json({ message: `${collected.length} penalty charge(s) collected`, total, charges: collected });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/accounts/:id/penalties/:chargeId/waive → Admin waives an open late fee
+export const waiveAccountPenalty = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      res.status(400);
+      throw new Error("A reason is required to waive a penalty");
+    }
+
+    const charge = await PenaltyCharge.findOne({
+      _id: req.params.chargeId,
+      accountId: req.params.id,
+      companyId: req.user.companyId,
+    });
+    if (!charge) {
+      res.status(404);
+      throw new Error("Penalty charge not found");
+    }
+    if (charge.status !== "Due") {
+      res.status(400);
+      throw new Error(`Penalty is already ${charge.status.toLowerCase()}`);
+    }
+
+    await waivePenaltyCharge(charge, { reason: reason.trim(), waivedBy: req.user.id });
+
+    await logAudit({
+      action: "WAIVE_PENALTY",
+      entityType: "PenaltyCharge",
+      entityId: charge._id,
+      details: {
+        accountId: charge.accountId,
+        period: charge.period,
+        amount: charge.amount,
+        reason: charge.waiverReason,
+      },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "Penalty waived successfully", charge });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/accounts/:id/statement?from=&to=&format=pdf|csv → passbook-style statement (same scope rules as accounts)
+export const getAccountStatement = async (req, res, next) => {
+  try {
+    const format = String(req.query.format || "pdf").toLowerCase();
+    if (!STATEMENT_FORMATS.includes(format)) {
+      res.status(400);
+      throw new Error(`format must be one of ${STATEMENT_FORMATS.join(", ")}`);
+    }
+
+    const scope = await getScope(req.user);
+
+    let filter = { _id: req.params.id, companyId: req.user.companyId };
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.assignedAgent = { $in: scope.agents };
+      } else if (req.user.role === "Agent") {
+        filter.assignedAgent = req.user.id;
+      } else if (req.user.role === "User") {
+        filter.userId = req.user.id;
+      }
+    }
+
+    const account = await Account.findOne(filter);
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+
+    const period = parseStatementPeriod(account, req.query);
+    if (!period) {
+      res.status(400);
+      throw new Error("from / to must be valid dates (YYYY-MM-DD) with from on or before to");
+    }
+
+    const data = await buildStatementData(account, period);
+    const filename = statementFileName(account, period);
+
+    await logAudit({
+      action: "DOWNLOAD_ACCOUNT_STATEMENT",
+      entityType: "Account",
+      entityId: account._id,
+      details: { from: period.from, to: period.to, format },
+      reqUser: req.user,
+    });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.send(renderStatementCsv(data));
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+
+    const doc = renderStatementPdf(data);
+    doc.on("error", (err) => next(err));
+    doc.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/accounts/:id/status-history?page=&limit= → status changes, newest first (same scope rules as accounts)
+export const getAccountStatusHistory = async (req, res, next) => {
+  try {
+    const scope = await getScope(req.user);
+
+    let filter = { _id: req.params.id, companyId: req.user.companyId };
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.assignedAgent = { $in: scope.agents };
+      } else if (req.user.role === "Agent") {
+        filter.assignedAgent = req.user.id;
+      } else if (req.user.role === "User") {
+        filter.userId = req.user.id;
+      }
+    }
+
+    const account = await Account.findOne(filter).select("accountNumber status");
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const history = await getStatusHistory(account._id, { skip: (page - 1) * limit, limit });
+
+    res.json({ accountId: account._id, accountNumber: account.accountNumber, status: account.status, page, limit, history });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/accounts/:id/renew → new account for the same client and agent from a matured one
+// { schemeType?, durationMonths, paymentMode, installmentAmount | dailyDepositAmount (monthlyTarget) | yearlyAmount,
+//   moveBalance?, branchCode?, remarks? } — nominee and KYC carry over; moveBalance closes the matured
+// account and moves its settlement in as the opening credit (Admin only, it approves the closure).
+// Clients (User) can renew their own accounts without moving the balance.
+export const renewAccount = async (req, res, next) => {
+  try {
+    const scope = await getScope(req.user);
+
+    let filter = { _id: req.params.id, companyId: req.user.companyId };
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.assignedAgent = { $in: scope.agents };
+      } else if (req.user.role === "Agent") {
+        filter.assignedAgent = req.user.id;
+      } else if (req.user.role === "User") {
+        filter.userId = req.user.id;
+      }
+    }
+
+    const account = await Account.findOne(filter).select("+aadharIndex +panIndex");
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+    if (account.renewedToAccountId) {
+      res.status(409);
+      throw new Error("Account has already been renewed");
+    }
+    if (account.status !== "Matured") {
+      res.status(409);
+      throw new Error("Only matured accounts can be renewed");
+    }
+
+    const { schemeType = account.schemeType, moveBalance = false, remarks } = req.body;
+    if (typeof moveBalance !== "boolean") {
+      res.status(400);
+      throw new Error("moveBalance must be true or false");
+    }
+    // Moving the balance closes the matured account, which only an Admin may approve
+    if (moveBalance && req.user.role !== "Admin") {
+      res.status(403);
+      throw new Error("Only an Admin can move the balance of a matured account");
+    }
+
+    const { plan, error: planError } = buildPaymentPlan(req.body);
+    if (planError) {
+      res.status(400);
+      throw new Error(planError);
+    }
+
+    const scheme = await getAccountScheme({ schemeType, companyId: req.user.companyId });
+    if (!scheme || !scheme.isActive) {
+      res.status(400);
+      throw new Error("Unknown or inactive schemeType");
+    }
+    if (!Number.isInteger(plan.durationMonths) || plan.durationMonths < scheme.minTerm || plan.durationMonths > scheme.maxTerm) {
+      res.status(400);
+      throw new Error(`durationMonths must be a whole number between ${scheme.minTerm} and ${scheme.maxTerm}`);
+    }
+
+    const client = await User.findById(account.userId).select("kyc");
+    const kycSettings = await getKycSettings(req.user.companyId);
+    if (kycSettings.requireVerifiedForAccounts && client?.kyc?.status !== "Verified") {
+      res.status(409);
+      throw new Error("Client's KYC must be verified before an account can be opened");
+    }
+
+    // Same branch unless another one is picked
+    const numbering = await getNumberingSettings(req.user.companyId);
+    const branch = req.body.branchCode ? String(req.body.branchCode).trim().toUpperCase() : account.branchCode;
+    if (branch && !numbering.branches.some((b) => b.code === branch)) {
+      res.status(400);
+      throw new Error("Unknown branchCode");
+    }
+    if (!branch && templateUsesBranch(numbering.template)) {
+      res.status(400);
+      throw new Error("branchCode is required (it is part of the account number)");
+    }
+
+    // Checked up front too, so nothing is written when the balance can't move
+    if (moveBalance) {
+      const quote = await quoteRollover(account);
+      if (!quote.ok) {
+        res.status(409);
+        throw new Error(quote.message);
+      }
+    }
+
+    const renewedId = new mongoose.Types.ObjectId();
+    let claimed = false;
+
+    const { renewed, rollover } = await withTransaction(async (session) => {
+      const opts = session ? { session } : {};
+
+      // Claim the matured account so it is renewed only once
+      const claim = await Account.updateOne(
+        { _id: account._id, renewedToAccountId: null },
+        { $set: { renewedToAccountId: renewedId } },
+        opts
+      );
+      if (claim.modifiedCount === 0) {
+        res.status(409);
+        throw new Error("Account has already been renewed");
+      }
+      claimed = true;
+
+      // Again under the claim, before anything is created (a closure request may have come in)
+      if (moveBalance) {
+        const quote = await quoteRollover(account, { session });
+        if (!quote.ok) {
+          res.status(409);
+          throw new Error(quote.message);
+        }
+      }
+
+      const accountNumber = await generateAccountNumber({
+        companyId: req.user.companyId,
+        paymentMode: plan.paymentMode,
+        schemeType,
+        branchCode: branch,
+        session,
+      });
+
+      const renewed = new Account({
+        _id: renewedId,
+        companyId: req.user.companyId,
+        clientName: account.clientName,
+        accountNumber,
+        branchCode: branch,
+        schemeType,
+        balance: 0,
+        userId: account.userId,
+        assignedAgent: account.assignedAgent,
+        ...plan,
+        status: "Active",
+        // Carried over — KYC numbers stay encrypted, their blind indexes come along
+        aadharCardNumber: account.aadharCardNumber,
+        panNumber: account.panNumber,
+        aadharIndex: account.aadharIndex,
+        panIndex: account.panIndex,
+        clientImage: account.clientImage,
+        clientSignature: account.clientSignature,
+        photoDocumentId: account.photoDocumentId,
+        signatureDocumentId: account.signatureDocumentId,
+        nomineeName: account.nomineeName,
+        nomineeRelation: account.nomineeRelation,
+        remarks,
+        renewedFromAccountId: account._id,
+      });
+      await renewed.save(opts);
+      await generateSchedule(renewed, { session });
+
+      // Last, so nothing after it can fail and leave the matured account closed into a dropped one
+      let rollover = null;
+      if (moveBalance) {
+        rollover = await rollOverClosure({ account, newAccount: renewed, reviewerId: req.user.id, session });
+        if (!rollover.ok) {
+          res.status(409);
+          throw new Error(rollover.message);
+        }
+        if (rollover.amount > 0) {
+          renewed.balance = rollover.amount;
+          renewed.openingCredit = rollover.amount;
+          await renewed.save(opts);
+        }
+      }
+
+      return { renewed, rollover };
+    }).catch(async (err) => {
+      // Without transactions nothing rolls back: drop the half-made account and release the claim
+      // (no-ops when the transaction was aborted)
+      if (claimed) {
+        await Installment.deleteMany({ accountId: renewedId });
+        await Account.deleteOne({ _id: renewedId });
+        await Account.updateOne({ _id: account._id, renewedToAccountId: renewedId }, { $set: { renewedToAccountId: null } });
+      }
+      throw err;
+    });
+
+    await logAudit({
+      action: "RENEW_ACCOUNT",
+      entityType: "Account",
+      entityId: renewed._id,
+      details: {
+        renewedFromAccountId: account._id,
+        accountNumber: renewed.accountNumber,
+        schemeType,
+        paymentMode: plan.paymentMode,
+        durationMonths: plan.durationMonths,
+        openingCredit: renewed.openingCredit,
+        closureId: rollover?.closure?._id,
+      },
+      reqUser: req.user,
+    });
+
+    res.status(201).json({
+      message: "Account renewed successfully",
+      account: await presentAccounts(renewed, req.user),
+      renewedFrom: {
+        accountId: account._id,
+        accountNumber: account.accountNumber,
+        status: rollover ? "Closed" : account.status,
+        closureId: rollover?.closure?._id || null,
+      },
+    });
   } catch (err) {
     next(err);
   }
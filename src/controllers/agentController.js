@@ -0,0 +1,117 @@
+// controllers/agentController.js
+import mongoose from "mongoose";
+import Account from "../models/Account.js";
+import User from "../models/User.js";
+import AgentVisit, { VISIT_OUTCOMES } from "../models/AgentVisit.js";
+import { buildRoutePlan } from "../services/routePlanService.js";
+import { isValidCoordinate } from "../utils/geo.js";
+import { logAudit } from "../utils/auditLogger.js";
+
+// GET /api/agents/me/route-plan?lat=&lng= → today's due clients in visiting order
+export const getMyRoutePlan = async (req, res, next) => {
+  try {
+    let start = null;
+    if (req.query.lat !== undefined || req.query.lng !== undefined) {
+      start = { lat: Number(req.query.lat), lng: Number(req.query.lng) };
+      if (!isValidCoordinate(start.lat, start.lng)) {
+        res.status(400);
+        throw new Error("lat (-90..90) and lng (-180..180) must both be valid numbers");
+      }
+    }
+
+    const plan = await buildRoutePlan({ companyId: req.user.companyId, agentId: req.user.id, start });
+
+    res.json({ date: new Date(), startProvided: Boolean(start), ...plan });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/agents/me/visits → log the outcome of a visit (NotHome, Refused, PromisedToPay …)
+export const recordVisit = async (req, res, next) => {
+  try {
+    const { userId, accountId, outcome, note, promisedDate, location, visitedAt } = req.body;
+
+    if (!VISIT_OUTCOMES.includes(outcome)) {
+      res.status(400);
+      throw new Error(`outcome must be one of ${VISIT_OUTCOMES.join(", ")}`);
+    }
+    if (location != null && !isValidCoordinate(location.lat, location.lng)) {
+      res.status(400);
+      throw new Error("location must have numeric lat (-90..90) and lng (-180..180)");
+    }
+
+    let clientId = userId;
+    if (accountId) {
+      if (!mongoose.isValidObjectId(accountId)) {
+        res.status(400);
+        throw new Error("Invalid accountId");
+      }
+      const account = await Account.findOne({
+        _id: accountId,
+        companyId: req.user.companyId,
+        assignedAgent: req.user.id,
+      }).select("userId");
+      if (!account) {
+        res.status(404);
+        throw new Error("Account not found or not assigned to you");
+      }
+      clientId = account.userId;
+    }
+
+    if (!clientId || !mongoose.isValidObjectId(clientId)) {
+      res.status(400);
+      throw new Error("userId or accountId is required");
+    }
+    const client = await User.findOne({
+      _id: clientId,
+      role: "User",
+      companyId: req.user.companyId,
+      assignedTo: req.user.id,
+    }).select("_id");
+    if (!client) {
+      res.status(404);
+      throw new Error("Client not found or not assigned to you");
+    }
+
+    let promised = null;
+    if (promisedDate) {
+      promised = new Date(promisedDate);
+      if (isNaN(promised)) {
+        res.status(400);
+        throw new Error("Invalid promisedDate");
+      }
+    }
+
+    // The app may log a visit a little later (offline); never in the future
+    const at = visitedAt ? new Date(visitedAt) : new Date();
+    if (isNaN(at) || at > new Date()) {
+      res.status(400);
+      throw new Error("Invalid visitedAt");
+    }
+
+    const visit = await AgentVisit.create({
+      companyId: req.user.companyId,
+      agentId: req.user.id,
+      userId: client._id,
+      accountId: accountId || undefined,
+      outcome,
+      note,
+      promisedDate: promised || undefined,
+      location: location ? { lat: location.lat, lng: location.lng, accuracy: location.accuracy } : undefined,
+      visitedAt: at,
+    });
+
+    await logAudit({
+      action: "RECORD_VISIT",
+      entityType: "AgentVisit",
+      entityId: visit._id,
+      details: { userId: client._id, accountId, outcome },
+      reqUser: req.user,
+    });
+
+    res.status(201).json({ message: "Visit recorded", visit });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,160 @@
+// controllers/backdatedDepositController.js
+import Account from "../models/Account.js";
+import BackdatedDepositRequest from "../models/BackdatedDepositRequest.js";
+import User from "../models/User.js";
+import { logAudit } from "../utils/auditLogger.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import { sendFirebaseNotification } from "../utils/sendFirebaseNotification.js";
+import { evaluateDepositRules, recordDeposit } from "../services/depositService.js";
+
+const notifyRequester = async (request, title, body) => {
+  try {
+    const agent = await User.findById(request.requestedBy).select("fcmToken");
+    if (agent?.fcmToken) {
+      await sendFirebaseNotification(agent.fcmToken, title, body, {
+        type: "backdated_deposit",
+        requestId: request._id.toString(),
+        status: request.status,
+      });
+    }
+  } catch (err) {
+    console.error("⚠️ Backdate notification failed:", err.message);
+  }
+};
+
+const findPendingRequest = async (req, res) => {
+  const request = await BackdatedDepositRequest.findOne({ _id: req.params.id, companyId: req.user.companyId });
+  if (!request) {
+    res.status(404);
+    throw new Error("Backdated deposit request not found");
+  }
+  if (request.status !== "Pending") {
+    res.status(400);
+    throw new Error(`Request is already ${request.status.toLowerCase()}`);
+  }
+  return request;
+};
+
+// GET /api/deposits/backdate-requests?status=Pending (Admin)
+export const getBackdatedRequests = async (req, res, next) => {
+  try {
+    const requests = await BackdatedDepositRequest.find({
+      companyId: req.user.companyId,
+      status: req.query.status || "Pending",
+    })
+      .populate("accountId", "accountNumber clientName paymentMode")
+      .populate("requestedBy", "name email")
+      .populate("reviewedBy", "name")
+      .sort({ createdAt: -1 });
+
+    res.json(requests);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/deposits/backdate-requests/:id/approve → records the deposit on its collection date (Admin)
+export const approveBackdatedRequest = async (req, res, next) => {
+  try {
+    const { note } = req.body || {};
+    const request = await findPendingRequest(req, res);
+
+    const result = await withTransaction(async (session) => {
+      const account = await Account.findOne({ _id: request.accountId, companyId: request.companyId }).session(session);
+      if (!account) return { ok: false, message: "Account not found" };
+
+      // Rules are re-checked: other entries may have landed in that month since the request
+      const rules = await evaluateDepositRules({ account, amount: request.amount, date: request.collectionDate, session });
+      if (!rules.ok) return rules;
+
+      const { deposit } = await recordDeposit({
+        account,
+        rules,
+        userId: request.userId,
+        amount: request.amount,
+        date: request.collectionDate,
+        companyId: request.companyId,
+        collectedBy: request.requestedBy,
+        extra: {
+          ...request.payment,
+          ...request.geo,
+          channel: request.channel,
+          approvedBy: req.user.id,
+          backdateRequestId: request._id,
+        },
+        session,
+      });
+
+      request.status = "Approved";
+      request.reviewedBy = req.user.id;
+      request.reviewedAt = new Date();
+      request.reviewNote = note;
+      request.depositId = deposit._id;
+      await request.save(session ? { session } : {});
+
+      return { ok: true, deposit };
+    });
+
+    if (!result.ok) {
+      res.status(409);
+      throw new Error(result.message);
+    }
+
+    await logAudit({
+      action: "APPROVE_BACKDATED_DEPOSIT",
+      entityType: "Deposit",
+      entityId: result.deposit._id,
+      details: {
+        requestId: request._id,
+        accountId: request.accountId,
+        amount: request.amount,
+        collectionDate: request.collectionDate,
+        requestedBy: request.requestedBy,
+        note,
+      },
+      reqUser: req.user,
+    });
+
+    await notifyRequester(
+      request,
+      "Backdated deposit approved ✅",
+      `Collection of ${request.amount} was recorded with receipt ${result.deposit.receiptNumber}`
+    );
+
+    res.json({ message: "Backdated deposit approved", request, deposit: result.deposit });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/deposits/backdate-requests/:id/reject → { note } (Admin)
+export const rejectBackdatedRequest = async (req, res, next) => {
+  try {
+    const { note } = req.body || {};
+    if (!note || !String(note).trim()) {
+      res.status(400);
+      throw new Error("A note is required to reject a request");
+    }
+
+    const request = await findPendingRequest(req, res);
+    request.status = "Rejected";
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = new Date();
+    request.reviewNote = note;
+    await request.save();
+
+    await logAudit({
+      action: "REJECT_BACKDATED_DEPOSIT",
+      entityType: "BackdatedDepositRequest",
+      entityId: request._id,
+      details: { accountId: request.accountId, amount: request.amount, collectionDate: request.collectionDate, note },
+      reqUser: req.user,
+    });
+
+    await notifyRequester(request, "Backdated deposit rejected", note);
+
+    res.json({ message: "Backdated deposit rejected", request });
+  } catch (err) {
+    next(err);
+  }
+};
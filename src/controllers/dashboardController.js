@@ -5,6 +5,7 @@ import Deposit from "../models/Deposit.js";
 import { getScope } from "../utils/scopeHelper.js";
 import { getDateFilter } from "../utils/dateFilter.js";
 import { getMonthRange } from "../utils/timezone.js";
+import { COLLECTION_ENTRY_FILTER } from "../services/depositService.js";
 
 export const getDashboardOverview = async (req, res, next) => {
   try {
@@ -66,10 +67,12 @@ export const getDashboardOverview = async (req, res, next) => {
     const accountGrowth = Math.max(0, accountsThisMonth - accountsLastMonth);
 
     // ---------------- DEPOSITS ----------------
+    // Counts are collections only; amounts below are net of reversals/adjustments
+    const collectionFilter = { ...depositFilter, ...COLLECTION_ENTRY_FILTER };
     const [totalDeposits, depositsThisMonth, depositsLastMonth] = await Promise.all([
-      Deposit.countDocuments(depositFilter),
-      countWithRange(Deposit, depositFilter, "date", thisMonthStart, thisMonthEnd),
-      countWithRange(Deposit, depositFilter, "date", lastMonthStart, lastMonthEnd),
+      Deposit.countDocuments(collectionFilter),
+      countWithRange(Deposit, collectionFilter, "date", thisMonthStart, thisMonthEnd),
+      countWithRange(Deposit, collectionFilter, "date", lastMonthStart, lastMonthEnd),
     ]);
 
     // Month-over-month growth (no negatives)
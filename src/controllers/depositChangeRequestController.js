@@ -1,5 +1,8 @@
 import Deposit from "../models/Deposit.js";
 import DepositChangeRequest from "../models/DepositChangeRequest.js";
+import Account from "../models/Account.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import { correctDeposit, recalculateAccountTotals } from "../services/depositService.js";
 
 // Create a deposit change request (Agent)
 export const createChangeRequest = async (req, res) => {
@@ -12,6 +15,9 @@ export const createChangeRequest = async (req, res) => {
 
     const deposit = await Deposit.findById(depositId);
     if (!deposit) return res.status(404).json({ message: "Deposit not found" });
+    if (deposit.entryType && deposit.entryType !== "Deposit") {
+      return res.status(400).json({ message: `${deposit.entryType} entries can't be changed — request a change to the original deposit` });
+    }
 
     // 🧩 Ensure deposit is editable within 7 days
     const daysSinceDeposit = (Date.now() - new Date(deposit.date)) / (1000 * 60 * 60 * 24);
@@ -127,9 +133,45 @@ export const reviewChangeRequest = async (req, res) => {
           .json({ message: "Invalid or missing new amount value" });
       }
 
-      // ✅ Update only the amount field in Deposit
-      await Deposit.findByIdAndUpdate(request.depositId._id, {
-        $set: { amount: newAmount },
+      const deposit = await Deposit.findById(request.depositId._id);
+      if (!deposit || deposit.isReversed) {
+        return res
+          .status(400)
+          .json({ message: "Deposit has been reversed and can no longer be changed" });
+      }
+      // Corrections only apply to original deposits, never to Reversal / Adjustment entries
+      if (deposit.entryType && deposit.entryType !== "Deposit") {
+        return res
+          .status(400)
+          .json({ message: `${deposit.entryType} entries can't be changed — request a change to the original deposit` });
+      }
+      if (deposit.chequeStatus === "Pending") {
+        return res
+          .status(400)
+          .json({ message: "Cheque is still pending — clear or bounce it before approving" });
+      }
+      const depositAccount = await Account.findById(deposit.accountId).select("status");
+      if (depositAccount?.status === "Closed") {
+        return res
+          .status(409)
+          .json({ message: "Account is closed — its deposits can no longer be changed" });
+      }
+
+      // ✅ Post an Adjustment for the difference — the deposit row itself is never edited
+      await withTransaction(async (session) => {
+        await correctDeposit({
+          deposit,
+          newAmount,
+          reason: request.reason,
+          approvedBy: req.user.id,
+          session,
+        });
+        const account = await Account.findById(deposit.accountId).session(session);
+        if (account) await recalculateAccountTotals(account, {
+            session,
+            changedBy: req.user.id,
+            reason: `Deposit ${deposit.receiptNumber} corrected`,
+          });
       });
 
       request.status = "Approved";
@@ -4,9 +4,30 @@ import { withTransaction } from "../utils/withTransaction.js";
 import Deposit from "../models/Deposit.js";
 import Account from "../models/Account.js";
 import User from "../models/User.js";
+import BackdatedDepositRequest from "../models/BackdatedDepositRequest.js";
+import UserAddress from "../models/UserAddress.js";
 import { getScope } from "../utils/scopeHelper.js";
 import { logAudit } from "../utils/auditLogger.js";
 import { sendFirebaseNotification } from "../utils/sendFirebaseNotification.js";
+import {
+  evaluateDepositRules,
+  recordDeposit,
+  getEffectiveAmount,
+  correctDeposit,
+  postReversal,
+  recalculateAccountTotals,
+  parsePaymentInput,
+  settleCheque,
+  buildAccountUpdate,
+  getBackdateWindowDays,
+  resolveCollectionDate,
+  findEligibleAccounts,
+} from "../services/depositService.js";
+import { buildReceiptData, renderReceiptPdf, deliverReceipt } from "../services/receiptService.js";
+import { generateReceiptNumber, generateReceiptNumbers } from "../utils/receiptHelper.js";
+import { postDepositJournals } from "../services/ledgerService.js";
+import { getGeofenceSettings, getClientAddresses, evaluateGeofence } from "../services/geofenceService.js";
+import { nextStatus, transitionAccount, recordStatusChanges } from "../services/accountLifecycleService.js";
 
 // GET Deposits with role-based filtering
 export const getDeposits = async (req, res, next) => {
@@ -76,10 +97,11 @@ export const getDeposits = async (req, res, next) => {
 /**
  * Full-featured createDeposit that preserves all payment-mode rules,
  * audit logging and uses withTransaction to handle session only when enabled.
+ * Optional `receiptDelivery` ("email" | "push" | both) sends the numbered receipt to the client.
  */
 export const createDeposit = async (req, res, next) => {
   try {
-    const deposit = await withTransaction(async (session) => {
+    const { deposit, pendingRequest } = await withTransaction(async (session) => {
       const opts = session ? { session } : {};
       const { accountId, userId, amount } = req.body;
 
@@ -114,6 +136,17 @@ export const createDeposit = async (req, res, next) => {
         throw new Error("Amount must be a positive number");
       }
 
+      const payment = parsePaymentInput(req.body);
+      if (!payment.ok) {
+        await logAudit({
+          action: "CREATE_DEPOSIT_FAILED",
+          entityType: "DepositAttempt",
+          details: { reason: payment.reason, accountId, userId, amount, paymentMethod: req.body.paymentMethod },
+          reqUser: req.user,
+        });
+        throw new Error(payment.message);
+      }
+
       // --------------------------
       // Role check (outside transaction ideally, but we already are inside withTransaction wrapper)
       // --------------------------
@@ -183,235 +216,114 @@ export const createDeposit = async (req, res, next) => {
         }
       }
 
-      const now = new Date();
-
       // --------------------------
-      // Maturity and payable checks (inside for atomic read)
+      // Geofence: device location vs. the client's primary address (flag or block per company)
       // --------------------------
-      if (account.maturityDate && now >= account.maturityDate) {
-        account.status = "Matured";
-        await account.save(opts);
-
-        await logAudit({
-          action: "CREATE_DEPOSIT_FAILED",
-          entityType: "DepositAttempt",
-          details: { reason: "ACCOUNT_MATURED", accountId, userId, amount },
-          reqUser: req.user,
-        });
-        // Commit update that sets matured status, then block deposit creation
-        throw new Error("Account has matured, no more deposits allowed");
-      }
-
-      // Aggregate total collected (inside transaction)
-      const totalAllAgg = session
-        ? await Deposit.aggregate([
-          { $match: { accountId: account._id } },
-          { $group: { _id: null, total: { $sum: "$amount" } } },
-        ]).session(session)
-        : await Deposit.aggregate([
-          { $match: { accountId: account._id } },
-          { $group: { _id: null, total: { $sum: "$amount" } } },
-        ]);
-
-      const collectedAll = totalAllAgg.length ? totalAllAgg[0].total : 0;
-
-      if (typeof account.totalPayableAmount !== "number" || account.totalPayableAmount <= 0) {
+      const geoSettings = await getGeofenceSettings(req.user.companyId, session);
+      const clientAddresses = await getClientAddresses([userId], session);
+      const geo = evaluateGeofence({
+        location: req.body.location ?? null,
+        address: clientAddresses.get(userId) || null,
+        settings: geoSettings,
+      });
+      if (!geo.ok) {
         await logAudit({
           action: "CREATE_DEPOSIT_FAILED",
           entityType: "DepositAttempt",
-          details: { reason: "MISSING_TOTAL_PAYABLE", accountId, userId, amount },
+          details: { reason: geo.reason, accountId, userId, amount, location: req.body.location, ...geo.details },
           reqUser: req.user,
         });
-        throw new Error("Account configuration invalid (missing totalPayableAmount)");
+        throw new Error(geo.message);
       }
 
-      if (collectedAll + amount > account.totalPayableAmount) {
+      // --------------------------
+      // Collection date (defaults to now; beyond the backdating window it needs Admin approval)
+      // --------------------------
+      const windowDays = await getBackdateWindowDays(req.user.companyId, session);
+      const collection = resolveCollectionDate({
+        collectionDate: req.body.collectionDate,
+        windowDays,
+        role: req.user.role,
+      });
+      if (!collection.ok) {
         await logAudit({
           action: "CREATE_DEPOSIT_FAILED",
           entityType: "DepositAttempt",
-          details: {
-            reason: "TOTAL_PAYABLE_EXCEEDED",
-            accountId,
-            userId,
-            amount,
-            collectedAll,
-            totalPayableAmount: account.totalPayableAmount,
-          },
+          details: { reason: collection.reason, accountId, userId, amount, collectionDate: req.body.collectionDate },
           reqUser: req.user,
         });
-        throw new Error("Total payable exceeded");
+        throw new Error(collection.message);
       }
+      const collectionDate = collection.date;
 
       // --------------------------
-      // Payment mode validations (Daily / Monthly / Yearly)
+      // Maturity, payable and payment mode rules — evaluated on the collection date
       // --------------------------
-      let statusUpdate = {};
-      let isFullyPaidUpdate = false;
-
-      if (account.paymentMode === "Yearly") {
-        // required is yearlyAmount if defined else totalPayableAmount
-        const required = typeof account.yearlyAmount === "number" && account.yearlyAmount > 0
-          ? account.yearlyAmount
-          : account.totalPayableAmount;
-
-        if (account.isFullyPaid) {
-          await logAudit({
-            action: "CREATE_DEPOSIT_FAILED",
-            entityType: "DepositAttempt",
-            details: { reason: "YEARLY_ALREADY_PAID", accountId, userId, amount },
-            reqUser: req.user,
+      const rules = await evaluateDepositRules({ account, amount, date: collectionDate, session });
+
+      if (!rules.ok) {
+        if (rules.reason === "ACCOUNT_MATURED" && nextStatus(account.status, "Matured")) {
+          // Commit update that sets matured status, then block deposit creation
+          await transitionAccount(account, "Matured", {
+            reason: "Deposit attempted after the maturity date",
+            source: "Maturity",
+            changedBy: req.user.id,
+            session,
           });
-          throw new Error("Yearly account already paid in full");
         }
 
-        if (amount !== required) {
-          await logAudit({
-            action: "CREATE_DEPOSIT_FAILED",
-            entityType: "DepositAttempt",
-            details: { reason: "YEARLY_AMOUNT_MISMATCH", accountId, userId, amount, required },
-            reqUser: req.user,
-          });
-          throw new Error(`Yearly account requires a single payment of ${required}`);
-        }
-
-        isFullyPaidUpdate = true;
-        statusUpdate = { status: "OnTrack" };
-      }
-
-      if (account.paymentMode === "Monthly") {
-        const required = account.installmentAmount;
-        if (!required || required <= 0) {
-          await logAudit({
-            action: "CREATE_DEPOSIT_FAILED",
-            entityType: "DepositAttempt",
-            details: { reason: "MISSING_INSTALLMENT_AMOUNT", accountId, userId, amount },
-            reqUser: req.user,
-          });
-          throw new Error("Missing installmentAmount");
-        }
-
-        if (amount !== required) {
-          await logAudit({
-            action: "CREATE_DEPOSIT_FAILED",
-            entityType: "DepositAttempt",
-            details: { reason: "MONTHLY_AMOUNT_MISMATCH", accountId, userId, amount, required },
-            reqUser: req.user,
-          });
-          throw new Error(`Monthly account requires fixed installment of ${required}`);
-        }
-
-        // check if already paid in this month
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        const endOfMonth = new Date(startOfMonth);
-        endOfMonth.setMonth(endOfMonth.getMonth() + 1);
-
-        const alreadyPaid = await Deposit.findOne({
-          accountId: account._id,
-          date: { $gte: startOfMonth, $lt: endOfMonth },
-        }).session(session);
-
-        if (alreadyPaid) {
-          await logAudit({
-            action: "CREATE_DEPOSIT_FAILED",
-            entityType: "DepositAttempt",
-            details: { reason: "MONTHLY_ALREADY_PAID", accountId, userId, amount },
-            reqUser: req.user,
-          });
-          throw new Error("This month's installment already paid");
-        }
-
-        // Not setting isFullyPaid here unless collectedAll + amount >= totalPayableAmount later
-        statusUpdate = { status: "Pending" }; // later it may become OnTrack if fully paid
+        await logAudit({
+          action: "CREATE_DEPOSIT_FAILED",
+          entityType: "DepositAttempt",
+          details: { reason: rules.reason, accountId, userId, amount, ...rules.details },
+          reqUser: req.user,
+        });
+        throw new Error(rules.message);
       }
 
-      if (account.paymentMode === "Daily") {
-        if (!account.monthlyTarget || account.monthlyTarget <= 0) {
-          await logAudit({
-            action: "CREATE_DEPOSIT_FAILED",
-            entityType: "DepositAttempt",
-            details: { reason: "MISSING_MONTHLY_TARGET", accountId, userId, amount },
-            reqUser: req.user,
-          });
-          throw new Error("Daily account must have a monthlyTarget set");
-        }
-
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        const endOfMonth = new Date(startOfMonth);
-        endOfMonth.setMonth(endOfMonth.getMonth() + 1);
-
-        const totalThisMonthAgg = session
-          ? await Deposit.aggregate([
-            { $match: { accountId: account._id, date: { $gte: startOfMonth, $lt: endOfMonth } } },
-            { $group: { _id: null, total: { $sum: "$amount" } } },
-          ]).session(session)
-          : await Deposit.aggregate([
-            { $match: { accountId: account._id, date: { $gte: startOfMonth, $lt: endOfMonth } } },
-            { $group: { _id: null, total: { $sum: "$amount" } } },
-          ]);
-
-        const collectedThisMonth = totalThisMonthAgg.length ? totalThisMonthAgg[0].total : 0;
-
-        if (collectedThisMonth + amount > account.monthlyTarget) {
-          await logAudit({
-            action: "CREATE_DEPOSIT_FAILED",
-            entityType: "DepositAttempt",
-            details: {
-              reason: "DAILY_MONTHLY_TARGET_EXCEEDED",
-              accountId,
+      if (collection.needsApproval) {
+        const [request] = await BackdatedDepositRequest.create(
+          [
+            {
+              companyId: req.user.companyId,
+              accountId: account._id,
               userId,
+              requestedBy: req.user.id,
               amount,
-              collected: collectedThisMonth,
-              monthlyTarget: account.monthlyTarget,
+              collectionDate,
+              payment: payment.fields,
+              geo: geo.fields,
+              reason: req.body.reason,
             },
-            reqUser: req.user,
-          });
-          throw new Error("Daily account monthly target exceeded");
-        }
+          ],
+          opts
+        );
+
+        await logAudit({
+          action: "REQUEST_BACKDATED_DEPOSIT",
+          entityType: "BackdatedDepositRequest",
+          entityId: request._id,
+          details: { accountId: account._id, userId, amount, collectionDate, windowDays },
+          reqUser: req.user,
+        });
 
-        statusUpdate = { status: collectedThisMonth + amount >= account.monthlyTarget ? "OnTrack" : "Pending" };
+        return { pendingRequest: request };
       }
 
       // --------------------------
       // CREATE DEPOSIT & UPDATE ACCOUNT (atomic)
       // --------------------------
-      const depositData = {
-        companyId: req.user.companyId,
-        date: now,
-        accountId,
+      const { deposit, afterCollected } = await recordDeposit({
+        account,
+        rules,
         userId,
         amount,
+        date: collectionDate,
+        companyId: req.user.companyId,
         collectedBy: req.user.id,
-      };
-
-      if (["RD", "NSC", "KVP", "PPF"].includes(account.schemeType)) {
-        depositData.schemeType = account.schemeType;
-      }
-
-      const deposit = new Deposit(depositData);
-      await deposit.save(opts);
-
-      // Atomic balance increment and status update
-      const afterCollected = collectedAll + amount;
-
-      // Prepare update fields carefully: $inc plus other updates
-      const updateFields = { $inc: { balance: amount } };
-
-      // merge statusUpdate if present
-      if (statusUpdate && Object.keys(statusUpdate).length > 0) {
-        Object.assign(updateFields, statusUpdate);
-      }
-
-      if (isFullyPaidUpdate || afterCollected >= account.totalPayableAmount) {
-        updateFields.isFullyPaid = true;
-        updateFields.status = "OnTrack";
-      }
-
-      // Activate if needed (use current balance for check)
-      if ((account.balance === 0 || account.balance == null) && amount > 0 && account.status === "Inactive") {
-        updateFields.status = "Active";
-      }
-
-      await Account.findByIdAndUpdate(accountId, updateFields, opts);
+        extra: { ...payment.fields, ...geo.fields },
+        session,
+      });
 
       // --------------------------
       // AUDIT LOG SUCCESS
@@ -422,10 +334,16 @@ export const createDeposit = async (req, res, next) => {
         entityId: deposit._id,
         details: {
           amount,
+          collectionDate,
+          isBackdated: collection.isBackdated,
+          geofence: deposit.geofence?.status,
+          paymentMethod: deposit.paymentMethod,
+          chequeStatus: deposit.chequeStatus,
           schemeType: deposit.schemeType || account.schemeType, // fallback
           accountId: account._id,
           userId,
-          accountBalance: (account.balance || 0) + amount, // in-memory best-effort
+          // in-memory best-effort; pending cheques don't move the balance yet
+          accountBalance: (account.balance || 0) + (deposit.chequeStatus === "Pending" ? 0 : amount),
           totalCollected: afterCollected,
           totalPayableAmount: account.totalPayableAmount,
           clientName: account.clientName || account.userId?.name,
@@ -433,9 +351,24 @@ export const createDeposit = async (req, res, next) => {
         reqUser: req.user,
       });
 
-      return deposit;
+      return { deposit };
     }); // end withTransaction callback
 
+    if (pendingRequest) {
+      return res.status(202).json({
+        message: "Collection date is outside the backdating window; sent to an Admin for approval",
+        request: pendingRequest,
+      });
+    }
+
+    // 🧾 Optional receipt delivery ("email" | "push" or both) — never blocks the deposit
+    const receiptChannels = [].concat(req.body.receiptDelivery || []);
+    if (receiptChannels.length > 0) {
+      deliverReceipt(deposit, receiptChannels).catch((err) =>
+        console.error("⚠️ Receipt delivery failed:", err.message)
+      );
+    }
+
     // Respond success
     return res.status(201).json({ message: "Deposit created successfully", deposit });
   } catch (err) {
@@ -446,10 +379,10 @@ export const createDeposit = async (req, res, next) => {
 };
 
 
-// UPDATE Deposit (only Admin) with validations, balance update + audit log
+// UPDATE Deposit (only Admin) → posts Adjustment/Reversal entries, balance update + audit log
 export const updateDeposit = async (req, res, next) => {
   try {
-    const { amount, date } = req.body;
+    const { amount, date, reason } = req.body;
 
     // ✅ Only Admin allowed
     if (req.user.role !== "Admin") {
@@ -468,6 +401,11 @@ export const updateDeposit = async (req, res, next) => {
       throw new Error("Only Admin can update deposits");
     }
 
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      res.status(400);
+      throw new Error("A reason is required to correct a deposit");
+    }
+
     // ✅ Find deposit
     const deposit = await Deposit.findById(req.params.id);
     if (!deposit) {
@@ -485,6 +423,16 @@ export const updateDeposit = async (req, res, next) => {
       throw new Error("Deposit not found");
     }
 
+    // Corrections are posted against the collection itself, never against a correction entry
+    if ((deposit.entryType && deposit.entryType !== "Deposit") || deposit.isReversed) {
+      res.status(400);
+      throw new Error("Only an active deposit can be corrected");
+    }
+    if (deposit.chequeStatus === "Pending") {
+      res.status(400);
+      throw new Error("Cheque is still pending — clear or bounce it before correcting");
+    }
+
     // ✅ Find account
     const account = await Account.findById(deposit.accountId);
     if (!account) {
@@ -502,6 +450,11 @@ export const updateDeposit = async (req, res, next) => {
       throw new Error("Associated account not found");
     }
 
+    if (account.status === "Closed") {
+      res.status(409);
+      throw new Error("Account is closed — its deposits can no longer be changed");
+    }
+
     // ✅ Validate amount if provided
     if (amount !== undefined && (typeof amount !== "number" || amount <= 0)) {
       await logAudit({
@@ -518,6 +471,23 @@ export const updateDeposit = async (req, res, next) => {
       throw new Error("Amount must be a positive number");
     }
 
+    // ✅ Validate date if provided
+    const newDate = date ? new Date(date) : null;
+    if (newDate && isNaN(newDate)) {
+      await logAudit({
+        action: "UPDATE_DEPOSIT_FAILED",
+        entityType: "DepositAttempt",
+        details: {
+          reason: "INVALID_DATE",
+          depositId: deposit._id,
+          attemptedDate: date,
+        },
+        reqUser: req.user,
+      });
+      res.status(400);
+      throw new Error("Invalid date format");
+    }
+
     // ✅ Ensure account has totalPayableAmount
     if (typeof account.totalPayableAmount !== "number") {
       await logAudit({
@@ -533,15 +503,16 @@ export const updateDeposit = async (req, res, next) => {
       throw new Error("Account misconfigured: missing totalPayableAmount");
     }
 
-    // ✅ Totals check
+    // ✅ Totals check (net of earlier adjustments to this deposit)
     const totalAgg = await Deposit.aggregate([
       { $match: { accountId: account._id } },
       { $group: { _id: null, total: { $sum: "$amount" } } },
     ]);
     const collectedAll = totalAgg.length ? totalAgg[0].total : 0;
-    const collectedExcludingThis = collectedAll - (deposit.amount || 0);
+    const effectiveAmount = await getEffectiveAmount(deposit);
+    const collectedExcludingThis = collectedAll - effectiveAmount;
 
-    const newAmount = amount !== undefined ? amount : deposit.amount;
+    const newAmount = amount !== undefined ? amount : effectiveAmount;
     if (collectedExcludingThis + newAmount > account.totalPayableAmount) {
       await logAudit({
         action: "UPDATE_DEPOSIT_FAILED",
@@ -561,7 +532,7 @@ export const updateDeposit = async (req, res, next) => {
     }
 
     // ✅ Payment mode checks
-    const depositDate = date ? new Date(date) : new Date(deposit.date);
+    const depositDate = newDate || new Date(deposit.date);
     const startOfMonth = new Date(
       depositDate.getFullYear(),
       depositDate.getMonth(),
@@ -570,6 +541,14 @@ export const updateDeposit = async (req, res, next) => {
     const endOfMonth = new Date(startOfMonth);
     endOfMonth.setMonth(endOfMonth.getMonth() + 1);
 
+    // Other entries of the month = everything except this deposit and its corrections
+    const otherEntriesThisMonth = {
+      accountId: account._id,
+      date: { $gte: startOfMonth, $lt: endOfMonth },
+      _id: { $ne: deposit._id },
+      originalDepositId: { $ne: deposit._id },
+    };
+
     if (account.paymentMode === "Yearly") {
       const required = account.yearlyAmount ?? account.totalPayableAmount;
       if (newAmount !== required) {
@@ -618,13 +597,12 @@ export const updateDeposit = async (req, res, next) => {
         throw new Error(`Monthly account requires installmentAmount = ${required}`);
       }
 
-      const depositsThisMonth = await Deposit.find({
-        accountId: account._id,
-        date: { $gte: startOfMonth, $lt: endOfMonth },
-        _id: { $ne: deposit._id },
-      });
+      const monthAgg = await Deposit.aggregate([
+        { $match: otherEntriesThisMonth },
+        { $group: { _id: null, total: { $sum: "$amount" } } },
+      ]);
 
-      if (depositsThisMonth.length > 0) {
+      if (monthAgg.length && monthAgg[0].total > 0) {
         await logAudit({
           action: "UPDATE_DEPOSIT_FAILED",
           entityType: "DepositAttempt",
@@ -656,13 +634,7 @@ export const updateDeposit = async (req, res, next) => {
       }
 
       const monthlyAgg = await Deposit.aggregate([
-        {
-          $match: {
-            accountId: account._id,
-            date: { $gte: startOfMonth, $lt: endOfMonth },
-            _id: { $ne: deposit._id },
-          },
-        },
+        { $match: otherEntriesThisMonth },
         { $group: { _id: null, total: { $sum: "$amount" } } },
       ]);
       const collectedThisMonthExcl = monthlyAgg.length
@@ -689,78 +661,25 @@ export const updateDeposit = async (req, res, next) => {
       }
     }
 
-    // ✅ Update deposit
+    // ✅ Post correction entries — the original deposit row is never edited
     const oldValues = {
-      amount: deposit.amount,
+      amount: effectiveAmount,
       date: deposit.date,
       schemeType: deposit.schemeType,
     };
 
-    if (amount !== undefined && amount !== deposit.amount) {
-      deposit.amount = amount;
-    }
-
-    if (date) {
-      const parsed = new Date(date);
-      if (isNaN(parsed)) {
-        await logAudit({
-          action: "UPDATE_DEPOSIT_FAILED",
-          entityType: "DepositAttempt",
-          details: {
-            reason: "INVALID_DATE",
-            depositId: deposit._id,
-            attemptedDate: date,
-          },
-          reqUser: req.user,
-        });
-        res.status(400);
-        throw new Error("Invalid date format");
-      }
-      deposit.date = parsed;
-    }
-
-    deposit.schemeType = account.schemeType;
-    await deposit.save();
-
-    // ✅ Recalculate account balance
-    const afterAgg = await Deposit.aggregate([
-      { $match: { accountId: account._id } },
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
-    const afterCollected = afterAgg.length ? afterAgg[0].total : 0;
-    account.balance = afterCollected;
-
-    if (afterCollected >= account.totalPayableAmount) {
-      account.status = "OnTrack";
-      if (account.paymentMode === "Yearly") account.isFullyPaid = true;
-    } else {
-      if (account.paymentMode === "Daily") {
-        const monthAgg = await Deposit.aggregate([
-          {
-            $match: {
-              accountId: account._id,
-              date: {
-                $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1),
-                $lt: new Date(
-                  new Date().getFullYear(),
-                  new Date().getMonth() + 1
-                ),
-              },
-            },
-          },
-          { $group: { _id: null, total: { $sum: "$amount" } } },
-        ]);
-        const monthCollected = monthAgg.length ? monthAgg[0].total : 0;
-        account.status =
-          monthCollected >= account.monthlyTarget ? "OnTrack" : "Pending";
-      } else {
-        account.status =
-          account.status === "Inactive" ? "Inactive" : "Active";
-      }
-      if (account.paymentMode === "Yearly") account.isFullyPaid = false;
-    }
-
-    await account.save();
+    const { entries, current } = await withTransaction(async (session) => {
+      const result = await correctDeposit({
+        deposit,
+        newAmount,
+        newDate,
+        reason,
+        approvedBy: req.user.id,
+        session,
+      });
+      await recalculateAccountTotals(account, { session, changedBy: req.user.id, reason: `Deposit ${deposit.receiptNumber} corrected` });
+      return result;
+    });
 
     // ✅ Audit success
     await logAudit({
@@ -770,44 +689,70 @@ export const updateDeposit = async (req, res, next) => {
       details: {
         old: oldValues,
         new: {
-          amount: deposit.amount,
-          date: deposit.date,
-          schemeType: deposit.schemeType,
+          amount: newAmount,
+          date: current.date,
+          schemeType: current.schemeType,
         },
+        reason,
+        correctionEntries: entries.map((e) => ({
+          id: e._id,
+          entryType: e.entryType,
+          amount: e.amount,
+          date: e.date,
+        })),
         accountId: account._id,
         accountBalance: account.balance,
-        totalCollected: afterCollected,
         totalPayableAmount: account.totalPayableAmount,
       },
       reqUser: req.user,
     });
 
-    res.json({ message: "Deposit updated successfully", deposit });
+    res.json({
+      message: entries.length ? "Deposit corrected successfully" : "No changes to apply",
+      deposit: current,
+      entries,
+      accountBalance: account.balance,
+      accountStatus: account.status,
+    });
   } catch (err) {
     next(err);
   }
 };
 
-// DELETE Deposit (only Admin) with validations, balance update + audit log
-export const deleteDeposit = async (req, res, next) => {
+/**
+ * Reverse a deposit (only Admin). Nothing is deleted: a Reversal entry dated on the
+ * original collection date offsets the deposit and the account totals are rebuilt.
+ * DELETE /api/deposits/:id and POST /api/deposits/:id/reverse
+ */
+export const reverseDeposit = async (req, res, next) => {
   try {
+    const { reason } = req.body || {};
+
     // ✅ Only Admin allowed
     if (req.user.role !== "Admin") {
       await logAudit({
-        action: "DELETE_DEPOSIT_FAILED",
+        action: "REVERSE_DEPOSIT_FAILED",
         entityType: "DepositAttempt",
         details: { reason: "ROLE_NOT_ALLOWED", depositId: req.params.id },
         reqUser: req.user,
       });
       res.status(403);
-      throw new Error("Only Admin can delete deposits");
+      throw new Error("Only Admin can reverse deposits");
+    }
+
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      res.status(400);
+      throw new Error("A reason is required to reverse a deposit");
     }
 
     // ✅ Find deposit
-    const deposit = await Deposit.findById(req.params.id);
+    const deposit = await Deposit.findOne({
+      _id: req.params.id,
+      companyId: req.user.companyId,
+    });
     if (!deposit) {
       await logAudit({
-        action: "DELETE_DEPOSIT_FAILED",
+        action: "REVERSE_DEPOSIT_FAILED",
         entityType: "DepositAttempt",
         details: { reason: "DEPOSIT_NOT_FOUND", depositId: req.params.id },
         reqUser: req.user,
@@ -816,11 +761,20 @@ export const deleteDeposit = async (req, res, next) => {
       throw new Error("Deposit not found");
     }
 
+    if (deposit.entryType && deposit.entryType !== "Deposit") {
+      res.status(400);
+      throw new Error(`${deposit.entryType} entries cannot be reversed`);
+    }
+    if (deposit.isReversed) {
+      res.status(409);
+      throw new Error("Deposit is already reversed");
+    }
+
     // ✅ Find account
     const account = await Account.findById(deposit.accountId);
     if (!account) {
       await logAudit({
-        action: "DELETE_DEPOSIT_FAILED",
+        action: "REVERSE_DEPOSIT_FAILED",
         entityType: "DepositAttempt",
         details: {
           reason: "ACCOUNT_NOT_FOUND",
@@ -833,142 +787,37 @@ export const deleteDeposit = async (req, res, next) => {
       throw new Error("Associated account not found");
     }
 
-    // ✅ Current totals
-    const totalAgg = await Deposit.aggregate([
-      { $match: { accountId: account._id } },
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
-    const collectedAll = totalAgg.length ? totalAgg[0].total : 0;
-    const newCollected = collectedAll - deposit.amount;
-
-    // --- PAYMENT MODE VALIDATIONS ---
-    if (account.paymentMode === "Yearly") {
-      const depositCount = await Deposit.countDocuments({
-        accountId: account._id,
-      });
-      if (depositCount === 1) {
-        await logAudit({
-          action: "DELETE_DEPOSIT_FAILED",
-          entityType: "DepositAttempt",
-          details: {
-            reason: "CANNOT_DELETE_ONLY_YEARLY_DEPOSIT",
-            accountId: account._id,
-            depositId: deposit._id,
-          },
-          reqUser: req.user,
-        });
-        res.status(400);
-        throw new Error(
-          "Cannot delete the only yearly deposit — account would become invalid"
-        );
-      }
-      if (
-        account.isFullyPaid &&
-        newCollected < (account.totalPayableAmount || account.yearlyAmount || 0)
-      ) {
-        account.isFullyPaid = false;
-      }
+    if (account.status === "Closed") {
+      res.status(409);
+      throw new Error("Account is closed — its deposits can no longer be changed");
     }
 
-    // ✅ Recompute account totals excluding this deposit
-    const updatedTotalAgg = await Deposit.aggregate([
-      { $match: { accountId: account._id, _id: { $ne: deposit._id } } },
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
-    const updatedCollected = updatedTotalAgg.length
-      ? updatedTotalAgg[0].total
-      : 0;
-    account.balance = Math.max(0, updatedCollected);
-
-    // ✅ Update status & isFullyPaid
-    const totalPayable = account.totalPayableAmount ?? account.yearlyAmount ?? null;
-
-    if (totalPayable !== null && updatedCollected >= totalPayable) {
-      account.status = "OnTrack";
-      if (account.paymentMode === "Yearly") account.isFullyPaid = true;
-    } else {
-      if (account.paymentMode === "Monthly") {
-        const startOfMonth = new Date(
-          deposit.date.getFullYear(),
-          deposit.date.getMonth(),
-          1
-        );
-        const endOfMonth = new Date(startOfMonth);
-        endOfMonth.setMonth(endOfMonth.getMonth() + 1);
-
-        const otherThisMonth = await Deposit.countDocuments({
-          accountId: account._id,
-          _id: { $ne: deposit._id },
-          date: { $gte: startOfMonth, $lt: endOfMonth },
-        });
-
-        account.status = otherThisMonth > 0 ? "Active" : "Pending";
-      } else if (account.paymentMode === "Daily") {
-        const startOfMonth = new Date(
-          deposit.date.getFullYear(),
-          deposit.date.getMonth(),
-          1
-        );
-        const endOfMonth = new Date(startOfMonth);
-        endOfMonth.setMonth(endOfMonth.getMonth() + 1);
-
-        const monthAgg = await Deposit.aggregate([
-          {
-            $match: {
-              accountId: account._id,
-              _id: { $ne: deposit._id },
-              date: { $gte: startOfMonth, $lt: endOfMonth },
-            },
-          },
-          { $group: { _id: null, total: { $sum: "$amount" } } },
-        ]);
-        const collectedThisMonth = monthAgg.length ? monthAgg[0].total : 0;
-        account.status =
-          account.monthlyTarget && collectedThisMonth >= account.monthlyTarget
-            ? "OnTrack"
-            : "Pending";
-      } else {
-        account.status = account.balance > 0 ? "Active" : "Inactive";
-      }
-
-      if (account.paymentMode === "Yearly") {
-        account.isFullyPaid = false;
-      }
-    }
+    const oldBalance = account.balance;
 
-    // --- AUDIT ATTEMPT ---
-    await logAudit({
-      action: "DELETE_DEPOSIT_ATTEMPT",
-      entityType: "Deposit",
-      entityId: deposit._id,
-      details: {
-        reason: "DELETE_REQUEST",
-        depositId: deposit._id,
-        accountId: account._id,
-        depositAmount: deposit.amount,
-        oldCollectedTotal: collectedAll,
-        expectedNewTotal: updatedCollected,
-        paymentMode: account.paymentMode,
-      },
-      reqUser: req.user,
+    const reversal = await withTransaction(async (session) => {
+      const entry = await postReversal({
+        deposit,
+        reason: reason.trim(),
+        approvedBy: req.user.id,
+        session,
+      });
+      await recalculateAccountTotals(account, { session, changedBy: req.user.id, reason: `Deposit ${deposit.receiptNumber} reversed` });
+      return entry;
     });
 
-    // --- Delete record ---
-    await deposit.deleteOne();
-    await account.save();
-
     // --- AUDIT SUCCESS ---
     await logAudit({
-      action: "DELETE_DEPOSIT",
+      action: "REVERSE_DEPOSIT",
       entityType: "Deposit",
       entityId: deposit._id,
       details: {
-        amount: deposit.amount,
+        reversalId: reversal._id,
+        amount: reversal.amount,
         date: deposit.date,
+        reason: reversal.reason,
         accountId: account._id,
         userId: deposit.userId,
-        schemeType: deposit.schemeType,
-        oldBalance: collectedAll,
+        oldBalance,
         newBalance: account.balance,
         accountStatus: account.status,
       },
@@ -976,7 +825,8 @@ export const deleteDeposit = async (req, res, next) => {
     });
 
     res.json({
-      message: "Deposit deleted successfully and account balance adjusted",
+      message: "Deposit reversed successfully and account balance adjusted",
+      reversal,
       accountBalance: account.balance,
       accountStatus: account.status,
     });
@@ -1020,6 +870,47 @@ export const getDepositsByAccount = async (req, res, next) => {
   }
 };
 
+// GET /api/deposits/:id/receipt → branded PDF receipt (same scope rules as deposit listing)
+export const getDepositReceipt = async (req, res, next) => {
+  try {
+    const scope = await getScope(req.user);
+    const filter = { _id: req.params.id, companyId: req.user.companyId };
+
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.collectedBy = { $in: scope.agents };
+      } else if (req.user.role === "Agent") {
+        filter.collectedBy = req.user.id;
+      } else if (req.user.role === "User") {
+        filter.userId = req.user.id;
+      }
+    }
+
+    const deposit = await Deposit.findOne(filter);
+    if (!deposit) {
+      res.status(404);
+      throw new Error("Deposit not found or not accessible");
+    }
+
+    // Deposits recorded before receipt numbering get their number on first download
+    if (!deposit.receiptNumber) {
+      deposit.receiptNumber = await generateReceiptNumber(deposit.companyId);
+      await deposit.save();
+    }
+
+    const data = await buildReceiptData(deposit);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${data.receiptNumber}.pdf"`);
+
+    const doc = renderReceiptPdf(data);
+    doc.on("error", (err) => next(err));
+    doc.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
 // GET Deposits by Date Range with role and scope filtering
 export const getDepositsByDateRange = async (req, res, next) => {
   try {
@@ -1069,6 +960,7 @@ export const getDepositsByDateRange = async (req, res, next) => {
 /**
  * Bulk create deposits (Agent only).
  * Works with or without replica set via USE_TRANSACTIONS env flag.
+ * Items may carry an `idempotencyKey`; retried items are replayed instead of re-inserted.
  */
 export const bulkCreateDeposits = async (req, res, next) => {
   try {
@@ -1095,8 +987,33 @@ export const bulkCreateDeposits = async (req, res, next) => {
         .session(session || null);
       const accountsMap = new Map(accounts.map((acc) => [acc._id.toString(), acc]));
 
+      // 🔁 Per-item idempotency keys: items already written are replayed, not re-inserted
+      const itemKeys = deposits
+        .map((d) => d.idempotencyKey)
+        .filter((k) => typeof k === "string" && k.length > 0);
+      const existingByKey = new Map();
+      if (itemKeys.length > 0) {
+        const existing = await Deposit.find({
+          companyId: req.user.companyId,
+          idempotencyKey: { $in: itemKeys },
+        })
+          .populate("accountId", "accountNumber clientName")
+          .session(session || null);
+        existing.forEach((d) => existingByKey.set(d.idempotencyKey, d));
+      }
+      const replayed = [];
+      const seenKeys = new Set();
+      const pendingApproval = [];
+      const acceptedByAccount = new Map(); // accountId → [{ amount, date }] accepted earlier in this batch
+      const windowDays = await getBackdateWindowDays(req.user.companyId, session);
+      const geoSettings = await getGeofenceSettings(req.user.companyId, session);
+      const clientAddresses = await getClientAddresses(
+        accounts.map((acc) => acc.userId?._id || acc.userId).filter(Boolean),
+        session
+      );
+
       // ✅ Validate each deposit
-      for (const { accountId, amount, collectedBy } of deposits) {
+      for (const { accountId, amount, collectedBy, idempotencyKey, paymentMethod, paymentDetails, collectionDate: itemDate, reason, location } of deposits) {
         const account = accountsMap.get(accountId);
 
         const fail = (error) => {
@@ -1104,16 +1021,54 @@ export const bulkCreateDeposits = async (req, res, next) => {
           failureSummary[error] = (failureSummary[error] || 0) + 1;
         };
 
+        if (idempotencyKey) {
+          if (seenKeys.has(idempotencyKey)) {
+            fail("DUPLICATE_IDEMPOTENCY_KEY");
+            continue;
+          }
+          seenKeys.add(idempotencyKey);
+
+          const previous = existingByKey.get(idempotencyKey);
+          if (previous) {
+            if (previous.accountId?._id?.toString() !== accountId || previous.amount !== amount) {
+              fail("IDEMPOTENCY_KEY_MISMATCH");
+              continue;
+            }
+            replayed.push({
+              accountId,
+              accountNumber: previous.accountId.accountNumber,
+              clientName: previous.accountId.clientName,
+              amount: previous.amount,
+              depositId: previous._id,
+              replayed: true,
+            });
+            continue;
+          }
+        }
+
         if (typeof amount !== "number" || amount <= 0) {
           fail("INVALID_AMOUNT");
           continue;
         }
 
+        const payment = parsePaymentInput({ paymentMethod, paymentDetails }, now);
+        if (!payment.ok) {
+          fail(payment.reason);
+          continue;
+        }
+
         if (collectedBy !== req.user.id.toString()) {
           fail("COLLECTED_BY_MISMATCH");
           continue;
         }
 
+        const collection = resolveCollectionDate({ collectionDate: itemDate, windowDays, role: req.user.role, now });
+        if (!collection.ok) {
+          fail(collection.reason);
+          continue;
+        }
+        const collectionDate = collection.date;
+
         if (!account) {
           fail("ACCOUNT_NOT_FOUND");
           continue;
@@ -1129,68 +1084,99 @@ export const bulkCreateDeposits = async (req, res, next) => {
             ? account.userId._id.toString()
             : account.userId.toString();
 
-        // ⏱ Duplicate detection window
-        const startDate = new Date(now);
-        const endDate = new Date(now);
-
-        switch (account.paymentMode) {
-          case "Daily":
-            startDate.setHours(0, 0, 0, 0);
-            endDate.setHours(23, 59, 59, 999);
-            break;
-          case "Monthly":
-            startDate.setDate(1);
-            endDate.setMonth(endDate.getMonth() + 1, 0);
-            endDate.setHours(23, 59, 59, 999);
-            break;
-          case "Yearly":
-            startDate.setMonth(0, 1);
-            startDate.setHours(0, 0, 0, 0);
-            endDate.setFullYear(endDate.getFullYear(), 11, 31);
-            endDate.setHours(23, 59, 59, 999);
-            break;
-          default:
-            break;
+        const geo = evaluateGeofence({
+          location: location ?? null,
+          address: clientAddresses.get(userId) || null,
+          settings: geoSettings,
+        });
+        if (!geo.ok) {
+          fail(geo.reason);
+          continue;
+        }
+
+        // 📏 Same deposit policy as single deposits; earlier items of this batch count too.
+        // Bulk collection takes one Daily collection per account and day.
+        const accountKey = account._id.toString();
+        const batchEntries = acceptedByAccount.get(accountKey) || [];
+        const rules = await evaluateDepositRules({
+          account,
+          amount,
+          date: collectionDate,
+          session,
+          pendingEntries: batchEntries,
+          oncePerDay: true,
+        });
+        if (!rules.ok) {
+          fail(rules.reason);
+          continue;
         }
 
-        const alreadyDeposited = await Deposit.findOne({
-          accountId: account._id,
-          date: { $gte: startDate, $lte: endDate },
-        }).session(session || null);
-
-        if (alreadyDeposited) {
-          const errMsg =
-            account.paymentMode === "Daily"
-              ? "Today’s deposit already recorded"
-              : account.paymentMode === "Monthly"
-                ? "This month’s deposit already recorded"
-                : "Yearly account already paid in full";
-          fail(errMsg);
+        if (collection.needsApproval) {
+          pendingApproval.push({ account, userId, amount, accountId, collectionDate, reason, payment: payment.fields, geo: geo.fields });
           continue;
         }
 
-        validDeposits.push({ account, userId, amount, accountId });
+        acceptedByAccount.set(accountKey, [...batchEntries, { amount, date: collectionDate }]);
+        validDeposits.push({ account, userId, amount, accountId, idempotencyKey, collectionDate, rules, payment: payment.fields, geo: geo.fields });
       }
 
-      // 🚫 No valid deposits
-      if (validDeposits.length === 0) {
+      // 🕓 Collections older than the backdating window wait for an Admin
+      let pendingRequests = [];
+      if (pendingApproval.length > 0) {
+        pendingRequests = await BackdatedDepositRequest.insertMany(
+          pendingApproval.map(({ account, userId, amount, collectionDate, reason, payment, geo }) => ({
+            companyId: req.user.companyId,
+            accountId: account._id,
+            userId,
+            requestedBy: req.user.id,
+            amount,
+            collectionDate,
+            payment,
+            geo,
+            channel: "Bulk",
+            reason,
+          })),
+          opts
+        );
+
         await logAudit({
-          action: "BULK_CREATE_DEPOSITS_FAILED",
+          action: "REQUEST_BACKDATED_DEPOSIT",
           entityType: "DepositBatch",
-          details: {
-            reason: "NO_VALID_DEPOSITS",
-            failedCount: failed.length,
-            failureSummary,
-          },
+          details: { count: pendingRequests.length, windowDays, requestIds: pendingRequests.map((r) => r._id) },
           reqUser: req.user,
         });
+      }
+      const pendingAccounts = pendingRequests.map((r) => ({
+        accountId: r.accountId,
+        amount: r.amount,
+        collectionDate: r.collectionDate,
+        requestId: r._id,
+      }));
+
+      // 🚫 No valid deposits
+      if (validDeposits.length === 0) {
+        if (replayed.length === 0 && pendingAccounts.length === 0) {
+          await logAudit({
+            action: "BULK_CREATE_DEPOSITS_FAILED",
+            entityType: "DepositBatch",
+            details: {
+              reason: "NO_VALID_DEPOSITS",
+              failedCount: failed.length,
+              failureSummary,
+            },
+            reqUser: req.user,
+          });
+        }
 
         return {
           total: deposits.length,
-          successCount: 0,
+          successCount: replayed.length,
+          replayedCount: replayed.length,
+          pendingApprovalCount: pendingAccounts.length,
           failedCount: failed.length,
           failedAccounts: failed,
-          successAccounts: [],
+          successAccounts: replayed,
+          pendingApprovalAccounts: pendingAccounts,
           failureSummary,
         };
       }
@@ -1198,44 +1184,66 @@ export const bulkCreateDeposits = async (req, res, next) => {
       // 💾 Bulk insert + balance update
       const chunkSize = 100;
       const allSuccess = [];
+      // One history row per account for the whole batch: first "from" → final "to"
+      const statusChanges = new Map();
 
       for (let i = 0; i < validDeposits.length; i += chunkSize) {
         const chunk = validDeposits.slice(i, i + chunkSize);
 
-        // Insert deposits
-        const depositOps = chunk.map(({ account, userId, amount }) => ({
-          insertOne: {
-            document: {
-              accountId: new mongoose.Types.ObjectId(account._id),
-              userId: new mongoose.Types.ObjectId(userId),
-              amount,
-              companyId: req.user.companyId,
-              date: now,
-              collectedBy: new mongoose.Types.ObjectId(req.user.id),
-              createdAt: now,
-              updatedAt: now,
-            },
-          },
+        // Insert deposits (one receipt number block per chunk)
+        const receiptNumbers = await generateReceiptNumbers(req.user.companyId, chunk.length, session);
+        const depositDocs = chunk.map(({ account, userId, amount, idempotencyKey, collectionDate, payment, geo }, idx) => ({
+          _id: new mongoose.Types.ObjectId(),
+          accountId: new mongoose.Types.ObjectId(account._id),
+          userId: new mongoose.Types.ObjectId(userId),
+          amount,
+          companyId: req.user.companyId,
+          date: collectionDate,
+          collectedBy: new mongoose.Types.ObjectId(req.user.id),
+          receiptNumber: receiptNumbers[idx],
+          channel: "Bulk",
+          ...payment,
+          ...geo,
+          ...(idempotencyKey ? { idempotencyKey } : {}),
+          createdAt: now,
+          updatedAt: now,
         }));
+        const depositOps = depositDocs.map((document) => ({ insertOne: { document } }));
 
         await Deposit.bulkWrite(depositOps, { ...opts, ordered: false });
+        await postDepositJournals(depositDocs, { session, postedBy: req.user.id });
+
+        // Update balances + status (same update as single deposits)
+        // Pending cheques move the balance only when they clear
+        const accountOps = chunk
+          .filter(({ payment }) => payment.chequeStatus !== "Pending")
+          .map(({ account, amount, rules }) => {
+            const { $inc, ...fields } = buildAccountUpdate(account, rules, amount);
+            if (fields.status) {
+              const key = account._id.toString();
+              const change = statusChanges.get(key) || { accountId: account._id, companyId: req.user.companyId, from: account.status };
+              statusChanges.set(key, { ...change, to: fields.status });
+            }
+            return {
+              updateOne: {
+                filter: { _id: new mongoose.Types.ObjectId(account._id) },
+                update: { $inc, $set: { ...fields, updatedAt: now } },
+              },
+            };
+          });
 
-        // Update balances
-        const accountOps = chunk.map(({ account, amount }) => ({
-          updateOne: {
-            filter: { _id: new mongoose.Types.ObjectId(account._id) },
-            update: { $inc: { balance: amount }, $set: { updatedAt: now } },
-          },
-        }));
-
-        await Account.bulkWrite(accountOps, { ...opts, ordered: false });
+        if (accountOps.length > 0) {
+          await Account.bulkWrite(accountOps, { ...opts, ordered: false });
+        }
 
         // Success log
-        const chunkSuccess = chunk.map((item) => ({
+        const chunkSuccess = chunk.map((item, idx) => ({
           accountId: item.accountId,
           accountNumber: item.account.accountNumber,
           clientName: item.account.userId.name,
           amount: item.amount,
+          paymentMethod: item.payment.paymentMethod,
+          receiptNumber: receiptNumbers[idx],
         }));
 
         allSuccess.push(...chunkSuccess);
@@ -1252,6 +1260,14 @@ export const bulkCreateDeposits = async (req, res, next) => {
         });
       }
 
+      await recordStatusChanges([...statusChanges.values()], {
+        reason: "Bulk deposit",
+        source: "Deposit",
+        changedBy: req.user.id,
+        changedAt: now,
+        session,
+      });
+
       // ✅ Final audit
       await logAudit({
         action: "BULK_CREATE_DEPOSITS_COMPLETED",
@@ -1259,6 +1275,8 @@ export const bulkCreateDeposits = async (req, res, next) => {
         details: {
           total: deposits.length,
           successCount: validDeposits.length,
+          replayedCount: replayed.length,
+          pendingApprovalCount: pendingAccounts.length,
           failedCount: failed.length,
           failureSummary,
         },
@@ -1285,10 +1303,13 @@ export const bulkCreateDeposits = async (req, res, next) => {
 
       return {
         total: deposits.length,
-        successCount: validDeposits.length,
+        successCount: validDeposits.length + replayed.length,
+        replayedCount: replayed.length,
+        pendingApprovalCount: pendingAccounts.length,
         failedCount: failed.length,
         failedAccounts: failed,
-        successAccounts: allSuccess,
+        successAccounts: [...allSuccess, ...replayed],
+        pendingApprovalAccounts: pendingAccounts,
         failureSummary,
       };
       
@@ -1313,63 +1334,409 @@ export const bulkCreateDeposits = async (req, res, next) => {
   }
 };
 
-// GET /api/deposits/eligible
+// GET /api/deposits/eligible?schemeType=&paymentMode=&city=&pinCode=&locality=&page=&limit=
+// Without page / limit the full list is returned as an array (older app builds rely on it)
 export const getEligibleAccountsForBulk = async (req, res, next) => {
   try {
     const scope = await getScope(req.user);
-    const now = new Date();
+    const { schemeType, paymentMode, city, pinCode, locality, page, limit } = req.query;
 
     // 🔹 Base filter (accounts within user’s scope)
-    let accountFilter = {};
+    const accountFilter = { companyId: new mongoose.Types.ObjectId(req.user.companyId) };
     if (!scope.isAll) {
       if (req.user.role === "Manager") {
         accountFilter.assignedAgent = { $in: scope.agents };
       } else if (req.user.role === "Agent") {
-        accountFilter.assignedAgent = req.user.id;
+        accountFilter.assignedAgent = new mongoose.Types.ObjectId(req.user.id);
       } else if (req.user.role === "User") {
-        accountFilter.userId = req.user.id;
+        accountFilter.userId = new mongoose.Types.ObjectId(req.user.id);
+      }
+    }
+
+    // 🔹 Search filters
+    if (schemeType) accountFilter.schemeType = schemeType;
+    if (paymentMode) {
+      if (!["Daily", "Monthly", "Yearly"].includes(paymentMode)) {
+        res.status(400);
+        throw new Error("Invalid paymentMode");
       }
+      accountFilter.paymentMode = paymentMode;
     }
 
-    // 🔹 Fetch scoped accounts
-    const accounts = await Account.find(accountFilter).populate("userId", "name");
+    // Locality lives on the client's addresses
+    if (city || pinCode || locality) {
+      const escape = (v) => String(v).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const addressFilter = { companyId: accountFilter.companyId };
+      if (city) addressFilter.city = new RegExp(`^${escape(city)}$`, "i");
+      if (pinCode) addressFilter.pinCode = String(pinCode).trim();
+      if (locality) {
+        const pattern = new RegExp(escape(locality), "i");
+        addressFilter.$or = [{ street: pattern }, { landmark: pattern }, { city: pattern }];
+      }
+      const clientIds = await UserAddress.distinct("userId", addressFilter);
+      accountFilter.$and = [{ userId: { $in: clientIds } }];
+    }
+
+    const paged = page !== undefined || limit !== undefined;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const pageLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+
+    const { total, accounts } = await findEligibleAccounts(
+      accountFilter,
+      paged ? { skip: (pageNum - 1) * pageLimit, limit: pageLimit } : {}
+    );
+
+    if (!paged) return res.json(accounts);
+
+    res.json({
+      total,
+      page: pageNum,
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit),
+      accounts,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+// Offline sync limits (device clock is trusted only inside this window)
+const SYNC_MAX_ITEMS = 500;
+const SYNC_MAX_OFFLINE_HOURS = Number(process.env.SYNC_MAX_OFFLINE_HOURS || 72);
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Rule failures caused by something that changed while the device was offline
+const SYNC_CONFLICT_REASONS = new Set([
+  "MONTHLY_ALREADY_PAID",
+  "YEARLY_ALREADY_PAID",
+  "DAILY_MONTHLY_TARGET_EXCEEDED",
+  "TOTAL_PAYABLE_EXCEEDED",
+  "ACCOUNT_MATURED",
+  "ACCOUNT_CLOSED",
+  "CLIENT_REASSIGNED",
+]);
 
-    const eligible = [];
+/**
+ * POST /api/deposits/sync (Agent only)
+ * Body: { deviceId, items: [{ seq, localTimestamp, accountId, amount, paymentMethod?, paymentDetails? }] }
+ *
+ * Items are processed in ascending `seq` order, each in its own transaction, and
+ * evaluated with the createDeposit rules as of the device timestamp. Every item gets
+ * an outcome: ACCEPTED | DUPLICATE | CONFLICT | REJECTED. A (deviceId, seq) pair is
+ * written at most once, so the app can resend its whole queue safely.
+ */
+export const syncOfflineDeposits = async (req, res, next) => {
+  try {
+    const { deviceId, items } = req.body;
 
-    for (const acc of accounts) {
-      if (acc.status === "Matured" || acc.isFullyPaid) {
-        continue; // ❌ skip matured or closed
+    if (!deviceId || typeof deviceId !== "string") {
+      res.status(400);
+      throw new Error("deviceId is required");
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      res.status(400);
+      throw new Error("items array required");
+    }
+    if (items.length > SYNC_MAX_ITEMS) {
+      res.status(400);
+      throw new Error(`A sync batch cannot exceed ${SYNC_MAX_ITEMS} items`);
+    }
+
+    const now = new Date();
+    const oldestAllowed = new Date(now.getTime() - SYNC_MAX_OFFLINE_HOURS * 60 * 60 * 1000);
+    const latestAllowed = new Date(now.getTime() + SYNC_CLOCK_SKEW_MS);
+
+    const results = [];
+    const seenSeqs = new Set();
+    const ordered = [...items].sort((a, b) => Number(a.seq) - Number(b.seq));
+
+    const geoSettings = await getGeofenceSettings(req.user.companyId);
+
+    for (const { seq, localTimestamp, accountId, amount, paymentMethod, paymentDetails, location } of ordered) {
+      const outcome = (status, extra = {}) => results.push({ seq, accountId, amount, status, ...extra });
+
+      if (!Number.isInteger(seq) || seq < 0) {
+        outcome("REJECTED", { reason: "INVALID_SEQUENCE" });
+        continue;
+      }
+      if (seenSeqs.has(seq)) {
+        outcome("REJECTED", { reason: "DUPLICATE_SEQUENCE_IN_BATCH" });
+        continue;
       }
+      seenSeqs.add(seq);
 
-      let alreadyDeposited = null;
+      // 🔁 Already synced in an earlier attempt → replay its outcome
+      const existing = await Deposit.findOne({
+        companyId: req.user.companyId,
+        deviceId,
+        deviceSeq: seq,
+      });
+      if (existing) {
+        outcome("DUPLICATE", { depositId: existing._id });
+        continue;
+      }
 
-      if (acc.paymentMode === "Daily") {
-        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-        const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
-        alreadyDeposited = await Deposit.findOne({
-          accountId: acc._id,
-          date: { $gte: startOfDay, $lte: endOfDay }
-        });
-      } else if (acc.paymentMode === "Monthly") {
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-        alreadyDeposited = await Deposit.findOne({
-          accountId: acc._id,
-          date: { $gte: startOfMonth, $lte: endOfMonth }
-        });
-      } else if (acc.paymentMode === "Yearly") {
-        alreadyDeposited = await Deposit.findOne({
-          accountId: acc._id
+      const recordedAt = new Date(localTimestamp);
+      if (!localTimestamp || isNaN(recordedAt)) {
+        outcome("REJECTED", { reason: "INVALID_TIMESTAMP" });
+        continue;
+      }
+      if (recordedAt > latestAllowed) {
+        outcome("REJECTED", { reason: "TIMESTAMP_IN_FUTURE" });
+        continue;
+      }
+      if (recordedAt < oldestAllowed) {
+        outcome("REJECTED", {
+          reason: "TIMESTAMP_TOO_OLD",
+          message: `Collections older than ${SYNC_MAX_OFFLINE_HOURS}h must be entered by an Admin`,
         });
+        continue;
       }
+      if (!mongoose.isValidObjectId(accountId)) {
+        outcome("REJECTED", { reason: "INVALID_ACCOUNT_ID" });
+        continue;
+      }
+      if (typeof amount !== "number" || amount <= 0) {
+        outcome("REJECTED", { reason: "INVALID_AMOUNT" });
+        continue;
+      }
+      const payment = parsePaymentInput({ paymentMethod, paymentDetails }, recordedAt);
+      if (!payment.ok) {
+        outcome("REJECTED", { reason: payment.reason, message: payment.message });
+        continue;
+      }
+
+      try {
+        const result = await withTransaction(async (session) => {
+          const account = await Account.findOne({
+            _id: accountId,
+            companyId: req.user.companyId,
+          }).session(session);
+
+          if (!account) {
+            return { status: "REJECTED", reason: "ACCOUNT_NOT_FOUND" };
+          }
+
+          // Matured or closed while the device was offline, whatever the device timestamp says
+          if (account.status === "Matured" || account.status === "Closed") {
+            return {
+              status: "CONFLICT",
+              reason: account.status === "Closed" ? "ACCOUNT_CLOSED" : "ACCOUNT_MATURED",
+              message: `Account is ${account.status.toLowerCase()}, no more deposits allowed`,
+            };
+          }
+
+          // Client moved to another agent while the device was offline
+          const client = await User.findById(account.userId).session(session);
+          if (!client || client.assignedTo?.toString() !== req.user.id.toString()) {
+            return {
+              status: "CONFLICT",
+              reason: "CLIENT_REASSIGNED",
+              message: "Client is no longer assigned to you",
+            };
+          }
+
+          const clientAddresses = await getClientAddresses([account.userId], session);
+          const geo = evaluateGeofence({
+            location: location ?? null,
+            address: clientAddresses.get(account.userId.toString()) || null,
+            settings: geoSettings,
+          });
+          if (!geo.ok) {
+            return { status: "REJECTED", reason: geo.reason, message: geo.message };
+          }
 
-      if (!alreadyDeposited) {
-        eligible.push(acc);
+          const rules = await evaluateDepositRules({ account, amount, date: recordedAt, session });
+          if (!rules.ok) {
+            return {
+              status: SYNC_CONFLICT_REASONS.has(rules.reason) ? "CONFLICT" : "REJECTED",
+              reason: rules.reason,
+              message: rules.message,
+            };
+          }
+
+          const { deposit } = await recordDeposit({
+            account,
+            rules,
+            userId: account.userId,
+            amount,
+            date: recordedAt,
+            companyId: req.user.companyId,
+            collectedBy: req.user.id,
+            extra: {
+              ...payment.fields,
+              ...geo.fields,
+              channel: "OfflineSync",
+              deviceId,
+              deviceSeq: seq,
+              deviceRecordedAt: recordedAt,
+            },
+            session,
+          });
+
+          return { status: "ACCEPTED", depositId: deposit._id };
+        });
+
+        const { status, ...extra } = result;
+        outcome(status, extra);
+      } catch (err) {
+        // Same item synced concurrently from a parallel request
+        if (err.code === 11000) {
+          const duplicate = await Deposit.findOne({
+            companyId: req.user.companyId,
+            deviceId,
+            deviceSeq: seq,
+          });
+          outcome("DUPLICATE", { depositId: duplicate?._id });
+          continue;
+        }
+        outcome("REJECTED", { reason: "PROCESSING_ERROR", message: err.message });
       }
     }
 
-    res.json(eligible);
+    const summary = results.reduce((acc, r) => {
+      acc[r.status] = (acc[r.status] || 0) + 1;
+      return acc;
+    }, { ACCEPTED: 0, DUPLICATE: 0, CONFLICT: 0, REJECTED: 0 });
+
+    await logAudit({
+      action: "SYNC_OFFLINE_DEPOSITS",
+      entityType: "DepositBatch",
+      details: {
+        deviceId,
+        total: items.length,
+        summary,
+        results: results.map(({ seq, status, reason, depositId }) => ({ seq, status, reason, depositId })),
+      },
+      reqUser: req.user,
+    });
+
+    res.status(200).json({ deviceId, total: items.length, summary, results });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/deposits/cheques?status=Pending → cheque register (Admin, Manager)
+export const getCheques = async (req, res, next) => {
+  try {
+    const { status = "Pending" } = req.query;
+    if (!["Pending", "Cleared", "Bounced"].includes(status)) {
+      res.status(400);
+      throw new Error("status must be Pending, Cleared or Bounced");
+    }
+
+    const scope = await getScope(req.user);
+    const filter = {
+      companyId: req.user.companyId,
+      paymentMethod: "Cheque",
+      entryType: { $ne: "Reversal" },
+      chequeStatus: status,
+    };
+    if (!scope.isAll) filter.collectedBy = { $in: scope.agents };
+
+    const cheques = await Deposit.find(filter)
+      .populate("accountId", "accountNumber clientName")
+      .populate("collectedBy", "name email")
+      .sort({ date: 1 });
+
+    res.json({
+      count: cheques.length,
+      totalAmount: cheques.reduce((sum, c) => sum + c.amount, 0),
+      cheques,
+    });
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * PATCH /api/deposits/:id/cheque → mark a Pending cheque Cleared or Bounced (Admin, Manager)
+ * Body: { status: "Cleared" | "Bounced", reason? } — reason is required for a bounce.
+ */
+export const updateChequeStatus = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body || {};
+
+    if (!["Cleared", "Bounced"].includes(status)) {
+      res.status(400);
+      throw new Error("status must be Cleared or Bounced");
+    }
+    if (status === "Bounced" && (!reason || !String(reason).trim())) {
+      res.status(400);
+      throw new Error("A reason is required for a bounced cheque");
+    }
+
+    const scope = await getScope(req.user);
+    const filter = { _id: req.params.id, companyId: req.user.companyId, paymentMethod: "Cheque" };
+    if (!scope.isAll) filter.collectedBy = { $in: scope.agents };
+
+    const deposit = await Deposit.findOne(filter);
+    if (!deposit) {
+      res.status(404);
+      throw new Error("Cheque deposit not found");
+    }
+    if (deposit.chequeStatus !== "Pending" || deposit.isReversed) {
+      res.status(409);
+      throw new Error(`Cheque is already ${String(deposit.chequeStatus || "settled").toLowerCase()}`);
+    }
+
+    const account = await Account.findById(deposit.accountId);
+    if (!account) {
+      res.status(404);
+      throw new Error("Associated account not found");
+    }
+
+    const reversal = await withTransaction(async (session) => {
+      const entry = await settleCheque({
+        deposit,
+        status,
+        reason: reason ? String(reason).trim() : undefined,
+        userId: req.user.id,
+        session,
+      });
+      await recalculateAccountTotals(account, { session, changedBy: req.user.id, reason: `Cheque of deposit ${deposit.receiptNumber} ${status.toLowerCase()}` });
+      return entry;
+    });
+
+    await logAudit({
+      action: status === "Cleared" ? "CHEQUE_CLEARED" : "CHEQUE_BOUNCED",
+      entityType: "Deposit",
+      entityId: deposit._id,
+      details: {
+        accountId: account._id,
+        amount: deposit.amount,
+        chequeNumber: deposit.paymentDetails?.chequeNumber,
+        bankName: deposit.paymentDetails?.bankName,
+        reason: deposit.bounceReason,
+        reversalId: reversal?._id,
+        accountBalance: account.balance,
+      },
+      reqUser: req.user,
+    });
+
+    // 🔔 Bounced cheque → the collecting agent has to follow up with the client
+    if (status === "Bounced" && deposit.collectedBy) {
+      const agent = await User.findById(deposit.collectedBy).select("fcmToken");
+      await sendFirebaseNotification(
+        agent?.fcmToken,
+        "Cheque Bounced ⚠️",
+        `Cheque ${deposit.paymentDetails?.chequeNumber} of ₹${deposit.amount} for account ${account.accountNumber} bounced: ${deposit.bounceReason}`,
+        {
+          type: "cheque-bounced",
+          depositId: deposit._id.toString(),
+          accountId: account._id.toString(),
+        }
+      );
+    }
+
+    res.json({
+      message: status === "Cleared" ? "Cheque cleared" : "Cheque bounced and reversed",
+      deposit,
+      reversal,
+      accountBalance: account.balance,
+      accountStatus: account.status,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
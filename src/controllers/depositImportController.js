@@ -0,0 +1,89 @@
+// controllers/depositImportController.js
+import DepositImport from "../models/DepositImport.js";
+import { parseImportFile, validateImportRows, commitDepositImport } from "../services/depositImportService.js";
+
+// Rows returned in the report; the full list stays on the import document
+const REPORT_ROW_LIMIT = 500;
+
+const buildReport = (importDoc) => {
+  const invalid = importDoc.rows.filter((r) => r.issues.length > 0);
+  return {
+    importId: importDoc._id,
+    fileName: importDoc.fileName,
+    status: importDoc.status,
+    summary: importDoc.summary,
+    invalidRows: invalid.slice(0, REPORT_ROW_LIMIT),
+    depositCount: importDoc.depositCount,
+    committedAt: importDoc.committedAt,
+  };
+};
+
+// POST /api/deposits/import (multipart "file") → dry run: parse + validate, nothing is written (Admin)
+export const uploadDepositImport = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      res.status(400);
+      throw new Error("Upload a .csv or .xlsx file in the 'file' field");
+    }
+
+    const parsed = await parseImportFile(req.file);
+    if (!parsed.ok) {
+      res.status(400);
+      throw new Error(parsed.message);
+    }
+
+    const { rows, summary } = await validateImportRows(req.user.companyId, parsed.rows);
+
+    const importDoc = await DepositImport.create({
+      companyId: req.user.companyId,
+      uploadedBy: req.user.id,
+      fileName: req.file.originalname,
+      rows,
+      summary,
+    });
+
+    res.status(201).json(buildReport(importDoc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/deposits/import/:importId → validation report of an upload (Admin)
+export const getDepositImport = async (req, res, next) => {
+  try {
+    const importDoc = await DepositImport.findOne({ _id: req.params.importId, companyId: req.user.companyId });
+    if (!importDoc) {
+      res.status(404);
+      throw new Error("Import not found");
+    }
+
+    res.json(buildReport(importDoc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/deposits/import/:importId/commit → { skipInvalid } write the validated rows (Admin)
+export const commitImport = async (req, res, next) => {
+  try {
+    const importDoc = await DepositImport.findOne({ _id: req.params.importId, companyId: req.user.companyId });
+    if (!importDoc) {
+      res.status(404);
+      throw new Error("Import not found");
+    }
+
+    const result = await commitDepositImport(importDoc, req.user, { skipInvalid: req.body?.skipInvalid === true });
+    if (!result.ok) {
+      const current = await DepositImport.findById(importDoc._id);
+      return res.status(result.reason === "IMPORT_NOT_PENDING" ? 409 : 400).json({
+        message: result.message,
+        reason: result.reason,
+        ...buildReport(current),
+      });
+    }
+
+    res.json(buildReport(result.importDoc));
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,125 @@
+// controllers/installmentController.js
+import mongoose from "mongoose";
+import Installment from "../models/Installment.js";
+import { getScope } from "../utils/scopeHelper.js";
+import { summarizeInstallments } from "../services/installmentService.js";
+
+const objId = (id) => new mongoose.Types.ObjectId(String(id));
+
+export const INSTALLMENT_STATUSES = ["Upcoming", "Paid", "PartiallyPaid", "Missed"];
+
+/**
+ * Parse ?status=Missed,PartiallyPaid&from=&to= into an installment filter (dueDate range)
+ * Sets res.status(400) and throws on bad input.
+ */
+export const parseInstallmentQuery = (req, res) => {
+  const filter = {};
+  const { status, from, to } = req.query;
+
+  if (status) {
+    const statuses = String(status).split(",").map((s) => s.trim());
+    const invalid = statuses.filter((s) => !INSTALLMENT_STATUSES.includes(s));
+    if (invalid.length) {
+      res.status(400);
+      throw new Error(`Invalid status: ${invalid.join(", ")}`);
+    }
+    filter.status = { $in: statuses };
+  }
+
+  if (from || to) {
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      res.status(400);
+      throw new Error("from / to must be valid dates");
+    }
+    filter.dueDate = { ...(start ? { $gte: start } : {}), ...(end ? { $lte: end } : {}) };
+  }
+
+  return filter;
+};
+
+// GET /api/installments?status=&agentId=&from=&to=&page=&limit= → installments across accounts, per agent
+export const getInstallments = async (req, res, next) => {
+  try {
+    const scope = await getScope(req.user);
+    const filter = { companyId: objId(req.user.companyId), ...parseInstallmentQuery(req, res) };
+
+    if (req.user.role === "Manager") {
+      filter.assignedAgent = { $in: scope.agents };
+    } else if (req.user.role === "Agent") {
+      filter.assignedAgent = objId(req.user.id);
+    } else if (req.user.role === "User") {
+      filter.userId = objId(req.user.id);
+    }
+
+    if (req.query.agentId) {
+      if (!mongoose.isValidObjectId(req.query.agentId)) {
+        res.status(400);
+        throw new Error("Invalid agentId");
+      }
+      const allowed =
+        req.user.role === "Admin" ||
+        (req.user.role === "Manager" && scope.agents.some((a) => a.toString() === req.query.agentId)) ||
+        (req.user.role === "Agent" && req.user.id.toString() === req.query.agentId);
+      if (!allowed) {
+        res.status(403);
+        throw new Error("Not authorized to view this agent's installments");
+      }
+      filter.assignedAgent = objId(req.query.agentId);
+    }
+
+    const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageLimit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    const [total, installments, byAgent, summary] = await Promise.all([
+      Installment.countDocuments(filter),
+      Installment.find(filter)
+        .populate("accountId", "accountNumber clientName paymentMode status")
+        .populate("assignedAgent", "name email")
+        .sort({ dueDate: 1, seq: 1 })
+        .skip((pageNum - 1) * pageLimit)
+        .limit(pageLimit)
+        .lean(),
+      Installment.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: "$assignedAgent",
+            upcoming: { $sum: { $cond: [{ $eq: ["$status", "Upcoming"] }, 1, 0] } },
+            paid: { $sum: { $cond: [{ $eq: ["$status", "Paid"] }, 1, 0] } },
+            partiallyPaid: { $sum: { $cond: [{ $eq: ["$status", "PartiallyPaid"] }, 1, 0] } },
+            missed: { $sum: { $cond: [{ $eq: ["$status", "Missed"] }, 1, 0] } },
+            expectedAmount: { $sum: "$expectedAmount" },
+            paidAmount: { $sum: "$paidAmount" },
+          },
+        },
+        { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "agent" } },
+        {
+          $project: {
+            _id: 0,
+            agentId: "$_id",
+            agentName: { $ifNull: [{ $arrayElemAt: ["$agent.name", 0] }, "Unassigned"] },
+            upcoming: 1,
+            paid: 1,
+            partiallyPaid: 1,
+            missed: 1,
+            expectedAmount: { $round: ["$expectedAmount", 2] },
+            paidAmount: { $round: ["$paidAmount", 2] },
+          },
+        },
+        { $sort: { missed: -1, agentName: 1 } },
+      ]),
+      summarizeInstallments(filter),
+    ]);
+
+    res.json({
+      summary,
+      byAgent,
+      pagination: { total, page: pageNum, limit: pageLimit, totalPages: Math.ceil(total / pageLimit) },
+      installments,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,362 @@
+// controllers/kycController.js
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Account from "../models/Account.js";
+import Company from "../models/Company.js";
+import ClientDocument, { DOCUMENT_TYPES, KYC_STATUSES, ID_PROOF_TYPES } from "../models/ClientDocument.js";
+import { getScope } from "../utils/scopeHelper.js";
+import { logAudit } from "../utils/auditLogger.js";
+import { sendFirebaseNotification } from "../utils/sendFirebaseNotification.js";
+import {
+  getKycSettings,
+  storeDocument,
+  openDocument,
+  removeDocument,
+  signDownloadUrl,
+  verifyDownloadSignature,
+} from "../services/documentService.js";
+
+// Client (role User) within the caller's scope: Manager → clients of own agents, Agent → own clients, User → self
+const findScopedClient = async (req, clientId) => {
+  if (!mongoose.isValidObjectId(clientId)) return null;
+
+  const scope = await getScope(req.user);
+  const filter = { _id: clientId, role: "User", companyId: req.user.companyId };
+  if (!scope.isAll) {
+    if (req.user.role === "Manager") {
+      filter.assignedTo = { $in: scope.agents };
+    } else if (req.user.role === "Agent") {
+      filter.assignedTo = req.user.id;
+    } else if (req.user.role === "User") {
+      if (String(clientId) !== String(req.user.id)) return null;
+    }
+  }
+  return User.findOne(filter).select("name email kyc fcmToken");
+};
+
+// POST /api/kyc/clients/:userId/documents (multipart: file, type, accountId?) → upload a KYC document
+export const uploadClientDocument = async (req, res, next) => {
+  try {
+    const { type, accountId } = req.body;
+
+    if (!req.file) {
+      res.status(400);
+      throw new Error("A file is required (field name: file)");
+    }
+    if (!DOCUMENT_TYPES.includes(type)) {
+      res.status(400);
+      throw new Error(`type must be one of ${DOCUMENT_TYPES.join(", ")}`);
+    }
+
+    const client = await findScopedClient(req, req.params.userId);
+    if (!client) {
+      res.status(404);
+      throw new Error("Client not found or not accessible");
+    }
+
+    let account = null;
+    if (accountId) {
+      account = mongoose.isValidObjectId(accountId)
+        ? await Account.findOne({ _id: accountId, userId: client._id, companyId: req.user.companyId })
+        : null;
+      if (!account) {
+        res.status(400);
+        throw new Error("accountId must be one of this client's accounts");
+      }
+    }
+
+    const result = await storeDocument({
+      companyId: req.user.companyId,
+      userId: client._id,
+      accountId: account?._id,
+      type,
+      file: req.file,
+      uploadedBy: req.user.id,
+    });
+    if (!result.ok) {
+      res.status(400);
+      throw new Error(result.message);
+    }
+    const { document } = result;
+
+    // Photo / signature of an account replace the previous one
+    if (account && (type === "Photo" || type === "Signature")) {
+      account[type === "Photo" ? "photoDocumentId" : "signatureDocumentId"] = document._id;
+      await account.save();
+    }
+
+    // A rejected client goes back to the review queue once new documents arrive
+    const kycUpdate = { "kyc.submittedAt": new Date() };
+    if (client.kyc?.status === "Rejected") kycUpdate["kyc.status"] = "Pending";
+    await User.updateOne({ _id: client._id }, { $set: kycUpdate });
+
+    await logAudit({
+      action: "UPLOAD_KYC_DOCUMENT",
+      entityType: "ClientDocument",
+      entityId: document._id,
+      details: { userId: client._id, accountId: account?._id, type, size: document.size, mimeType: document.mimeType },
+      reqUser: req.user,
+    });
+
+    res.status(201).json({ message: "Document uploaded", document });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/kyc/clients/:userId → KYC status and documents of a client
+export const getClientKyc = async (req, res, next) => {
+  try {
+    const client = await findScopedClient(req, req.params.userId);
+    if (!client) {
+      res.status(404);
+      throw new Error("Client not found or not accessible");
+    }
+
+    const documents = await ClientDocument.find({ userId: client._id })
+      .select("-storageKey")
+      .populate("uploadedBy", "name role")
+      .populate("reviewedBy", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      userId: client._id,
+      name: client.name,
+      kyc: client.kyc || { status: "Pending" },
+      documents,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/kyc/clients?status=Pending&page=&limit= → clients waiting for review (documents submitted)
+export const getKycQueue = async (req, res, next) => {
+  try {
+    const status = req.query.status || "Pending";
+    if (!KYC_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`status must be one of ${KYC_STATUSES.join(", ")}`);
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const scope = await getScope(req.user);
+    const filter = {
+      companyId: req.user.companyId,
+      role: "User",
+      "kyc.submittedAt": { $exists: true },
+      ...(status === "Pending" ? { "kyc.status": { $in: [null, "Pending"] } } : { "kyc.status": status }),
+    };
+    if (!scope.isAll) filter.assignedTo = { $in: scope.agents };
+
+    const [total, clients] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .select("name email assignedTo kyc")
+        .populate("assignedTo", "name")
+        .sort({ "kyc.submittedAt": 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.json({ total, page, limit, totalPages: Math.ceil(total / limit), clients });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/kyc/clients/:userId/review { status: Verified | Rejected, note } → Admin decision
+export const reviewClientKyc = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!["Verified", "Rejected"].includes(status)) {
+      res.status(400);
+      throw new Error("status must be Verified or Rejected");
+    }
+    if (status === "Rejected" && (!note || !note.trim())) {
+      res.status(400);
+      throw new Error("A note is required to reject KYC");
+    }
+
+    const client = await findScopedClient(req, req.params.userId);
+    if (!client) {
+      res.status(404);
+      throw new Error("Client not found or not accessible");
+    }
+
+    if (status === "Verified") {
+      const idProof = await ClientDocument.exists({
+        userId: client._id,
+        type: { $in: ID_PROOF_TYPES },
+        status: { $ne: "Rejected" },
+      });
+      if (!idProof) {
+        res.status(409);
+        throw new Error(`KYC can't be verified without an identity proof (${ID_PROOF_TYPES.join(" or ")})`);
+      }
+    }
+
+    const now = new Date();
+    const updated = await User.findByIdAndUpdate(
+      client._id,
+      {
+        $set: {
+          "kyc.status": status,
+          "kyc.reviewedBy": req.user.id,
+          "kyc.reviewedAt": now,
+          "kyc.note": note?.trim(),
+        },
+      },
+      { new: true }
+    ).select("name email kyc");
+
+    // Documents under review get the same decision
+    const documents = await ClientDocument.updateMany(
+      { userId: client._id, status: "Pending" },
+      { $set: { status, reviewedBy: req.user.id, reviewedAt: now } }
+    );
+
+    await logAudit({
+      action: status === "Verified" ? "VERIFY_KYC" : "REJECT_KYC",
+      entityType: "User",
+      entityId: client._id,
+      details: { previousStatus: client.kyc?.status || "Pending", note: note?.trim(), documents: documents.modifiedCount },
+      reqUser: req.user,
+    });
+
+    if (client.fcmToken) {
+      try {
+        await sendFirebaseNotification(
+          client.fcmToken,
+          status === "Verified" ? "KYC Verified ✅" : "KYC Rejected",
+          status === "Verified" ? "Your KYC documents have been verified." : note.trim(),
+          { type: "kyc", status }
+        );
+      } catch (err) {
+        console.error("⚠️ KYC notification failed:", err.message);
+      }
+    }
+
+    res.json({ message: `KYC ${status.toLowerCase()}`, userId: updated._id, kyc: updated.kyc });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/kyc/documents/:id/url?ttl= → signed, time-limited download link
+export const getDocumentUrl = async (req, res, next) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await ClientDocument.findOne({ _id: req.params.id, companyId: req.user.companyId })
+      : null;
+    if (!document || !(await findScopedClient(req, document.userId))) {
+      res.status(404);
+      throw new Error("Document not found or not accessible");
+    }
+
+    res.json({ documentId: document._id, ...signDownloadUrl(document, req.query.ttl) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/kyc/documents/:id/download?expires=&signature= → the file (no login; the signature is the permission)
+export const downloadDocument = async (req, res, next) => {
+  try {
+    const check = verifyDownloadSignature(req.params.id, req.query.expires, req.query.signature);
+    if (!check.ok) {
+      res.status(403);
+      throw new Error(check.reason === "LINK_EXPIRED" ? "Download link has expired" : "Invalid download link");
+    }
+
+    const document = await ClientDocument.findById(req.params.id);
+    if (!document) {
+      res.status(404);
+      throw new Error("Document not found");
+    }
+
+    const stream = await openDocument(document);
+    res.setHeader("Content-Type", document.mimeType);
+    const extension = document.storageKey.slice(document.storageKey.lastIndexOf("."));
+    res.setHeader("Content-Disposition", `inline; filename="${document.type}_${document._id}${extension}"`);
+    res.setHeader("Cache-Control", "private, no-store");
+    stream.on("error", (err) => next(err));
+    stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// DELETE /api/kyc/documents/:id → Admin, or the uploader while the document is still under review
+export const deleteDocument = async (req, res, next) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await ClientDocument.findOne({ _id: req.params.id, companyId: req.user.companyId })
+      : null;
+    if (!document || !(await findScopedClient(req, document.userId))) {
+      res.status(404);
+      throw new Error("Document not found or not accessible");
+    }
+
+    const ownPending = String(document.uploadedBy) === String(req.user.id) && document.status === "Pending";
+    if (req.user.role !== "Admin" && !ownPending) {
+      res.status(403);
+      throw new Error("Only an Admin can delete a reviewed document or one uploaded by someone else");
+    }
+
+    await removeDocument(document);
+    await Account.updateMany({ photoDocumentId: document._id }, { $unset: { photoDocumentId: 1 } });
+    await Account.updateMany({ signatureDocumentId: document._id }, { $unset: { signatureDocumentId: 1 } });
+
+    await logAudit({
+      action: "DELETE_KYC_DOCUMENT",
+      entityType: "ClientDocument",
+      entityId: document._id,
+      details: { userId: document.userId, type: document.type, status: document.status },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "Document deleted" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/kyc/settings → company KYC settings
+export const getKycSettingsHandler = async (req, res, next) => {
+  try {
+    res.json(await getKycSettings(req.user.companyId));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// PUT /api/kyc/settings { requireVerifiedForAccounts } → Admin toggles the account-creation block
+export const updateKycSettings = async (req, res, next) => {
+  try {
+    const { requireVerifiedForAccounts } = req.body;
+    if (typeof requireVerifiedForAccounts !== "boolean") {
+      res.status(400);
+      throw new Error("requireVerifiedForAccounts must be true or false");
+    }
+
+    await Company.updateOne(
+      { _id: req.user.companyId },
+      { $set: { "settings.kyc.requireVerifiedForAccounts": requireVerifiedForAccounts } }
+    );
+
+    await logAudit({
+      action: "UPDATE_KYC_SETTINGS",
+      entityType: "Company",
+      entityId: req.user.companyId,
+      details: { requireVerifiedForAccounts },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "KYC settings updated", ...(await getKycSettings(req.user.companyId)) });
+  } catch (err) {
+    next(err);
+  }
+};
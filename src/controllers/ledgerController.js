@@ -0,0 +1,96 @@
+// controllers/ledgerController.js
+import mongoose from "mongoose";
+import Account from "../models/Account.js";
+import JournalEntry from "../models/JournalEntry.js";
+import {
+  backfillDepositJournals,
+  findBalanceMismatches,
+  getAccountLedgerBalance,
+  repairAccountBalance,
+} from "../services/ledgerService.js";
+
+// GET /api/ledger/mismatches → accounts whose balance disagrees with the ledger (Admin)
+// Read-only: legacy deposits without journals show as drift until the 01:30 backfill or a repair
+export const getBalanceMismatches = async (req, res, next) => {
+  try {
+    const mismatches = await findBalanceMismatches(req.user.companyId);
+
+    res.json({ count: mismatches.length, mismatches });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/ledger/mismatches/repair → resync the cached Account.balance to the ledger (Admin)
+// The ledger is the source of truth: no journal is posted, only the cached balance is overwritten
+// (and audited). Legacy deposits get their journals first, otherwise they'd be wiped from the balance.
+// Body: { accountIds?: string[] } — omit to repair every mismatching account
+export const repairBalanceMismatches = async (req, res, next) => {
+  try {
+    const { accountIds } = req.body || {};
+
+    if (accountIds !== undefined) {
+      if (!Array.isArray(accountIds) || accountIds.some((id) => !mongoose.isValidObjectId(id))) {
+        res.status(400);
+        throw new Error("accountIds must be an array of account IDs");
+      }
+    }
+
+    await backfillDepositJournals(req.user.companyId);
+    const mismatches = await findBalanceMismatches(req.user.companyId, {
+      accountIds: accountIds?.map((id) => new mongoose.Types.ObjectId(id)),
+    });
+
+    const repaired = [];
+    for (const row of mismatches) {
+      const result = await repairAccountBalance(
+        { _id: row.accountId, accountNumber: row.accountNumber, balance: row.balance },
+        req.user
+      );
+      if (result) repaired.push(result);
+    }
+
+    res.json({
+      message: `${repaired.length} account balance(s) repaired`,
+      repairedCount: repaired.length,
+      repaired,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/ledger/accounts/:accountId → journal entries + ledger balance of one account (Admin)
+export const getAccountLedger = async (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    if (!mongoose.isValidObjectId(accountId)) {
+      res.status(400);
+      throw new Error("Invalid account ID");
+    }
+
+    const account = await Account.findOne({ _id: accountId, companyId: req.user.companyId })
+      .select("accountNumber clientName balance");
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found");
+    }
+
+    const entries = await JournalEntry.find({
+      companyId: req.user.companyId,
+      "legs.ledgerAccount": "CLIENT_ACCOUNT",
+      "legs.refId": account._id,
+    }).sort({ date: 1, _id: 1 });
+
+    const ledgerBalance = await getAccountLedgerBalance(account._id);
+
+    res.json({
+      account,
+      ledgerBalance,
+      inSync: Math.max(0, ledgerBalance) === (account.balance || 0),
+      entries,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,246 @@
+// controllers/paymentController.js
+import Account from "../models/Account.js";
+import AuditLog from "../models/AuditLog.js";
+import GatewayEvent from "../models/GatewayEvent.js";
+import PaymentIntent from "../models/PaymentIntent.js";
+import { logAudit } from "../utils/auditLogger.js";
+import {
+  createPaymentIntent,
+  getDefaultPaymentAmount,
+  ingestWebhook,
+  processGatewayEvent,
+} from "../services/paymentService.js";
+import { getGateway } from "../services/payments/index.js";
+
+// Intents past their checkout window read as Expired until the gateway says otherwise
+const withLiveStatus = (intent) => {
+  const obj = intent.toObject ? intent.toObject() : intent;
+  if (obj.status === "Created" && obj.expiresAt && obj.expiresAt < new Date()) obj.status = "Expired";
+  return obj;
+};
+
+// POST /api/payments/intents → client starts paying their own account online (User)
+export const createIntent = async (req, res, next) => {
+  try {
+    const { accountId } = req.body;
+    if (!accountId) {
+      res.status(400);
+      throw new Error("accountId is required");
+    }
+
+    const account = await Account.findOne({
+      _id: accountId,
+      companyId: req.user.companyId,
+      userId: req.user.id,
+    });
+    if (!account) {
+      res.status(404);
+      throw new Error("Account not found or not accessible");
+    }
+
+    const amount = req.body.amount != null ? Number(req.body.amount) : getDefaultPaymentAmount(account);
+    if (!amount || isNaN(amount) || amount <= 0) {
+      res.status(400);
+      throw new Error("Amount must be a positive number");
+    }
+
+    const result = await createPaymentIntent({ account, amount, userId: req.user.id });
+    if (!result.ok) {
+      res.status(400);
+      throw new Error(result.message);
+    }
+
+    await logAudit({
+      action: "CREATE_PAYMENT_INTENT",
+      entityType: "PaymentIntent",
+      entityId: result.intent._id,
+      details: { accountNumber: account.accountNumber, amount, gatewayOrderId: result.intent.gatewayOrderId },
+      reqUser: req.user,
+    });
+
+    res.status(201).json(result.intent);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/payments/intents/:id → poll the payment status after checkout
+export const getIntent = async (req, res, next) => {
+  try {
+    const filter = { _id: req.params.id, companyId: req.user.companyId };
+    if (req.user.role === "User") filter.userId = req.user.id;
+
+    const intent = await PaymentIntent.findOne(filter).populate("depositId", "receiptNumber amount date");
+    if (!intent) {
+      res.status(404);
+      throw new Error("Payment not found");
+    }
+
+    res.json(withLiveStatus(intent));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/payments/webhook/:gateway → gateway callbacks (no auth, signature verified)
+export const handleWebhook = async (req, res, next) => {
+  try {
+    const { statusCode, body } = await ingestWebhook({
+      gatewayName: req.params.gateway,
+      rawBody: req.rawBody,
+      headers: req.headers,
+    });
+    res.status(statusCode).json(body);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/payments/review-queue → the company's gateway events that could not be booked (Admin)
+export const getReviewQueue = async (req, res, next) => {
+  try {
+    const status = req.query.status || "NeedsReview";
+
+    const events = await GatewayEvent.find({ status, companyId: req.user.companyId })
+      .populate("paymentIntentId", "accountId amount gatewayOrderId status")
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json(events);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/payments/unmatched-events → events no payment intent matched, so no company owns them (SuperAdmin)
+export const getUnmatchedEvents = async (req, res, next) => {
+  try {
+    const status = req.query.status || "NeedsReview";
+
+    const events = await GatewayEvent.find({ status, companyId: { $exists: false } })
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json(events);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Retry or dismiss a review-queue event. Returns an error message for bad input.
+ */
+const applyReviewAction = async (event, { action, note }) => {
+  if (!["retry", "dismiss"].includes(action)) return "action must be retry or dismiss";
+
+  if (action === "retry") {
+    await processGatewayEvent(event);
+  } else {
+    if (!note || !note.trim()) return "A note is required to dismiss an event";
+    event.status = "Resolved";
+  }
+  event.reviewNote = note;
+  return null;
+};
+
+const reviewAuditEntry = (event, action, note) => ({
+  action: action === "retry" ? "RETRY_GATEWAY_EVENT" : "DISMISS_GATEWAY_EVENT",
+  entityType: "GatewayEvent",
+  entityId: event._id,
+  details: { eventId: event.eventId, status: event.status, reason: event.reason, note },
+});
+
+// POST /api/payments/review-queue/:id/resolve → { action: "retry" | "dismiss", note } (Admin)
+export const resolveReviewEvent = async (req, res, next) => {
+  try {
+    const { action, note } = req.body;
+
+    const event = await GatewayEvent.findOne({
+      _id: req.params.id,
+      status: "NeedsReview",
+      companyId: req.user.companyId,
+    });
+    if (!event) {
+      res.status(404);
+      throw new Error("Event not found in the review queue");
+    }
+
+    const error = await applyReviewAction(event, { action, note });
+    if (error) {
+      res.status(400);
+      throw new Error(error);
+    }
+    event.reviewedBy = req.user.id;
+    await event.save();
+
+    await logAudit({ ...reviewAuditEntry(event, action, note), reqUser: req.user });
+
+    res.json(event);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/payments/unmatched-events/:id/resolve → { action: "retry" | "dismiss", note } (SuperAdmin)
+// A retry that now finds the payment intent moves the event to that company
+export const resolveUnmatchedEvent = async (req, res, next) => {
+  try {
+    const { action, note } = req.body;
+
+    const event = await GatewayEvent.findOne({
+      _id: req.params.id,
+      status: "NeedsReview",
+      companyId: { $exists: false },
+    });
+    if (!event) {
+      res.status(404);
+      throw new Error("Event not found among unmatched events");
+    }
+
+    const error = await applyReviewAction(event, { action, note });
+    if (error) {
+      res.status(400);
+      throw new Error(error);
+    }
+    event.reviewedBySuperAdmin = req.superAdmin._id;
+    await event.save();
+
+    await AuditLog.create({ ...reviewAuditEntry(event, action, note), companyId: event.companyId });
+
+    res.json(event);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/payments/fake/orders/:orderId/simulate → { outcome: "success" | "failure" } (Admin, ENABLE_FAKE_GATEWAY only)
+export const simulateFakePayment = async (req, res, next) => {
+  try {
+    const intent = await PaymentIntent.findOne({
+      gateway: "fake",
+      gatewayOrderId: req.params.orderId,
+      companyId: req.user.companyId,
+    });
+    if (!intent) {
+      res.status(404);
+      throw new Error("Order not found");
+    }
+
+    const { outcome = "success", amount } = req.body;
+    const webhook = getGateway("fake").buildWebhook({
+      orderId: intent.gatewayOrderId,
+      amount: amount != null ? Number(amount) : intent.amount,
+      outcome,
+    });
+
+    // Same path a real delivery takes, signature check included
+    const { statusCode, body } = await ingestWebhook({
+      gatewayName: "fake",
+      rawBody: Buffer.from(webhook.rawBody),
+      headers: webhook.headers,
+    });
+    res.status(statusCode).json(body);
+  } catch (err) {
+    next(err);
+  }
+};
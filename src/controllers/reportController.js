@@ -3,8 +3,11 @@ import dayjs from "dayjs";
 import User from "../models/User.js";
 import Account from "../models/Account.js";
 import Deposit from "../models/Deposit.js";
+import PenaltyCharge from "../models/PenaltyCharge.js";
 import { getScope } from "../utils/scopeHelper.js";
 import { buildFilter } from "../utils/filterHelper.js";
+import { COLLECTION_ENTRY_FILTER } from "../services/depositService.js";
+import { getInterestForAccounts } from "../services/interestService.js";
 import { Parser as Json2CsvParser } from "json2csv";
 import PDFDocument from "pdfkit";
 
@@ -53,6 +56,8 @@ const getEffectiveScope = async (reqUser, managerId, agentId) => {
 };
 
 // Helpers
+const round2 = (n) => Math.round(n * 100) / 100;
+
 const getMonthRange = (offset = 0) => ({
   start: dayjs().add(offset, "month").startOf("month").toDate(),
   end: dayjs().add(offset, "month").endOf("month").toDate(),
@@ -113,7 +118,7 @@ export const getOverview = async (req, res, next) => {
 
       totalUsers = await User.countDocuments(rangeFilterUsers);
       totalAccounts = await Account.countDocuments(rangeFilterAccounts);
-      totalDeposits = await Deposit.countDocuments(rangeFilterDeposits);
+      totalDeposits = await Deposit.countDocuments({ ...rangeFilterDeposits, ...COLLECTION_ENTRY_FILTER });
 
       const agg = await Deposit.aggregate([
         { $match: rangeFilterDeposits },
@@ -158,13 +163,16 @@ export const getOverview = async (req, res, next) => {
       accountGrowth = Math.max(0, accountsThisMonth - accountsLastMonth);
 
       // ---------------- DEPOSITS ----------------
-      totalDeposits = await Deposit.countDocuments(depositFilter);
+      // Counts are collections only; amounts below are net of reversals/adjustments
+      totalDeposits = await Deposit.countDocuments({ ...depositFilter, ...COLLECTION_ENTRY_FILTER });
       const depositsThisMonth = await Deposit.countDocuments({
         ...depositFilter,
+        ...COLLECTION_ENTRY_FILTER,
         date: { $gte: thisMonthStart, $lte: thisMonthEnd },
       });
       const depositsLastMonth = await Deposit.countDocuments({
         ...depositFilter,
+        ...COLLECTION_ENTRY_FILTER,
         date: { $gte: lastMonthStart, $lte: lastMonthEnd },
       });
       depositGrowth = Math.max(0, depositsThisMonth - depositsLastMonth);
@@ -478,14 +486,132 @@ export const getDepositsReport = async (req, res, next) => {
       amount: m.amount
     }));
 
+    // 🔹 Late fees for periods ending in the range (same scope as accounts)
+    const penalties = await PenaltyCharge.find(
+      buildFilter(req, scope, { periodEnd: { $gte: fromDate, $lte: toDate } })
+    )
+      .populate("accountId", "accountNumber clientName schemeType")
+      .sort({ periodEnd: 1 })
+      .lean();
+
+    const sumPenalties = (list) => list.reduce((sum, p) => sum + p.amount, 0);
+
     res.json({
       range: { from, to },
       summary: {
         totalDeposits: deposits.length,
-        totalAmount
+        totalAmount,
+        totalPenalties: sumPenalties(penalties.filter(p => p.status !== "Waived")),
+        penaltiesDue: sumPenalties(penalties.filter(p => p.status === "Due")),
       },
       monthlyPerformance,
-      deposits
+      deposits,
+      penalties
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Collections recorded outside the client's geofence, per agent (Admin: all or ?agentId, Manager: own agents)
+export const getGeofenceExceptions = async (req, res, next) => {
+  try {
+    const { from, to, agentId } = req.query;
+
+    if (!from || !to) {
+      res.status(400);
+      throw new Error("Both 'from' and 'to' dates are required (YYYY-MM-DD)");
+    }
+
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+
+    if (isNaN(fromDate) || isNaN(toDate)) {
+      res.status(400);
+      throw new Error("Invalid date format. Use YYYY-MM-DD");
+    }
+
+    const scope = await getScope(req.user);
+    let agentIds = null;
+    if (!scope.isAll) agentIds = scope.agents.map((a) => String(a));
+    if (agentId) {
+      if (agentIds && !agentIds.includes(String(agentId))) {
+        res.status(403);
+        throw new Error("This agent does not belong to you");
+      }
+      agentIds = [String(agentId)];
+    }
+
+    const match = {
+      companyId: new mongoose.Types.ObjectId(String(req.user.companyId)),
+      date: { $gte: fromDate, $lte: toDate },
+      ...COLLECTION_ENTRY_FILTER,
+      ...(agentIds ? { collectedBy: { $in: agentIds.map((id) => new mongoose.Types.ObjectId(id)) } } : {}),
+    };
+
+    const [outside, totals] = await Promise.all([
+      Deposit.aggregate([
+        { $match: { ...match, "geofence.status": "Outside" } },
+        {
+          $group: {
+            _id: "$collectedBy",
+            outsideCount: { $sum: 1 },
+            outsideAmount: { $sum: "$amount" },
+            maxDistanceMeters: { $max: "$geofence.distanceMeters" },
+            avgDistanceMeters: { $avg: "$geofence.distanceMeters" },
+          },
+        },
+      ]),
+      Deposit.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$collectedBy",
+            totalCount: { $sum: 1 },
+            notCaptured: { $sum: { $cond: [{ $eq: ["$geofence.status", "NotCaptured"] }, 1, 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const totalsByAgent = new Map(totals.map((t) => [String(t._id), t]));
+    const agents = await User.find({ _id: { $in: outside.map((o) => o._id) } }).select("name email").lean();
+    const agentsById = new Map(agents.map((a) => [String(a._id), a]));
+
+    const byAgent = outside
+      .map((o) => {
+        const total = totalsByAgent.get(String(o._id));
+        return {
+          agentId: o._id,
+          agentName: agentsById.get(String(o._id))?.name || "Unknown",
+          outsideCount: o.outsideCount,
+          outsideAmount: o.outsideAmount,
+          totalCollections: total?.totalCount || 0,
+          outsideRate: total?.totalCount ? Math.round((o.outsideCount / total.totalCount) * 10000) / 100 : 0,
+          notCaptured: total?.notCaptured || 0,
+          avgDistanceMeters: Math.round(o.avgDistanceMeters || 0),
+          maxDistanceMeters: o.maxDistanceMeters || 0,
+        };
+      })
+      .sort((a, b) => b.outsideCount - a.outsideCount);
+
+    const collections = await Deposit.find({ ...match, "geofence.status": "Outside" })
+      .select("date amount receiptNumber accountId collectedBy location geofence")
+      .populate("accountId", "accountNumber clientName")
+      .populate("collectedBy", "name")
+      .sort({ date: -1 })
+      .limit(500)
+      .lean();
+
+    res.json({
+      range: { from, to },
+      summary: {
+        agents: byAgent.length,
+        outsideCount: byAgent.reduce((sum, a) => sum + a.outsideCount, 0),
+        outsideAmount: byAgent.reduce((sum, a) => sum + a.outsideAmount, 0),
+      },
+      byAgent,
+      collections,
     });
   } catch (err) {
     next(err);
@@ -567,15 +693,27 @@ export const getAccountsReport = async (req, res, next) => {
         target > 0 ? ((balance / target) * 100).toFixed(2) + "%" : "0%";
     });
 
+    // Interest accrued so far and projected maturity value
+    const interestByAccount = await getInterestForAccounts(accounts);
+    const totalAccruedInterest = round2(
+      [...interestByAccount.values()].reduce((sum, i) => sum + i.accruedInterest, 0)
+    );
+    const totalProjectedMaturityValue = round2(
+      [...interestByAccount.values()].reduce((sum, i) => sum + i.projectedMaturityValue, 0)
+    );
+
     // Add per-account progress
     const accountsWithProgress = accounts.map(a => {
       const progress =
         a.totalPayableAmount > 0
           ? ((a.balance / a.totalPayableAmount) * 100).toFixed(2)
           : "0.00";
+      const interest = interestByAccount.get(a._id.toString());
       return {
-        ...a.toObject(),
-        progress: `${progress}%`
+        ...a.toJSON(),
+        progress: `${progress}%`,
+        accruedInterest: interest?.accruedInterest || 0,
+        projectedMaturityValue: interest?.projectedMaturityValue || 0
       };
     });
 
@@ -613,6 +751,8 @@ export const getAccountsReport = async (req, res, next) => {
         totalAccounts,
         totalTargetAmount,
         totalBalance,
+        totalAccruedInterest,
+        totalProjectedMaturityValue,
         completionRate:
           totalTargetAmount > 0
             ? ((totalBalance / totalTargetAmount) * 100).toFixed(2) + "%"
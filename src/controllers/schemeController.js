@@ -2,6 +2,102 @@
 
 import Scheme from "../models/Scheme.js";
 import {generateSchemeType , ensureUniqueType} from "../utils/createSchemeType.js"
+import { COMPOUNDING_FREQUENCIES, INTEREST_METHODS, getInterestRules, quoteInterest } from "../services/interestService.js";
+import { validateDefaulterRules } from "../services/defaulterService.js";
+
+const PENALTY_TYPES = ["Flat", "Percentage"];
+
+/**
+ * Validate penaltyRules input and merge it over the current rules.
+ * Returns { error } or { rules }; effectiveFrom is stamped when rules get enabled.
+ */
+const normalizePenaltyRules = (input, current = {}) => {
+  if (input === undefined) return { rules: undefined };
+  if (!input || typeof input !== "object") return { error: "penaltyRules must be an object" };
+
+  const rules = { ...current, ...input };
+
+  if (rules.type !== undefined && !PENALTY_TYPES.includes(rules.type)) {
+    return { error: "penaltyRules.type must be Flat or Percentage" };
+  }
+  for (const field of ["value", "graceDays", "cap"]) {
+    if (rules[field] !== undefined && (typeof rules[field] !== "number" || rules[field] < 0)) {
+      return { error: `penaltyRules.${field} must be a non-negative number` };
+    }
+  }
+  if (rules.type === "Percentage" && rules.value > 100) {
+    return { error: "penaltyRules.value cannot exceed 100 for Percentage penalties" };
+  }
+  if (rules.enabled && !current.enabled && !input.effectiveFrom) {
+    rules.effectiveFrom = new Date();
+  }
+
+  return { rules };
+};
+
+/**
+ * Validate interestRules input and merge it over the current rules.
+ * Returns { error } or { rules }.
+ */
+const normalizeInterestRules = (input, current = {}) => {
+  if (input === undefined) return { rules: undefined };
+  if (!input || typeof input !== "object") return { error: "interestRules must be an object" };
+
+  const rules = { ...current, ...input };
+  if (rules.annualRate !== undefined && (typeof rules.annualRate !== "number" || rules.annualRate < 0 || rules.annualRate > 100)) {
+    return { error: "interestRules.annualRate must be a number between 0 and 100" };
+  }
+  if (rules.method !== undefined && !INTEREST_METHODS.includes(rules.method)) {
+    return { error: `interestRules.method must be one of ${INTEREST_METHODS.join(", ")}` };
+  }
+  if (rules.compounding !== undefined && !COMPOUNDING_FREQUENCIES[rules.compounding]) {
+    return { error: `interestRules.compounding must be one of ${Object.keys(COMPOUNDING_FREQUENCIES).join(", ")}` };
+  }
+
+  return { rules };
+};
+
+/**
+ * Validate prematureClosure input and merge it over the current rules.
+ * Returns { error } or { rules }.
+ */
+const normalizePrematureClosure = (input, current = {}) => {
+  if (input === undefined) return { rules: undefined };
+  if (!input || typeof input !== "object") return { error: "prematureClosure must be an object" };
+
+  const rules = { ...current, ...input };
+
+  if (rules.allowed !== undefined && typeof rules.allowed !== "boolean") {
+    return { error: "prematureClosure.allowed must be true or false" };
+  }
+  if (rules.penaltyType !== undefined && !PENALTY_TYPES.includes(rules.penaltyType)) {
+    return { error: "prematureClosure.penaltyType must be Flat or Percentage" };
+  }
+  for (const field of ["lockInMonths", "penaltyValue"]) {
+    if (rules[field] !== undefined && (typeof rules[field] !== "number" || rules[field] < 0)) {
+      return { error: `prematureClosure.${field} must be a non-negative number` };
+    }
+  }
+  if (rules.penaltyType === "Percentage" && rules.penaltyValue > 100) {
+    return { error: "prematureClosure.penaltyValue cannot exceed 100 for Percentage penalties" };
+  }
+  if (rules.interestRate != null && (typeof rules.interestRate !== "number" || rules.interestRate < 0 || rules.interestRate > 100)) {
+    return { error: "prematureClosure.interestRate must be a number between 0 and 100, or null" };
+  }
+
+  return { rules };
+};
+
+/**
+ * Validate defaulterRules input (null fields fall back to the company setting) and merge it over the current rules.
+ * Returns { error } or { rules }.
+ */
+const normalizeDefaulterRules = (input, current = {}) => {
+  if (input === undefined) return { rules: undefined };
+  const error = validateDefaulterRules(input, { allowNull: true });
+  if (error) return { error };
+  return { rules: { ...current, ...input } };
+};
 
 // ======================================================
 // 🔹 Controller: Create or Restore Scheme(s)
@@ -26,6 +122,24 @@ export const createScheme = async (req, res, next) => {
           message: `In scheme "${s.name}", maximum term must be >= minimum term`,
         });
       }
+      const { error, rules } = normalizePenaltyRules(s.penaltyRules);
+      if (error) {
+        return res.status(400).json({ message: `In scheme "${s.name}", ${error}` });
+      }
+      if (rules) s.penaltyRules = rules;
+
+      const interest = normalizeInterestRules(s.interestRules);
+      if (interest.error) {
+        return res.status(400).json({ message: `In scheme "${s.name}", ${interest.error}` });
+      }
+      const closure = normalizePrematureClosure(s.prematureClosure);
+      if (closure.error) {
+        return res.status(400).json({ message: `In scheme "${s.name}", ${closure.error}` });
+      }
+      const defaulter = normalizeDefaulterRules(s.defaulterRules);
+      if (defaulter.error) {
+        return res.status(400).json({ message: `In scheme "${s.name}", ${defaulter.error}` });
+      }
     }
 
     // Normalize scheme names (case-insensitive)
@@ -62,6 +176,10 @@ export const createScheme = async (req, res, next) => {
       existing.tenure = match.tenure;
       existing.minTerm = match.minTerm;
       existing.maxTerm = match.maxTerm;
+      if (match.penaltyRules) existing.penaltyRules = match.penaltyRules;
+      if (match.interestRules) existing.interestRules = match.interestRules;
+      if (match.prematureClosure) existing.prematureClosure = match.prematureClosure;
+      if (match.defaulterRules) existing.defaulterRules = match.defaulterRules;
       existing.type = uniqueType;
       await existing.save();
 
@@ -169,12 +287,64 @@ export const getSchemeById = async (req, res, next) => {
   }
 };
 
+/**
+ * ✅ Interest quote for a new account on this scheme
+ * GET /api/schemes/:id/quote?paymentMode=Monthly&amount=1000&durationMonths=60
+ * amount = installment (Monthly), daily deposit (Daily) or yearly amount (Yearly)
+ */
+export const getSchemeQuote = async (req, res, next) => {
+  try {
+    const scheme = await Scheme.findById(req.params.id);
+    if (!scheme || !scheme.isActive) {
+      return res.status(404).json({ message: "Scheme not found or inactive" });
+    }
+    if (scheme.companyId && String(scheme.companyId) !== String(req.user.companyId)) {
+      return res.status(404).json({ message: "Scheme not found or inactive" });
+    }
+
+    const { paymentMode, startDate } = req.query;
+    const amount = Number(req.query.amount);
+    const durationMonths = Number(req.query.durationMonths);
+
+    if (!["Daily", "Monthly", "Yearly"].includes(paymentMode)) {
+      return res.status(400).json({ message: "paymentMode must be Daily, Monthly or Yearly" });
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ message: "amount must be a positive number" });
+    }
+    if (!Number.isInteger(durationMonths) || durationMonths < scheme.minTerm || durationMonths > scheme.maxTerm) {
+      return res.status(400).json({
+        message: `durationMonths must be a whole number between ${scheme.minTerm} and ${scheme.maxTerm}`,
+      });
+    }
+    const start = startDate ? new Date(startDate) : new Date();
+    if (isNaN(start)) {
+      return res.status(400).json({ message: "Invalid startDate" });
+    }
+
+    const quote = quoteInterest({
+      rules: getInterestRules(scheme),
+      paymentMode,
+      amount,
+      durationMonths,
+      startDate: start,
+    });
+
+    res.status(200).json({
+      message: "Quote calculated successfully",
+      data: { schemeId: scheme._id, schemeName: scheme.name, ...quote },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * ✅ Update a scheme by ID
  */
 export const updateScheme = async (req, res, next) => {
   try {
-    const { name, tenure, minTerm, maxTerm } = req.body;
+    const { name, tenure, minTerm, maxTerm, penaltyRules, interestRules, prematureClosure, defaulterRules } = req.body;
 
     const scheme = await Scheme.findById(req.params.id);
     if (!scheme || !scheme.isActive) {
@@ -186,6 +356,33 @@ export const updateScheme = async (req, res, next) => {
     scheme.minTerm = minTerm ?? scheme.minTerm;
     scheme.maxTerm = maxTerm ?? scheme.maxTerm;
 
+    const { error, rules } = normalizePenaltyRules(
+      penaltyRules,
+      scheme.penaltyRules?.toObject?.() || {}
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (rules) scheme.penaltyRules = rules;
+
+    const interest = normalizeInterestRules(interestRules, scheme.interestRules?.toObject?.() || {});
+    if (interest.error) {
+      return res.status(400).json({ message: interest.error });
+    }
+    if (interest.rules) scheme.interestRules = interest.rules;
+
+    const closure = normalizePrematureClosure(prematureClosure, scheme.prematureClosure?.toObject?.() || {});
+    if (closure.error) {
+      return res.status(400).json({ message: closure.error });
+    }
+    if (closure.rules) scheme.prematureClosure = closure.rules;
+
+    const defaulter = normalizeDefaulterRules(defaulterRules, scheme.defaulterRules?.toObject?.() || {});
+    if (defaulter.error) {
+      return res.status(400).json({ message: defaulter.error });
+    }
+    if (defaulter.rules) scheme.defaulterRules = defaulter.rules;
+
     await scheme.save();
 
     res.status(200).json({
@@ -0,0 +1,167 @@
+// controllers/settingsController.js
+import Account from "../models/Account.js";
+import Company from "../models/Company.js";
+import { logAudit } from "../utils/auditLogger.js";
+import {
+  SEQUENCE_SCOPES,
+  getNumberingSettings,
+  validateNumbering,
+  formatAccountNumber,
+} from "../services/accountNumberService.js";
+import { DEFAULT_DEFAULTER_RULES, getDefaulterRules, validateDefaulterRules } from "../services/defaulterService.js";
+
+// What a number will look like with the given settings (first number of a Monthly RD account today)
+const exampleNumber = (settings) =>
+  formatAccountNumber(settings.template, {
+    companyCode: settings.companyCode,
+    schemeType: "RD",
+    paymentMode: "Monthly",
+    branchCode: settings.branches[0]?.code || "BR1",
+    date: new Date(),
+    seq: 1,
+  });
+
+// GET /api/settings/account-numbering → template, sequence scope, company code and branches
+export const getAccountNumbering = async (req, res, next) => {
+  try {
+    const settings = await getNumberingSettings(req.user.companyId);
+    res.json({ ...settings, sequenceScopes: SEQUENCE_SCOPES, example: exampleNumber(settings) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// PUT /api/settings/account-numbering { template, sequenceScope, companyCode? } → Admin sets the format
+export const updateAccountNumbering = async (req, res, next) => {
+  try {
+    const { template, sequenceScope = [], companyCode } = req.body;
+    const code = companyCode ? String(companyCode).trim().toUpperCase() : undefined;
+
+    const error = validateNumbering({ template, sequenceScope, companyCode: code });
+    if (error) {
+      res.status(400);
+      throw new Error(error);
+    }
+
+    const previous = await getNumberingSettings(req.user.companyId);
+    await Company.updateOne(
+      { _id: req.user.companyId },
+      {
+        $set: {
+          "settings.accountNumbering.template": template.trim(),
+          "settings.accountNumbering.sequenceScope": [...new Set(sequenceScope)],
+          ...(code ? { "settings.accountNumbering.companyCode": code } : {}),
+        },
+      }
+    );
+    const settings = await getNumberingSettings(req.user.companyId);
+
+    await logAudit({
+      action: "UPDATE_ACCOUNT_NUMBERING",
+      entityType: "Company",
+      entityId: req.user.companyId,
+      details: {
+        previous: { template: previous.template, sequenceScope: previous.sequenceScope, companyCode: previous.companyCode },
+        template: settings.template,
+        sequenceScope: settings.sequenceScope,
+        companyCode: settings.companyCode,
+      },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "Account numbering updated", ...settings, example: exampleNumber(settings) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// PUT /api/settings/branches { branches: [{ code, name }] } → Admin maintains the branch list
+export const updateBranches = async (req, res, next) => {
+  try {
+    const { branches } = req.body;
+    if (!Array.isArray(branches)) {
+      res.status(400);
+      throw new Error("branches must be an array of { code, name }");
+    }
+
+    const list = branches.map((b) => ({ code: String(b?.code || "").trim().toUpperCase(), name: b?.name?.trim() }));
+    if (list.some((b) => !/^[A-Z0-9]{1,10}$/.test(b.code))) {
+      res.status(400);
+      throw new Error("Each branch code must be 1-10 letters or digits");
+    }
+    if (new Set(list.map((b) => b.code)).size !== list.length) {
+      res.status(400);
+      throw new Error("Branch codes must be unique");
+    }
+
+    // Branches still used by accounts can't be removed
+    const inUse = await Account.distinct("branchCode", {
+      companyId: req.user.companyId,
+      branchCode: { $nin: [null, ...list.map((b) => b.code)] },
+    });
+    if (inUse.length) {
+      res.status(409);
+      throw new Error(`Branches in use by accounts can't be removed: ${inUse.join(", ")}`);
+    }
+
+    await Company.updateOne({ _id: req.user.companyId }, { $set: { branches: list } });
+
+    await logAudit({
+      action: "UPDATE_BRANCHES",
+      entityType: "Company",
+      entityId: req.user.companyId,
+      details: { branches: list },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "Branches updated", branches: list });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/settings/defaulter-rules → company rules for the nightly Defaulter classification
+export const getDefaulterRulesHandler = async (req, res, next) => {
+  try {
+    res.json({ ...(await getDefaulterRules(req.user.companyId)), defaults: DEFAULT_DEFAULTER_RULES });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// PUT /api/settings/defaulter-rules { enabled?, missedInstallments?, dailyShortfallPercent? } → Admin sets the rules
+export const updateDefaulterRules = async (req, res, next) => {
+  try {
+    const error = validateDefaulterRules(req.body);
+    if (error) {
+      res.status(400);
+      throw new Error(error);
+    }
+
+    const update = Object.fromEntries(
+      Object.keys(DEFAULT_DEFAULTER_RULES)
+        .filter((field) => req.body[field] !== undefined)
+        .map((field) => [`settings.defaulterRules.${field}`, req.body[field]])
+    );
+    if (Object.keys(update).length === 0) {
+      res.status(400);
+      throw new Error(`Nothing to update — send any of ${Object.keys(DEFAULT_DEFAULTER_RULES).join(", ")}`);
+    }
+
+    const previous = await getDefaulterRules(req.user.companyId);
+    await Company.updateOne({ _id: req.user.companyId }, { $set: update });
+    const rules = await getDefaulterRules(req.user.companyId);
+
+    await logAudit({
+      action: "UPDATE_DEFAULTER_RULES",
+      entityType: "Company",
+      entityId: req.user.companyId,
+      details: { previous, rules },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "Defaulter rules updated", ...rules });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,377 @@
+// controllers/settlementController.js
+import mongoose from "mongoose";
+import CashSettlement from "../models/CashSettlement.js";
+import Deposit from "../models/Deposit.js";
+import User from "../models/User.js";
+import { getScope } from "../utils/scopeHelper.js";
+import { getDayRange } from "../utils/timezone.js";
+import { logAudit } from "../utils/auditLogger.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import { sendFirebaseNotification } from "../utils/sendFirebaseNotification.js";
+import { COLLECTION_ENTRY_FILTER } from "../services/depositService.js";
+import { getLedgerBalances, postSettlementJournal } from "../services/ledgerService.js";
+
+const OPEN_STATUSES = ["Submitted", "VarianceFlagged", "Settled"];
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Net cash an agent recorded on one business day (reversals/adjustments included).
+ * UPI, bank transfers and cheques never pass through the agent's hands.
+ */
+const getAgentDaySummary = async (companyId, agentId, date) => {
+  const { start, end } = getDayRange(date);
+  const match = {
+    companyId: new mongoose.Types.ObjectId(String(companyId)),
+    collectedBy: new mongoose.Types.ObjectId(String(agentId)),
+    date: { $gte: start, $lte: end },
+    paymentMethod: { $in: ["Cash", null] }, // null → entries recorded before payment methods
+  };
+
+  const [agg, depositCount] = await Promise.all([
+    Deposit.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]),
+    Deposit.countDocuments({ ...match, ...COLLECTION_ENTRY_FILTER }),
+  ]);
+
+  return {
+    businessDate: start,
+    expectedAmount: round2(agg.length ? agg[0].total : 0),
+    depositCount,
+  };
+};
+
+/**
+ * Can this reviewer act on the settlement? Admins always; Managers for their own agents
+ * or when the cash was handed to them.
+ */
+const canReview = async (reqUser, settlement) => {
+  if (reqUser.role === "Admin") return true;
+  if (String(settlement.handedTo) === String(reqUser.id)) return true;
+
+  const scope = await getScope(reqUser);
+  return scope.agents.some((a) => String(a) === String(settlement.agentId));
+};
+
+// GET /api/settlements/preview?date=YYYY-MM-DD → what the agent should hand over (Agent)
+export const previewSettlement = async (req, res, next) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date)) {
+      res.status(400);
+      throw new Error("Invalid date format. Use YYYY-MM-DD");
+    }
+
+    const summary = await getAgentDaySummary(req.user.companyId, req.user.id, date);
+    const existing = await CashSettlement.findOne({
+      agentId: req.user.id,
+      businessDate: summary.businessDate,
+      status: { $in: OPEN_STATUSES },
+    });
+
+    res.json({ ...summary, settlement: existing || null });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/settlements → agent closes the day and hands cash over (Agent)
+export const createSettlement = async (req, res, next) => {
+  try {
+    const { date, declaredAmount, handedTo, notes } = req.body;
+
+    if (typeof declaredAmount !== "number" || declaredAmount < 0) {
+      res.status(400);
+      throw new Error("declaredAmount must be a non-negative number");
+    }
+
+    const businessDay = date ? new Date(date) : new Date();
+    if (isNaN(businessDay)) {
+      res.status(400);
+      throw new Error("Invalid date format. Use YYYY-MM-DD");
+    }
+    if (businessDay > new Date()) {
+      res.status(400);
+      throw new Error("Cannot settle a future day");
+    }
+
+    // ✅ Receiver: given Manager/Admin, else the agent's own Manager
+    const agent = await User.findById(req.user.id).select("assignedTo");
+    const receiverId = handedTo || agent?.assignedTo;
+    if (!receiverId || !mongoose.isValidObjectId(receiverId)) {
+      res.status(400);
+      throw new Error("handedTo is required (no Manager assigned to this agent)");
+    }
+
+    const receiver = await User.findOne({
+      _id: receiverId,
+      companyId: req.user.companyId,
+      role: { $in: ["Manager", "Admin"] },
+    }).select("name role fcmToken");
+    if (!receiver) {
+      res.status(400);
+      throw new Error("Cash can only be handed to a Manager or Admin of your company");
+    }
+    if (receiver.role === "Manager" && String(receiver._id) !== String(agent?.assignedTo)) {
+      res.status(400);
+      throw new Error("Cash can only be handed to your own Manager or an Admin");
+    }
+
+    const summary = await getAgentDaySummary(req.user.companyId, req.user.id, businessDay);
+
+    const existing = await CashSettlement.findOne({
+      agentId: req.user.id,
+      businessDate: summary.businessDate,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (existing) {
+      res.status(409);
+      throw new Error("This day has already been settled or is awaiting review");
+    }
+
+    const variance = round2(declaredAmount - summary.expectedAmount);
+
+    const settlement = await CashSettlement.create({
+      companyId: req.user.companyId,
+      agentId: req.user.id,
+      handedTo: receiver._id,
+      businessDate: summary.businessDate,
+      expectedAmount: summary.expectedAmount,
+      depositCount: summary.depositCount,
+      declaredAmount,
+      variance,
+      notes,
+      status: variance === 0 ? "Submitted" : "VarianceFlagged",
+    });
+
+    await logAudit({
+      action: "CREATE_CASH_SETTLEMENT",
+      entityType: "CashSettlement",
+      entityId: settlement._id,
+      details: {
+        businessDate: settlement.businessDate,
+        expectedAmount: settlement.expectedAmount,
+        declaredAmount,
+        variance,
+        handedTo: receiver._id,
+      },
+      reqUser: req.user,
+    });
+
+    await sendFirebaseNotification(
+      receiver.fcmToken,
+      variance === 0 ? "Cash Handover 💵" : "Cash Handover — Variance ⚠️",
+      `${req.user.name} handed over ₹${declaredAmount} for ${summary.businessDate.toDateString()}` +
+        (variance === 0 ? "" : ` (variance ₹${variance})`),
+      { type: "cash-settlement", settlementId: settlement._id.toString() }
+    );
+
+    res.status(201).json({ message: "Settlement submitted", settlement });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/settlements → list settlements in scope (Admin, Manager, Agent)
+export const getSettlements = async (req, res, next) => {
+  try {
+    const { status, agentId, from, to } = req.query;
+    const scope = await getScope(req.user);
+
+    const filter = { companyId: req.user.companyId };
+
+    if (!scope.isAll) {
+      if (req.user.role === "Manager") {
+        filter.$or = [{ agentId: { $in: scope.agents } }, { handedTo: req.user.id }];
+      } else {
+        filter.agentId = req.user.id;
+      }
+    }
+
+    if (status) filter.status = status;
+    if (agentId && req.user.role !== "Agent") filter.agentId = agentId;
+    if (from || to) {
+      filter.businessDate = {};
+      if (from) filter.businessDate.$gte = getDayRange(new Date(from)).start;
+      if (to) filter.businessDate.$lte = getDayRange(new Date(to)).end;
+    }
+
+    const settlements = await CashSettlement.find(filter)
+      .populate("agentId", "name email")
+      .populate("handedTo", "name role")
+      .populate("reviewedBy", "name")
+      .sort({ businessDate: -1, createdAt: -1 });
+
+    res.json({ count: settlements.length, settlements });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/settlements/:id/approve → receiver confirms the cash (Admin, Manager)
+export const approveSettlement = async (req, res, next) => {
+  try {
+    const { note } = req.body || {};
+
+    const settlement = await CashSettlement.findOne({
+      _id: req.params.id,
+      companyId: req.user.companyId,
+    });
+    if (!settlement) {
+      res.status(404);
+      throw new Error("Settlement not found");
+    }
+    if (!["Submitted", "VarianceFlagged"].includes(settlement.status)) {
+      res.status(400);
+      throw new Error(`Settlement is already ${settlement.status.toLowerCase()}`);
+    }
+    if (!(await canReview(req.user, settlement))) {
+      res.status(403);
+      throw new Error("Not authorized to review this settlement");
+    }
+    if (settlement.status === "VarianceFlagged" && (!note || !String(note).trim())) {
+      res.status(400);
+      throw new Error("A note is required to approve a settlement with a variance");
+    }
+
+    await withTransaction(async (session) => {
+      settlement.status = "Settled";
+      settlement.reviewedBy = req.user.id;
+      settlement.reviewedAt = new Date();
+      settlement.reviewNote = note;
+      await settlement.save(session ? { session } : {});
+
+      // Only the cash actually received leaves the agent; a shortfall stays in their hands
+      if (settlement.declaredAmount > 0) {
+        await postSettlementJournal(settlement, { postedBy: req.user.id, session });
+      }
+    });
+
+    await logAudit({
+      action: settlement.variance === 0 ? "APPROVE_CASH_SETTLEMENT" : "APPROVE_CASH_SETTLEMENT_VARIANCE",
+      entityType: "CashSettlement",
+      entityId: settlement._id,
+      details: {
+        agentId: settlement.agentId,
+        businessDate: settlement.businessDate,
+        expectedAmount: settlement.expectedAmount,
+        declaredAmount: settlement.declaredAmount,
+        variance: settlement.variance,
+        note,
+      },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "Settlement approved", settlement });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/settlements/:id/reject → agent has to recount and resubmit (Admin, Manager)
+export const rejectSettlement = async (req, res, next) => {
+  try {
+    const { note } = req.body || {};
+    if (!note || !String(note).trim()) {
+      res.status(400);
+      throw new Error("A note is required to reject a settlement");
+    }
+
+    const settlement = await CashSettlement.findOne({
+      _id: req.params.id,
+      companyId: req.user.companyId,
+    });
+    if (!settlement) {
+      res.status(404);
+      throw new Error("Settlement not found");
+    }
+    if (!["Submitted", "VarianceFlagged"].includes(settlement.status)) {
+      res.status(400);
+      throw new Error(`Settlement is already ${settlement.status.toLowerCase()}`);
+    }
+    if (!(await canReview(req.user, settlement))) {
+      res.status(403);
+      throw new Error("Not authorized to review this settlement");
+    }
+
+    settlement.status = "Rejected";
+    settlement.reviewedBy = req.user.id;
+    settlement.reviewedAt = new Date();
+    settlement.reviewNote = note;
+    await settlement.save();
+
+    await logAudit({
+      action: "REJECT_CASH_SETTLEMENT",
+      entityType: "CashSettlement",
+      entityId: settlement._id,
+      details: { agentId: settlement.agentId, businessDate: settlement.businessDate, note },
+      reqUser: req.user,
+    });
+
+    const agent = await User.findById(settlement.agentId).select("fcmToken");
+    await sendFirebaseNotification(
+      agent?.fcmToken,
+      "Cash Handover Rejected ❌",
+      `Your settlement for ${settlement.businessDate.toDateString()} was rejected: ${note}`,
+      { type: "cash-settlement", settlementId: settlement._id.toString() }
+    );
+
+    res.json({ message: "Settlement rejected", settlement });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/settlements/cash-in-hand → cash each agent still holds (Admin, Manager, Agent)
+export const getCashInHandReport = async (req, res, next) => {
+  try {
+    const scope = await getScope(req.user);
+
+    const agentFilter = { companyId: req.user.companyId, role: "Agent" };
+    if (!scope.isAll) agentFilter._id = { $in: scope.agents };
+
+    const agents = await User.find(agentFilter).select("name email").lean();
+    const agentIds = agents.map((a) => a._id);
+
+    const [ledger, pending, lastSettled] = await Promise.all([
+      getLedgerBalances("AGENT_CASH", {
+        match: { companyId: new mongoose.Types.ObjectId(String(req.user.companyId)) },
+        refIds: agentIds,
+      }),
+      CashSettlement.aggregate([
+        { $match: { agentId: { $in: agentIds }, status: { $in: ["Submitted", "VarianceFlagged"] } } },
+        { $group: { _id: "$agentId", amount: { $sum: "$declaredAmount" }, count: { $sum: 1 } } },
+      ]),
+      CashSettlement.aggregate([
+        { $match: { agentId: { $in: agentIds }, status: "Settled" } },
+        { $group: { _id: "$agentId", businessDate: { $max: "$businessDate" } } },
+      ]),
+    ]);
+
+    const pendingByAgent = new Map(pending.map((p) => [p._id.toString(), p]));
+    const lastByAgent = new Map(lastSettled.map((l) => [l._id.toString(), l.businessDate]));
+
+    const rows = agents.map((agent) => {
+      const id = agent._id.toString();
+      // AGENT_CASH is an asset: debit balance = cash held (ledger returns credit - debit)
+      const cashInHand = round2(-(ledger.get(id) || 0));
+      return {
+        agentId: agent._id,
+        name: agent.name,
+        email: agent.email,
+        cashInHand,
+        pendingHandover: round2(pendingByAgent.get(id)?.amount || 0),
+        pendingSettlements: pendingByAgent.get(id)?.count || 0,
+        lastSettledDate: lastByAgent.get(id) || null,
+      };
+    });
+
+    res.json({
+      totalCashInHand: round2(rows.reduce((sum, r) => sum + r.cashInHand, 0)),
+      agents: rows.sort((a, b) => b.cashInHand - a.cashInHand),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,13 +1,16 @@
 import crypto from "crypto";
 import mongoose from "mongoose";
-import User from "../models/User.js";
+import User, { USER_PERMISSIONS } from "../models/User.js";
 import Account from "../models/Account.js";
 import Deposit from "../models/Deposit.js";
+import Installment from "../models/Installment.js";
 import bcrypt from "bcryptjs";
 import { getScope } from "../utils/scopeHelper.js";
 import { sendEmail } from "../services/emailService.js";
 import Company from "../models/Company.js";
 import { generateEmailTemplate } from "../utils/emailTemplate.js";
+import { logAudit } from "../utils/auditLogger.js";
+import { presentAccounts } from "../utils/kycFields.js";
 
 // GET all users with role-based filtering
 export const getUsers = async (req, res, next) => {
@@ -240,6 +243,10 @@ export const updateUser = async (req, res, next) => {
         { userId: userToUpdate.id },
         { $set: { "assignedAgent": assignedTo } }
       );
+      await Installment.updateMany(
+        { userId: userToUpdate.id },
+        { $set: { assignedAgent: assignedTo } }
+      );
     }
 
     await userToUpdate.save();
@@ -377,7 +384,7 @@ export const deleteUser = async (req, res, next) => {
 export const getUserAccounts = async (req, res, next) => {
   try {
     const accounts = await Account.find({ userId: req.params.id }).populate("assignedAgent", "name email");
-    res.json(accounts);
+    res.json(await presentAccounts(accounts, req.user));
   } catch (err) {
     next(err);
   }
@@ -818,4 +825,41 @@ export const getBlockedUsers = async (req, res, next) => {
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+// PUT /api/users/:id/permissions { permissions: ["VIEW_KYC"] } → Admin grants / revokes extra rights
+export const updateUserPermissions = async (req, res, next) => {
+  try {
+    const { permissions } = req.body;
+    if (!Array.isArray(permissions) || permissions.some((p) => !USER_PERMISSIONS.includes(p))) {
+      res.status(400);
+      throw new Error(`permissions must be an array of: ${USER_PERMISSIONS.join(", ")}`);
+    }
+
+    const user = await User.findOne({ _id: req.params.id, companyId: req.user.companyId });
+    if (!user) {
+      res.status(404);
+      throw new Error("User not found");
+    }
+    if (user.role === "User") {
+      res.status(400);
+      throw new Error("Permissions can only be granted to staff (Admin, Manager, Agent)");
+    }
+
+    const previous = user.permissions || [];
+    user.permissions = [...new Set(permissions)];
+    await user.save();
+
+    await logAudit({
+      action: "UPDATE_USER_PERMISSIONS",
+      entityType: "User",
+      entityId: user._id,
+      details: { previous, permissions: user.permissions },
+      reqUser: req.user,
+    });
+
+    res.json({ message: "Permissions updated", userId: user._id, permissions: user.permissions });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import { assessPenalties } from "../services/penaltyService.js";
+
+export const startPenaltyCron = () => {
+  // Runs every night at 00:30, after the day has closed
+  cron.schedule("30 0 * * *", async () => {
+    try {
+      const { accountsChecked, chargesCreated, totalAmount } = await assessPenalties(new Date());
+      console.log(
+        `✅ Penalty Cron: ${accountsChecked} accounts checked, ${chargesCreated} charges posted (₹${totalAmount})`
+      );
+    } catch (err) {
+      console.error("❌ Penalty Cron Error:", err.message);
+    }
+  });
+};
@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import { classifyDefaulters } from "../services/defaulterService.js";
+
+export const startDefaulterCron = () => {
+  // Runs every night at 00:45, after installments are marked missed (00:15)
+  cron.schedule("45 0 * * *", async () => {
+    try {
+      const { accountsChecked, markedDefaulter, recovered } = await classifyDefaulters(new Date());
+      console.log(
+        `✅ Defaulter Cron: ${accountsChecked} accounts checked, ${markedDefaulter} marked Defaulter, ${recovered} back on track`
+      );
+    } catch (err) {
+      console.error("❌ Defaulter Cron Error:", err.message);
+    }
+  });
+};
@@ -0,0 +1,14 @@
+import cron from "node-cron";
+import { refreshInstallments } from "../services/installmentService.js";
+
+export const startInstallmentCron = () => {
+  // Runs every night at 00:15, once yesterday's installments are due
+  cron.schedule("15 0 * * *", async () => {
+    try {
+      const { schedulesCreated, markedMissed } = await refreshInstallments(new Date());
+      console.log(`✅ Installment Cron: ${schedulesCreated} schedules created, ${markedMissed} installments missed`);
+    } catch (err) {
+      console.error("❌ Installment Cron Error:", err.message);
+    }
+  });
+};
@@ -0,0 +1,54 @@
+import cron from "node-cron";
+import Company from "../models/Company.js";
+import AuditLog from "../models/AuditLog.js";
+import { backfillDepositJournals, findBalanceMismatches } from "../services/ledgerService.js";
+
+// Max mismatching accounts copied into the nightly audit entry
+const MAX_REPORTED = 50;
+
+/**
+ * Reconcile one company: post missing journals, then compare Account.balance with the ledger.
+ * Nothing is repaired automatically — Admins review and repair via /api/ledger/mismatches.
+ */
+export const reconcileCompanyBalances = async (companyId) => {
+  const journalsBackfilled = await backfillDepositJournals(companyId);
+  const mismatches = await findBalanceMismatches(companyId);
+
+  await AuditLog.create({
+    companyId,
+    action: "BALANCE_RECONCILIATION",
+    entityType: "Company",
+    entityId: companyId,
+    status: mismatches.length ? "FAILURE" : "SUCCESS",
+    details: {
+      journalsBackfilled,
+      mismatchCount: mismatches.length,
+      mismatches: mismatches.slice(0, MAX_REPORTED),
+    },
+  });
+
+  return { journalsBackfilled, mismatches };
+};
+
+export const startReconciliationCron = () => {
+  // Runs every night at 01:30, after the maturity job
+  cron.schedule("30 1 * * *", async () => {
+    try {
+      const companies = await Company.find().select("_id");
+      let totalMismatches = 0;
+
+      for (const company of companies) {
+        try {
+          const { mismatches } = await reconcileCompanyBalances(company._id);
+          totalMismatches += mismatches.length;
+        } catch (err) {
+          console.error(`❌ Reconciliation failed for company ${company._id}:`, err.message);
+        }
+      }
+
+      console.log(`✅ Reconciliation Cron: ${companies.length} companies checked, ${totalMismatches} balance mismatches`);
+    } catch (err) {
+      console.error("❌ Reconciliation Cron Error:", err.message);
+    }
+  });
+};
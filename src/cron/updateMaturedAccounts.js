@@ -1,25 +1,9 @@
 import cron from "node-cron";
 import Account from "../models/Account.js";
 import Deposit from "../models/Deposit.js";
-
-// Helper: Date boundaries
-const getMonthRange = () => {
-  const start = new Date();
-  start.setDate(1);
-  start.setHours(0, 0, 0, 0);
-
-  const end = new Date(start);
-  end.setMonth(end.getMonth() + 1);
-
-  return { start, end };
-};
-
-const getYearRange = () => {
-  const now = new Date();
-  const start = new Date(now.getFullYear(), 0, 1);
-  const end = new Date(now.getFullYear() + 1, 0, 1);
-  return { start, end };
-};
+import AccountStatusHistory from "../models/AccountStatusHistory.js";
+import { getMonthRange } from "../utils/timezone.js";
+import { monthStatus, nextStatus, transitionAccount } from "../services/accountLifecycleService.js";
 
 export const startMaturityCron = () => {
   // Runs every midnight (00:00)
@@ -27,68 +11,57 @@ export const startMaturityCron = () => {
     try {
       const today = new Date();
 
-      // 1) Maturity check
-      const maturedResult = await Account.updateMany(
-        { status: "Active", maturityDate: { $lte: today } },
-        { $set: { status: "Matured" } }
-      );
+      // 1) Maturity check — every open account past its maturity date
+      const dueAccounts = await Account.find({
+        status: { $nin: ["Matured", "Closed"] },
+        maturityDate: { $lte: today },
+      }).select("companyId status");
 
-      if (maturedResult.modifiedCount > 0) {
-        console.log(`✅ Maturity Cron: ${maturedResult.modifiedCount} accounts updated to 'Matured'`);
+      let matured = 0;
+      for (const acc of dueAccounts) {
+        const result = await transitionAccount(acc, "Matured", { reason: "Maturity date reached", source: "Maturity" });
+        if (result.ok && result.changed) matured++;
       }
 
-      // 2) Target validation for Active accounts
-      const activeAccounts = await Account.find({ status: "Active" });
-
-      for (const acc of activeAccounts) {
-        if (acc.paymentMode === "Monthly") {
-          const { start, end } = getMonthRange();
-
-          const totalDeposits = await Deposit.aggregate([
-            {
-              $match: {
-                accountId: acc._id,
-                date: { $gte: start.toISOString().split("T")[0], $lt: end.toISOString().split("T")[0] }
-              }
-            },
-            { $group: { _id: null, total: { $sum: "$amount" } } }
-          ]);
-
-          const totalAmount = totalDeposits.length > 0 ? totalDeposits[0].total : 0;
-
-          if (totalAmount < acc.monthlyTarget) {
-            acc.status = "Inactive";
-          } else {
-            acc.status = "Active";
-          }
-          await acc.save();
-        }
-
-        if (acc.paymentMode === "Yearly") {
-          const { start, end } = getYearRange();
+      if (matured > 0) {
+        console.log(`✅ Maturity Cron: ${matured} accounts updated to 'Matured'`);
+      }
 
-          const totalDeposits = await Deposit.aggregate([
-            {
-              $match: {
-                accountId: acc._id,
-                date: { $gte: start.toISOString().split("T")[0], $lt: end.toISOString().split("T")[0] }
-              }
-            },
-            { $group: { _id: null, total: { $sum: "$amount" } } }
-          ]);
+      // 2) Target validation — Daily / Monthly accounts against this month's collections
+      const openAccounts = await Account.find({
+        status: { $in: ["Active", "OnTrack", "Pending"] },
+        paymentMode: { $in: ["Daily", "Monthly"] },
+        isFullyPaid: { $ne: true },
+      }).select("companyId status paymentMode monthlyTarget");
+
+      const { start, end } = getMonthRange();
+      const totals = await Deposit.aggregate([
+        { $match: { accountId: { $in: openAccounts.map((a) => a._id) }, date: { $gte: start, $lte: end } } },
+        { $group: { _id: "$accountId", total: { $sum: "$amount" } } },
+      ]);
+      const collectedByAccount = new Map(totals.map((t) => [String(t._id), t.total]));
+
+      // Defaulters the classifier moved back to OnTrack this month keep that status until next month
+      const latestChanges = await AccountStatusHistory.aggregate([
+        { $match: { accountId: { $in: openAccounts.map((a) => a._id) }, changedAt: { $gte: start } } },
+        { $sort: { changedAt: -1, _id: -1 } },
+        { $group: { _id: "$accountId", source: { $first: "$source" }, to: { $first: "$to" } } },
+      ]);
+      const recovered = new Set(
+        latestChanges.filter((c) => c.source === "Classifier" && c.to === "OnTrack").map((c) => String(c._id))
+      );
 
-          const totalAmount = totalDeposits.length > 0 ? totalDeposits[0].total : 0;
+      let updated = 0;
+      for (const acc of openAccounts) {
+        if (recovered.has(String(acc._id))) continue;
+        const status = nextStatus(acc.status, monthStatus(acc, collectedByAccount.get(String(acc._id)) || 0));
+        if (!status) continue;
 
-          if (totalAmount < (acc.monthlyTarget || 0) * 12) {
-            acc.status = "Inactive";
-          } else {
-            acc.status = "Active";
-          }
-          await acc.save();
-        }
+        const result = await transitionAccount(acc, status, { reason: "Monthly target check", source: "System" });
+        if (result.ok && result.changed) updated++;
       }
 
-      console.log("✅ Cron Job: Maturity + Target validation done");
+      console.log(`✅ Cron Job: Maturity + Target validation done (${updated} statuses updated)`);
 
     } catch (err) {
       console.error("❌ Cron Job Error:", err.message);
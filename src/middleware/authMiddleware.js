@@ -43,6 +43,7 @@ export const protect = async (req, res, next) => {
       role: decoded.role || dbUser.role,
       companyId: decoded.companyId || dbUser.companyId,
       isBlocked: dbUser.isBlocked,
+      permissions: dbUser.permissions || [],
     };
 
     next();
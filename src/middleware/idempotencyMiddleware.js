@@ -0,0 +1,127 @@
+import crypto from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24);
+const LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS || 120);
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash of the request payload, so a key cannot be reused for a different body
+ */
+export const hashPayload = (payload) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(payload ?? {}))
+    .digest("hex");
+
+/**
+ * Idempotency middleware for retried writes.
+ * - No `Idempotency-Key` header → request passes through untouched
+ * - First request with a key → response is stored for IDEMPOTENCY_KEY_TTL_HOURS
+ * - Retry with the same key + body → original response is replayed, nothing is written again
+ * - Failed requests (status >= 400) release the key so the client can retry
+ * - An InProgress key whose lease (IDEMPOTENCY_LEASE_SECONDS) ran out is taken over by the retry
+ * @param {string} scope - logical endpoint name, e.g. "CREATE_DEPOSIT"
+ */
+export const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) {
+      res.status(400);
+      throw new Error(`Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const filter = {
+      companyId: req.user.companyId,
+      userId: req.user.id,
+      scope,
+      key,
+    };
+    const requestHash = hashPayload(req.body);
+
+    let record = await reserveKey(filter, requestHash);
+
+    // 🔁 Key already used → replay or reject
+    if (!record) {
+      const existing = await IdempotencyKey.findOne(filter);
+
+      if (existing && existing.requestHash !== requestHash) {
+        res.status(422);
+        throw new Error("Idempotency-Key was already used with a different request body");
+      }
+
+      // Missing here means the first attempt just failed and released the key
+      if (!existing || existing.status === "InProgress") {
+        res.status(409);
+        throw new Error("A request with this Idempotency-Key is still being processed");
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // ✅ Capture the response of the first request
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+      // Matching on the lease keeps a request that lost its key to a takeover from overwriting it
+      const owned = { _id: record._id, leaseExpiresAt: record.leaseExpiresAt };
+      const persist =
+        statusCode < 400
+          ? IdempotencyKey.updateOne(
+            owned,
+            { $set: { status: "Completed", statusCode, responseBody: body } }
+          )
+          : IdempotencyKey.deleteOne(owned);
+
+      persist
+        .catch((err) => console.error("Idempotency persist failed:", err.message))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Insert the InProgress record; returns null when the key is held or completed.
+ * Expired records that the TTL monitor has not removed yet are cleared first,
+ * and an InProgress record with a lapsed lease is claimed for this request.
+ */
+async function reserveKey(filter, requestHash) {
+  const now = Date.now();
+  const expiresAt = new Date(now + TTL_HOURS * 60 * 60 * 1000);
+  const leaseExpiresAt = new Date(now + LEASE_SECONDS * 1000);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      return await IdempotencyKey.create({ ...filter, requestHash, expiresAt, leaseExpiresAt });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+
+      const removed = await IdempotencyKey.deleteOne({
+        ...filter,
+        expiresAt: { $lte: new Date() },
+      });
+      if (removed.deletedCount > 0) continue;
+
+      // 🔓 Previous attempt died mid-request → take over its lease
+      return IdempotencyKey.findOneAndUpdate(
+        {
+          ...filter,
+          requestHash,
+          status: "InProgress",
+          leaseExpiresAt: { $not: { $gt: new Date() } },
+        },
+        { $set: { leaseExpiresAt, expiresAt } },
+        { new: true }
+      );
+    }
+  }
+  return null;
+}
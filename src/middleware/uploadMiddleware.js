@@ -0,0 +1,52 @@
+import multer from "multer";
+import path from "path";
+
+const MAX_IMPORT_FILE_MB = Number(process.env.MAX_IMPORT_FILE_MB || 5);
+const IMPORT_EXTENSIONS = [".csv", ".xlsx"];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new Error("Only .csv and .xlsx files are supported"));
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+/**
+ * Single spreadsheet upload kept in memory (field name "file"), CSV or XLSX only.
+ * Upload problems (wrong type, too large) are client errors.
+ */
+export const importFileUpload = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (err) res.status(400);
+    next(err);
+  });
+};
+
+const MAX_DOCUMENT_FILE_MB = Number(process.env.MAX_DOCUMENT_FILE_MB || 5);
+export const DOCUMENT_MIME_TYPES = ["image/jpeg", "image/png", "application/pdf"];
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_FILE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error("Only JPEG, PNG and PDF documents are supported"));
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+/**
+ * Single KYC document kept in memory (field name "file"), JPEG / PNG / PDF only.
+ * The declared type is re-checked against the file's content before storing.
+ */
+export const documentFileUpload = (req, res, next) => {
+  documentUpload(req, res, (err) => {
+    if (err) res.status(400);
+    next(err);
+  });
+};
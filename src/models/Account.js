@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { encryptKycFields, maskKycFields } from "../utils/kycFields.js";
 
 const accountSchema = new mongoose.Schema(
   {
@@ -14,10 +15,10 @@ const accountSchema = new mongoose.Schema(
     accountNumber: { 
       type: String, 
       required: [true, "Account number is required"], 
-      unique: true,
-      immutable: true,
-      match: [/^[A-Z0-9]+$/, "Account number must be alphanumeric only"]
+      immutable: true, // unique per company (index below), format from the company's template
+      match: [/^[A-Z0-9]+(-[A-Z0-9]+)*$/, "Account number may only contain letters, digits and single hyphens"]
     },
+    branchCode: { type: String, trim: true, uppercase: true }, // one of Company.branches
 
     schemeType: { 
       type: String, 
@@ -81,6 +82,17 @@ const accountSchema = new mongoose.Schema(
       min: [1, "Monthly target must be greater than 0"] 
     },
     isFullyPaid: { type: Boolean, default: false },
+    penaltyDue: { type: Number, default: 0, min: 0 }, // open late fees, see PenaltyCharge
+
+    // Set when a closure request is approved (the account is read-only from then on)
+    closedAt: { type: Date },
+    closureId: { type: mongoose.Schema.Types.ObjectId, ref: "AccountClosure" },
+
+    // Renewal of a matured account into a new one (POST /api/accounts/:id/renew)
+    renewedFromAccountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+    renewedToAccountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+    // Matured settlement moved in on renewal — in the balance, not part of totalPayableAmount
+    openingCredit: { type: Number, default: 0, min: 0 },
 
     // Auto-calculated total target
     totalPayableAmount: { 
@@ -90,30 +102,17 @@ const accountSchema = new mongoose.Schema(
     },
 
     // KYC & Extra details
-    aadharCardNumber: { 
-      type: String, 
-      immutable: true,
-      validate: {
-        validator: function (v) {
-          return !v || /^[0-9]{12}$/.test(v); // only if provided
-        },
-        message: "Aadhar card number must be exactly 12 digits"
-      }
-    },
-    panNumber: { 
-      type: String, 
-      uppercase: true,
-      immutable: true,
-      validate: {
-        validator: function (v) {
-          return !v || /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(v);
-        },
-        message: "Invalid PAN number format"
-      }
-    },
+    // Encrypted at rest (utils/kycFields.js) — format is checked before encryption
+    aadharCardNumber: { type: String, immutable: true },
+    panNumber: { type: String, immutable: true },
+    // Blind indexes for exact-match search on the encrypted numbers
+    aadharIndex: { type: String, select: false },
+    panIndex: { type: String, select: false },
     clientImage: { 
       type: String, 
     },
+    photoDocumentId: { type: mongoose.Schema.Types.ObjectId, ref: "ClientDocument" }, // uploaded photo (see /api/kyc)
+    signatureDocumentId: { type: mongoose.Schema.Types.ObjectId, ref: "ClientDocument" },
     nomineeName: { 
       type: String, 
       trim: true, 
@@ -150,7 +149,31 @@ const accountSchema = new mongoose.Schema(
       default: "Active"
     }
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    // Responses never carry the identity numbers in full (see presentAccounts for the exception)
+    toJSON: { transform: (doc, ret) => maskKycFields(ret) },
+  }
 );
 
+// 🔹 Validate, index and encrypt Aadhaar / PAN before they are stored
+accountSchema.pre("validate", function (next) {
+  try {
+    const invalid = encryptKycFields(this);
+    if (invalid) this.invalidate(invalid.field, invalid.message);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Account numbers repeat across companies (each has its own sequences)
+accountSchema.index({ companyId: 1, accountNumber: 1 }, { unique: true });
+
+// Scoped account lists (agent collection screens)
+accountSchema.index({ companyId: 1, assignedAgent: 1, paymentMode: 1 });
+
+accountSchema.index({ companyId: 1, aadharIndex: 1 }, { partialFilterExpression: { aadharIndex: { $type: "string" } } });
+accountSchema.index({ companyId: 1, panIndex: 1 }, { partialFilterExpression: { panIndex: { $type: "string" } } });
+
 export default mongoose.model("Account", accountSchema);
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Settlement figures (quoted on request, recalculated on approval)
+const settlementSchema = new mongoose.Schema(
+  {
+    asOf: { type: Date, required: true },
+    closureType: { type: String, enum: ["Premature", "Maturity"], required: true },
+    principal: { type: Number, default: 0 }, // net cleared deposits (ledger)
+    interestRate: { type: Number, default: 0 }, // annual %, applied
+    interest: { type: Number, default: 0 },
+    prematurePenalty: { type: Number, default: 0 },
+    lateFees: { type: Number, default: 0 }, // open late fees recovered from the payout
+    payoutAmount: { type: Number, default: 0 },
+    // Scheme rules applied, kept so later scheme edits don't rewrite history
+    rule: { type: Object },
+  },
+  { _id: false }
+);
+
+const accountClosureSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // client
+    assignedAgent: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // snapshot for scoping
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, trim: true },
+
+    quote: { type: settlementSchema, required: true },
+    settlement: { type: settlementSchema }, // final figures, set on approval
+
+    status: {
+      type: String,
+      enum: ["Pending", "Approved", "Rejected", "Cancelled"],
+      default: "Pending",
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true },
+    payoutId: { type: mongoose.Schema.Types.ObjectId, ref: "Payout" },
+  },
+  { timestamps: true }
+);
+
+// One open closure request per account
+accountClosureSchema.index(
+  { accountId: 1 },
+  { unique: true, partialFilterExpression: { status: "Pending" } }
+);
+accountClosureSchema.index({ companyId: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model("AccountClosure", accountClosureSchema);
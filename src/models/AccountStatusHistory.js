@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// What caused a status change
+export const STATUS_CHANGE_SOURCES = ["Manual", "Deposit", "Recalculation", "Maturity", "Closure", "Classifier", "System"];
+
+const accountStatusHistorySchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
+
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    reason: { type: String, trim: true },
+    source: { type: String, enum: STATUS_CHANGE_SOURCES, required: true },
+
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null → system (cron)
+    changedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+accountStatusHistorySchema.index({ accountId: 1, changedAt: -1 });
+accountStatusHistorySchema.index({ companyId: 1, changedAt: -1 });
+
+export default mongoose.model("AccountStatusHistory", accountStatusHistorySchema);
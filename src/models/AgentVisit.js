@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+export const VISIT_OUTCOMES = ["Collected", "NotHome", "Refused", "PromisedToPay", "Rescheduled"];
+
+// One field visit by an agent to a client (collections are also visible as deposits)
+const agentVisitSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // client visited
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account" }, // when the visit was about one account
+
+    outcome: { type: String, enum: VISIT_OUTCOMES, required: true },
+    note: { type: String, trim: true },
+    promisedDate: { type: Date }, // PromisedToPay / Rescheduled
+    location: {
+      lat: { type: Number },
+      lng: { type: Number },
+      accuracy: { type: Number },
+    },
+    visitedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+agentVisitSchema.index({ userId: 1, visitedAt: -1 });
+agentVisitSchema.index({ companyId: 1, agentId: 1, visitedAt: -1 });
+
+export default mongoose.model("AgentVisit", agentVisitSchema);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Collection dated further back than the company's backdating window; becomes a Deposit once an Admin approves
+const backdatedDepositRequestSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // client
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // collector
+    amount: { type: Number, required: true, min: 1 },
+    collectionDate: { type: Date, required: true },
+    payment: { type: Object, default: {} }, // paymentMethod / paymentDetails / chequeStatus as parsed
+    geo: { type: Object, default: {} }, // location / geofence captured with the request
+    channel: { type: String, enum: ["App", "Bulk"], default: "App" },
+    reason: { type: String, trim: true },
+
+    status: { type: String, enum: ["Pending", "Approved", "Rejected"], default: "Pending" },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true },
+    depositId: { type: mongoose.Schema.Types.ObjectId, ref: "Deposit" },
+  },
+  { timestamps: true }
+);
+
+backdatedDepositRequestSchema.index({ companyId: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model("BackdatedDepositRequest", backdatedDepositRequestSchema);
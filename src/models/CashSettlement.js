@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const cashSettlementSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    handedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // Manager or Admin
+
+    // Business day being closed (start of day, company timezone)
+    businessDate: { type: Date, required: true },
+
+    expectedAmount: { type: Number, required: true }, // net deposits collected that day
+    depositCount: { type: Number, default: 0 },
+    declaredAmount: { type: Number, required: true, min: 0 }, // cash actually handed over
+    variance: { type: Number, default: 0 }, // declared - expected (negative = short)
+    notes: { type: String, trim: true },
+
+    // Submitted → Settled, or VarianceFlagged → Settled (approved) / Rejected
+    status: {
+      type: String,
+      enum: ["Submitted", "VarianceFlagged", "Settled", "Rejected"],
+      default: "Submitted",
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+cashSettlementSchema.index({ companyId: 1, agentId: 1, businessDate: -1 });
+cashSettlementSchema.index({ companyId: 1, status: 1 });
+
+export default mongoose.model("CashSettlement", cashSettlementSchema);
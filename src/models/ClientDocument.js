@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+export const DOCUMENT_TYPES = ["Aadhaar", "PAN", "Photo", "Signature", "AddressProof", "Other"];
+export const KYC_STATUSES = ["Pending", "Verified", "Rejected"];
+
+// Identity proofs — KYC can only be verified once at least one of these is on file
+export const ID_PROOF_TYPES = ["Aadhaar", "PAN"];
+
+// A KYC / client document; the file itself lives in the storage backend (services/storage)
+const clientDocumentSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // client
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account" }, // photo / signature of one account
+
+    type: { type: String, enum: DOCUMENT_TYPES, required: true },
+    storage: { type: String, required: true }, // backend name: local | s3
+    storageKey: { type: String, required: true },
+    originalName: { type: String, trim: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    sha256: { type: String, required: true },
+
+    // Decided with the client's KYC review
+    status: { type: String, enum: KYC_STATUSES, default: "Pending" },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+clientDocumentSchema.index({ userId: 1, createdAt: -1 });
+clientDocumentSchema.index({ companyId: 1, status: 1 });
+
+export default mongoose.model("ClientDocument", clientDocumentSchema);
@@ -19,8 +19,36 @@ const companySchema = new mongoose.Schema(
       phone: { type: String, trim: true },
       website: { type: String, trim: true },
     },
+    branches: [
+      {
+        code: { type: String, required: true, trim: true, uppercase: true },
+        name: { type: String, trim: true },
+      },
+    ],
     settings: {
       timezone: { type: String, default: "Asia/Kolkata" },
+      backdateWindowDays: { type: Number, min: 0 }, // collections older than this need Admin approval
+      // Collections recorded away from the client's address: Off | Flag (report only) | Block
+      geofence: {
+        mode: { type: String, enum: ["Off", "Flag", "Block"] },
+        radiusMeters: { type: Number, min: 1 },
+        requireLocation: { type: Boolean },
+      },
+      kyc: {
+        requireVerifiedForAccounts: { type: Boolean }, // block account creation until the client's KYC is Verified
+      },
+      // Account numbers — see services/accountNumberService.js for tokens and defaults
+      accountNumbering: {
+        template: { type: String, trim: true }, // e.g. "{COMPANY}-{SCHEME}{YY}-{SEQ:5}"
+        sequenceScope: [{ type: String, enum: ["paymentMode", "scheme", "year", "branch"] }],
+        companyCode: { type: String, trim: true, uppercase: true },
+      },
+      // Automatic Defaulter status — see services/defaulterService.js for defaults; schemes can override
+      defaulterRules: {
+        enabled: { type: Boolean },
+        missedInstallments: { type: Number, min: 0 }, // Monthly: consecutive installments missed (0 = off)
+        dailyShortfallPercent: { type: Number, min: 0, max: 100 }, // Daily: last month below % of monthlyTarget (0 = off)
+      },
     },
 
     // NEW: one-time init token storage (store HASH only)
@@ -2,7 +2,7 @@
 import mongoose from "mongoose";
 
 const counterSchema = new mongoose.Schema({
-  key: { type: String, required: true, unique: true }, // e.g. "Yearly", "Monthly"
+  key: { type: String, required: true, unique: true }, // e.g. "receipt:<companyId>", "account:<companyId>:mode=Monthly"
   seq: { type: Number, default: 100000 }, // starting number
 });
 
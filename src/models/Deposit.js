@@ -6,8 +6,78 @@ const depositSchema = new mongoose.Schema({
     accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     schemeType: { type: String },
-    amount: { type: Number, required: true },
-    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" } // Agent ID
+    amount: { type: Number, required: true }, // negative for reversals / downward adjustments
+    receiptNumber: { type: String }, // per-company sequence, see utils/receiptHelper.js
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Agent ID
+    idempotencyKey: { type: String, trim: true }, // client key for retried bulk items
+
+    // How the client paid; reference fields depend on the method
+    paymentMethod: { type: String, enum: ["Cash", "UPI", "BankTransfer", "Cheque", "Online"], default: "Cash" },
+    paymentDetails: {
+        utr: { type: String, trim: true }, // UPI / bank transfer reference
+        chequeNumber: { type: String, trim: true },
+        bankName: { type: String, trim: true },
+        instrumentDate: { type: Date }, // date printed on the cheque
+        gateway: { type: String, trim: true }, // Online: gateway name and its payment id
+        gatewayPaymentId: { type: String, trim: true },
+    },
+    // Cheques count towards the balance only once Cleared
+    chequeStatus: { type: String, enum: ["Pending", "Cleared", "Bounced"] },
+    chequeStatusAt: { type: Date },
+    chequeStatusBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    bounceReason: { type: String, trim: true },
+
+    // Where the entry came from; offline-synced collections keep their device stamp
+    channel: { type: String, enum: ["App", "Bulk", "OfflineSync", "Gateway", "Import"], default: "App" },
+    importId: { type: mongoose.Schema.Types.ObjectId, ref: "DepositImport" }, // historical upload batch
+    deviceId: { type: String, trim: true },
+    deviceSeq: { type: Number },
+    deviceRecordedAt: { type: Date },
+
+    // Device location at collection time, checked against the client's primary address
+    location: {
+        lat: { type: Number },
+        lng: { type: Number },
+        accuracy: { type: Number }, // meters, as reported by the device
+        capturedAt: { type: Date },
+    },
+    geofence: {
+        status: { type: String, enum: ["Inside", "Outside", "NoAddress", "NotCaptured"] },
+        distanceMeters: { type: Number },
+        radiusMeters: { type: Number },
+        addressId: { type: mongoose.Schema.Types.ObjectId, ref: "UserAddress" },
+    },
+
+    // Ledger corrections: entries are never edited or deleted, only offset
+    entryType: { type: String, enum: ["Deposit", "Reversal", "Adjustment"], default: "Deposit" },
+    originalDepositId: { type: mongoose.Schema.Types.ObjectId, ref: "Deposit" }, // entry being corrected / replaced
+    isReversed: { type: Boolean, default: false },
+    reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Deposit" }, // the Reversal entry
+    reason: { type: String, trim: true },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    backdateRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "BackdatedDepositRequest" } // approved late entry
 }, { timestamps: true });
 
+depositSchema.index({ originalDepositId: 1 });
+depositSchema.index({ accountId: 1, date: -1 }); // per-account period lookups (eligibility, rules, statements)
+depositSchema.index({ companyId: 1, "geofence.status": 1, date: -1 }, { partialFilterExpression: { "geofence.status": "Outside" } });
+depositSchema.index({ companyId: 1, chequeStatus: 1 }, { partialFilterExpression: { chequeStatus: { $type: "string" } } });
+
+// A client key can only ever produce one deposit per company
+depositSchema.index(
+    { companyId: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } }
+);
+
+depositSchema.index(
+    { companyId: 1, receiptNumber: 1 },
+    { unique: true, partialFilterExpression: { receiptNumber: { $type: "string" } } }
+);
+
+// A device queue entry can only be synced once
+depositSchema.index(
+    { companyId: 1, deviceId: 1, deviceSeq: 1 },
+    { unique: true, partialFilterExpression: { deviceId: { $type: "string" } } }
+);
+
 export default mongoose.model("Deposit", depositSchema);
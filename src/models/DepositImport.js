@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const importRowSchema = new mongoose.Schema(
+  {
+    row: { type: Number, required: true }, // line in the uploaded sheet (header = 1)
+    accountNumber: { type: String },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+    date: { type: Date },
+    amount: { type: Number },
+    paymentMethod: { type: String },
+    reference: { type: String }, // UTR / cheque number from the passbook
+    issues: [{ type: String }], // empty → row can be committed
+  },
+  { _id: false }
+);
+
+// Historical passbook upload: validated first (dry run), written only on commit
+const depositImportSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    fileName: { type: String, trim: true },
+    status: { type: String, enum: ["Validated", "Committing", "Committed"], default: "Validated" },
+    rows: [importRowSchema],
+    summary: {
+      totalRows: { type: Number, default: 0 },
+      validRows: { type: Number, default: 0 },
+      invalidRows: { type: Number, default: 0 },
+      totalAmount: { type: Number, default: 0 }, // of valid rows
+      errorCounts: { type: Object, default: {} },
+    },
+    committedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    committedAt: { type: Date },
+    depositCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+depositImportSchema.index({ companyId: 1, createdAt: -1 });
+
+export default mongoose.model("DepositImport", depositImportSchema);
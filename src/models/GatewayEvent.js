@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Every verified webhook delivery, kept for replay protection and the review queue
+const gatewayEventSchema = new mongoose.Schema(
+  {
+    gateway: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: { type: String, required: true }, // payment.captured, payment.failed …
+    payload: { type: Object },
+
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" }, // unset until matched to an intent
+    paymentIntentId: { type: mongoose.Schema.Types.ObjectId, ref: "PaymentIntent" },
+    depositId: { type: mongoose.Schema.Types.ObjectId, ref: "Deposit" },
+
+    // NeedsReview → unmatched intent, amount mismatch or deposit rule failure
+    // Failed → processing threw; applied again when the gateway redelivers
+    status: {
+      type: String,
+      enum: ["Received", "Processed", "Ignored", "NeedsReview", "Failed", "Resolved"],
+      default: "Received",
+    },
+    reason: { type: String },
+    message: { type: String },
+
+    attempts: { type: Number, default: 0 },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedBySuperAdmin: { type: mongoose.Schema.Types.ObjectId, ref: "SuperAdmin" }, // unmatched events
+    reviewNote: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+// One stored event per gateway event id, however often it is redelivered
+gatewayEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+gatewayEventSchema.index({ companyId: 1, status: 1 });
+
+export default mongoose.model("GatewayEvent", gatewayEventSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+/**
+ * Stored result of a client-retried write (Idempotency-Key header).
+ * Documents expire automatically through the TTL index on expiresAt.
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    scope: { type: String, required: true }, // e.g. "CREATE_DEPOSIT"
+    key: { type: String, required: true, trim: true },
+    requestHash: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["InProgress", "Completed"],
+      default: "InProgress",
+    },
+    statusCode: { type: Number },
+    responseBody: { type: Object },
+    // InProgress records past their lease are treated as abandoned and can be taken over
+    leaseExpiresAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// One key per user + endpoint; a retry must hit the same record
+idempotencyKeySchema.index({ companyId: 1, userId: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// One period of an account's payment schedule; deposits are allocated by collection date
+const installmentSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
+    // snapshot of the account's client / agent, for scoped listings
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    assignedAgent: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    seq: { type: Number, required: true }, // 1-based position in the schedule
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true }, // inclusive
+    dueDate: { type: Date, required: true },
+    expectedAmount: { type: Number, required: true, min: 0 },
+    paidAmount: { type: Number, default: 0 },
+
+    // Upcoming → not fully paid and not due yet; Missed → due with nothing paid
+    status: {
+      type: String,
+      enum: ["Upcoming", "Paid", "PartiallyPaid", "Missed"],
+      default: "Upcoming",
+    },
+  },
+  { timestamps: true }
+);
+
+installmentSchema.index({ accountId: 1, seq: 1 }, { unique: true });
+installmentSchema.index({ accountId: 1, periodStart: 1, periodEnd: 1 });
+installmentSchema.index({ companyId: 1, assignedAgent: 1, status: 1, dueDate: 1 });
+installmentSchema.index({ status: 1, dueDate: 1 });
+
+export default mongoose.model("Installment", installmentSchema);
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// Ledger accounts money can sit in:
+// CLIENT_ACCOUNT → what the company owes the client (refId = Account)
+// AGENT_CASH     → cash held by a collecting agent (refId = User)
+// OFFICE_CASH    → cash at the company office (refId = Company)
+// BANK           → UPI / bank transfer / cleared cheque receipts (refId = Company)
+// CLIENT_PENALTY → late fees the client owes (refId = Account)
+// PENALTY_INCOME → late fee / premature closure income of the company (refId = Company)
+// INTEREST_EXPENSE → interest credited to clients (refId = Company)
+export const LEDGER_ACCOUNTS = [
+  "CLIENT_ACCOUNT",
+  "AGENT_CASH",
+  "OFFICE_CASH",
+  "BANK",
+  "CLIENT_PENALTY",
+  "PENALTY_INCOME",
+  "INTEREST_EXPENSE",
+];
+
+const legSchema = new mongoose.Schema(
+  {
+    ledgerAccount: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    refId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const journalEntrySchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    date: { type: Date, required: true },
+    sourceType: { type: String, required: true }, // Deposit, PenaltyCharge, PenaltyWaiver, PenaltyCollection …
+    sourceId: { type: mongoose.Schema.Types.ObjectId }, // document that caused the movement
+    description: { type: String, trim: true },
+    legs: {
+      type: [legSchema],
+      validate: {
+        validator: (legs) => legs.length >= 2,
+        message: "A journal entry needs at least two legs",
+      },
+    },
+    postedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// Double entry: debits must equal credits
+journalEntrySchema.pre("validate", function (next) {
+  const debit = this.legs.reduce((sum, l) => sum + (l.debit || 0), 0);
+  const credit = this.legs.reduce((sum, l) => sum + (l.credit || 0), 0);
+  if (Math.abs(debit - credit) > 0.0001) {
+    return next(new Error(`Unbalanced journal entry (debit ${debit}, credit ${credit})`));
+  }
+  next();
+});
+
+// One journal per source document
+journalEntrySchema.index(
+  { sourceType: 1, sourceId: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $type: "objectId" } } }
+);
+journalEntrySchema.index({ "legs.ledgerAccount": 1, "legs.refId": 1 });
+journalEntrySchema.index({ companyId: 1, date: -1 });
+
+export default mongoose.model("JournalEntry", journalEntrySchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Client self-payment started from the app; becomes a Deposit when the gateway confirms it
+const paymentIntentSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    amount: { type: Number, required: true, min: 1 },
+    currency: { type: String, default: "INR" },
+
+    gateway: { type: String, required: true },
+    gatewayOrderId: { type: String, required: true },
+    gatewayPaymentId: { type: String },
+    checkoutUrl: { type: String },
+
+    status: {
+      type: String,
+      enum: ["Created", "Paid", "Failed", "Expired", "NeedsReview"],
+      default: "Created",
+    },
+    failureReason: { type: String },
+    depositId: { type: mongoose.Schema.Types.ObjectId, ref: "Deposit" },
+    paidAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+paymentIntentSchema.index({ gateway: 1, gatewayOrderId: 1 }, { unique: true });
+paymentIntentSchema.index({ accountId: 1, status: 1 });
+
+export default mongoose.model("PaymentIntent", paymentIntentSchema);
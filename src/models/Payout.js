@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+export const PAYOUT_MODES = ["Cash", "BankTransfer", "UPI", "Cheque"];
+
+// Money paid out to a client (account closure settlement)
+const payoutSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // client
+    closureId: { type: mongoose.Schema.Types.ObjectId, ref: "AccountClosure" },
+
+    amount: { type: Number, required: true, min: 0 },
+    mode: { type: String, enum: PAYOUT_MODES, required: true },
+    reference: { type: String, trim: true }, // UTR / cheque number; required unless Cash
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    paidAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ accountId: 1 });
+payoutSchema.index({ companyId: 1, paidAt: -1 });
+
+export default mongoose.model("Payout", payoutSchema);
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+const penaltyChargeSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // client
+    assignedAgent: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // snapshot for scoping
+    schemeType: { type: String },
+
+    // Missed period (calendar month of the account)
+    period: { type: String, required: true }, // "YYYY-MM"
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    expectedAmount: { type: Number, required: true }, // installment / monthly target
+    paidAmount: { type: Number, default: 0 }, // net collected in the period
+    amount: { type: Number, required: true, min: 0 }, // penalty charged
+
+    // Rule applied, kept so later scheme edits don't rewrite history
+    rule: {
+      type: { type: String },
+      value: Number,
+      graceDays: Number,
+      cap: Number,
+    },
+
+    status: { type: String, enum: ["Due", "Paid", "Waived"], default: "Due" },
+    paidAt: { type: Date },
+    paymentMethod: { type: String, enum: ["Cash", "UPI", "BankTransfer", "Online"] },
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    waivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    waiverReason: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+// A period can only be penalised once
+penaltyChargeSchema.index({ accountId: 1, period: 1 }, { unique: true });
+penaltyChargeSchema.index({ companyId: 1, periodEnd: -1 });
+
+export default mongoose.model("PenaltyCharge", penaltyChargeSchema);
@@ -55,6 +55,79 @@ const schemeSchema = new mongoose.Schema(
       type: Boolean,
       default: true, // Active by default
     },
+
+    // Late fee for missed Monthly installments / Daily monthly targets
+    penaltyRules: {
+      enabled: { type: Boolean, default: false },
+      type: {
+        type: String,
+        enum: {
+          values: ["Flat", "Percentage"],
+          message: "Penalty type must be Flat or Percentage",
+        },
+        default: "Flat",
+      },
+      // Flat → amount per missed period; Percentage → % of the missed amount
+      value: { type: Number, default: 0, min: [0, "Penalty value cannot be negative"] },
+      graceDays: { type: Number, default: 0, min: [0, "Grace period cannot be negative"] },
+      // Max total penalty per account (0 = no cap)
+      cap: { type: Number, default: 0, min: [0, "Penalty cap cannot be negative"] },
+      // Periods starting before this date are never penalised (set when rules are enabled)
+      effectiveFrom: { type: Date },
+    },
+
+    // Interest earned by each deposit from its own date, credited on closure (see interestService)
+    interestRules: {
+      annualRate: { type: Number, default: 0, min: [0, "Interest rate cannot be negative"] },
+      method: {
+        type: String,
+        enum: {
+          values: ["Simple", "Compound"],
+          message: "Interest method must be Simple or Compound",
+        },
+        default: "Simple",
+      },
+      // Compound only
+      compounding: {
+        type: String,
+        enum: {
+          values: ["Monthly", "Quarterly", "HalfYearly", "Yearly"],
+          message: "Compounding must be Monthly, Quarterly, HalfYearly or Yearly",
+        },
+        default: "Quarterly",
+      },
+    },
+
+    // Overrides the company's defaulter rules for accounts of this scheme (null = company setting)
+    defaulterRules: {
+      enabled: { type: Boolean, default: null },
+      missedInstallments: { type: Number, default: null, min: [0, "Missed installments cannot be negative"] },
+      dailyShortfallPercent: {
+        type: Number,
+        default: null,
+        min: [0, "Shortfall percent cannot be negative"],
+        max: [100, "Shortfall percent cannot exceed 100"],
+      },
+    },
+
+    // Closing an account before its maturity date
+    prematureClosure: {
+      allowed: { type: Boolean, default: true },
+      // No premature closure in the first N months
+      lockInMonths: { type: Number, default: 0, min: [0, "Lock-in cannot be negative"] },
+      penaltyType: {
+        type: String,
+        enum: {
+          values: ["Flat", "Percentage"],
+          message: "Premature penalty type must be Flat or Percentage",
+        },
+        default: "Percentage",
+      },
+      // Flat → fixed amount; Percentage → % of the principal
+      penaltyValue: { type: Number, default: 0, min: [0, "Premature penalty cannot be negative"] },
+      // Reduced annual rate paid on premature closure (null = scheme rate)
+      interestRate: { type: Number, default: null, min: [0, "Interest rate cannot be negative"] },
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Extra rights granted per user by an Admin, on top of the role
+export const USER_PERMISSIONS = ["VIEW_KYC"]; // VIEW_KYC → full Aadhaar / PAN in account responses (audited)
+
 const userSchema = new mongoose.Schema({
   companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
   name: { type: String, required: true },
@@ -19,6 +22,7 @@ const userSchema = new mongoose.Schema({
     default: "User"
   },
   assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  permissions: [{ type: String, enum: USER_PERMISSIONS }],
   isBlocked: { type: Boolean, default: false },
 
   requestStatus: {
@@ -46,6 +50,15 @@ const userSchema = new mongoose.Schema({
   status: { type: String, default: "Active" },
   fcmToken: { type: String, default: null },
 
+  // 🔹 KYC of a client (role User), reviewed by an Admin — see controllers/kycController.js
+  kyc: {
+    status: { type: String, enum: ["Pending", "Verified", "Rejected"], default: "Pending" },
+    submittedAt: { type: Date },         // last document upload
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    note: { type: String, trim: true },  // rejection reason
+  },
+
   onboardingTokenHash: { type: String },
   onboardingTokenExpires: { type: Date },
 
@@ -0,0 +1,22 @@
+// routes/accountClosureRoutes.js
+import express from "express";
+import { protect, allowRoles } from "../middleware/authMiddleware.js";
+import {
+  getClosureRequests,
+  approveClosureRequest,
+  rejectClosureRequest,
+  cancelClosureRequest,
+} from "../controllers/accountClosureController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", allowRoles("Admin", "Manager", "Agent", "User"), getClosureRequests);
+router.post("/:id/cancel", allowRoles("Admin", "Agent", "User"), cancelClosureRequest);
+
+// Admin settles the account
+router.post("/:id/approve", allowRoles("Admin"), approveClosureRequest);
+router.post("/:id/reject", allowRoles("Admin"), rejectClosureRequest);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import { protect, allowRoles } from "../middleware/authMiddleware.js";
-import { getAccounts, createAccount, updateAccount, deleteAccount ,getAccountByNumber} from "../controllers/accountController.js";
+import { getClosureQuote, requestClosure } from "../controllers/accountClosureController.js";
+import { getAccounts, createAccount, updateAccount, deleteAccount ,getAccountByNumber, getAccountPenalties, collectAccountPenalties, waiveAccountPenalty, getAccountInstallments, getAccountStatement, getAccountStatusHistory, renewAccount} from "../controllers/accountController.js";
 
 const router = express.Router();
 // src/routes/accountRoutes.js
@@ -10,4 +11,25 @@ router.post("/", protect, allowRoles("Admin", "Manager", "Agent"), createAccount
 router.put("/:id", protect, allowRoles("Admin", "Manager"), updateAccount);
 router.delete("/:id", protect, allowRoles("Admin"), deleteAccount);
 
+// Late fees for missed installments
+router.get("/:id/penalties", protect, allowRoles("Admin", "Manager", "Agent", "User"), getAccountPenalties);
+router.post("/:id/penalties/collect", protect, allowRoles("Admin", "Manager", "Agent"), collectAccountPenalties);
+router.post("/:id/penalties/:chargeId/waive", protect, allowRoles("Admin"), waiveAccountPenalty);
+
+// Installment schedule (paid / partially paid / missed / upcoming periods)
+router.get("/:id/installments", protect, allowRoles("Admin", "Manager", "Agent", "User"), getAccountInstallments);
+
+// Passbook-style statement for a date range (?from=&to=&format=pdf|csv)
+router.get("/:id/statement", protect, allowRoles("Admin", "Manager", "Agent", "User"), getAccountStatement);
+
+// Status changes (who, when, why)
+router.get("/:id/status-history", protect, allowRoles("Admin", "Manager", "Agent", "User"), getAccountStatusHistory);
+
+// Closure (premature or on maturity) — approved under /api/account-closures
+router.get("/:id/closure-quote", protect, allowRoles("Admin", "Manager", "Agent", "User"), getClosureQuote);
+router.post("/:id/closure-requests", protect, allowRoles("Admin", "Agent", "User"), requestClosure);
+
+// Renewal of a matured account into a new one (optionally moving the matured balance in)
+router.post("/:id/renew", protect, allowRoles("Admin", "Manager", "Agent", "User"), renewAccount);
+
 export default router;
@@ -0,0 +1,14 @@
+// routes/agentRoutes.js
+import express from "express";
+import { protect, allowRoles } from "../middleware/authMiddleware.js";
+import { getMyRoutePlan, recordVisit } from "../controllers/agentController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// Agent's day in the field
+router.get("/me/route-plan", allowRoles("Agent"), getMyRoutePlan);
+router.post("/me/visits", allowRoles("Agent"), recordVisit);
+
+export default router;
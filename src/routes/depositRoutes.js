@@ -1,6 +1,10 @@
 import express from "express";
 import { protect, allowRoles } from "../middleware/authMiddleware.js";
-import { getDeposits, createDeposit, updateDeposit, deleteDeposit ,getDepositsByAccount ,getDepositsByDateRange ,bulkCreateDeposits , getEligibleAccountsForBulk} from "../controllers/depositController.js";
+import { idempotency } from "../middleware/idempotencyMiddleware.js";
+import { importFileUpload } from "../middleware/uploadMiddleware.js";
+import { uploadDepositImport, getDepositImport, commitImport } from "../controllers/depositImportController.js";
+import { getBackdatedRequests, approveBackdatedRequest, rejectBackdatedRequest } from "../controllers/backdatedDepositController.js";
+import { getDeposits, createDeposit, updateDeposit, reverseDeposit ,getDepositsByAccount ,getDepositsByDateRange ,bulkCreateDeposits , getEligibleAccountsForBulk, syncOfflineDeposits, getDepositReceipt, getCheques, updateChequeStatus } from "../controllers/depositController.js";
 
 const router = express.Router();
 
@@ -8,10 +12,27 @@ const router = express.Router();
 router.get("/", protect, allowRoles("Admin", "Manager", "Agent", "User"), getDeposits);
 
 // Create deposit (only Agent)
-router.post("/", protect, allowRoles("Admin", "Manager","Agent"), createDeposit);
+router.post("/", protect, allowRoles("Admin", "Manager","Agent"), idempotency("CREATE_DEPOSIT"), createDeposit);
 
 // Bulk create deposits (Agents only)
-router.post("/bulk", protect, allowRoles("Admin","Agent"), bulkCreateDeposits);
+router.post("/bulk", protect, allowRoles("Admin","Agent"), idempotency("BULK_CREATE_DEPOSITS"), bulkCreateDeposits);
+
+// Sync offline-recorded collections from the agent app (Agents only)
+router.post("/sync", protect, allowRoles("Agent"), syncOfflineDeposits);
+
+// Historical passbook import: upload = dry-run report, commit writes the valid rows (Admin only)
+router.post("/import", protect, allowRoles("Admin"), importFileUpload, uploadDepositImport);
+router.get("/import/:importId", protect, allowRoles("Admin"), getDepositImport);
+router.post("/import/:importId/commit", protect, allowRoles("Admin"), commitImport);
+
+// Collections dated beyond the backdating window wait for an Admin
+router.get("/backdate-requests", protect, allowRoles("Admin"), getBackdatedRequests);
+router.post("/backdate-requests/:id/approve", protect, allowRoles("Admin"), approveBackdatedRequest);
+router.post("/backdate-requests/:id/reject", protect, allowRoles("Admin"), rejectBackdatedRequest);
+
+// Cheque register + clearance lifecycle (Pending → Cleared / Bounced)
+router.get("/cheques", protect, allowRoles("Admin", "Manager"), getCheques);
+router.patch("/:id/cheque", protect, allowRoles("Admin", "Manager"), updateChequeStatus);
 
 // Get eligible accounts for bulk deposit (Agent only)
 router.get("/eligible", protect, allowRoles("Admin","Agent"), getEligibleAccountsForBulk);
@@ -19,12 +40,16 @@ router.get("/eligible", protect, allowRoles("Admin","Agent"), getEligibleAccount
 // Update deposit (Admin can correct, Manager cannot)
 router.put("/:id", protect, allowRoles("Admin"), updateDeposit);
 
-// Delete deposit (Admin only)
-router.delete("/:id", protect, allowRoles("Admin"), deleteDeposit);
+// Reverse deposit (Admin only) — posts a Reversal entry, nothing is deleted
+router.post("/:id/reverse", protect, allowRoles("Admin"), reverseDeposit);
+router.delete("/:id", protect, allowRoles("Admin"), reverseDeposit);
 
 // Get deposits by account
 router.get("/account/:accountId", protect, allowRoles("Admin", "Manager", "Agent", "User"), getDepositsByAccount);
 
 router.get("/by-date-range", protect, allowRoles("Admin", "Manager", "Agent", "User"), getDepositsByDateRange);
 
+// Download numbered PDF receipt for a deposit
+router.get("/:id/receipt", protect, allowRoles("Admin", "Manager", "Agent", "User"), getDepositReceipt);
+
 export default router;
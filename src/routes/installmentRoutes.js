@@ -0,0 +1,10 @@
+import express from "express";
+import { protect, allowRoles } from "../middleware/authMiddleware.js";
+import { getInstallments } from "../controllers/installmentController.js";
+
+const router = express.Router();
+
+// Installments across accounts, scoped by role, with a per-agent summary
+router.get("/", protect, allowRoles("Admin", "Manager", "Agent", "User"), getInstallments);
+
+export default router;
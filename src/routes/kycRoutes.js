@@ -0,0 +1,35 @@
+// routes/kycRoutes.js
+import express from "express";
+import { protect, allowRoles } from "../middleware/authMiddleware.js";
+import { documentFileUpload } from "../middleware/uploadMiddleware.js";
+import {
+  uploadClientDocument,
+  getClientKyc,
+  getKycQueue,
+  reviewClientKyc,
+  getDocumentUrl,
+  downloadDocument,
+  deleteDocument,
+  getKycSettingsHandler,
+  updateKycSettings,
+} from "../controllers/kycController.js";
+
+const router = express.Router();
+
+// Signed link — no login, the signature grants access for a few minutes
+router.get("/documents/:id/download", downloadDocument);
+
+router.get("/settings", protect, allowRoles("Admin", "Manager", "Agent"), getKycSettingsHandler);
+router.put("/settings", protect, allowRoles("Admin"), updateKycSettings);
+
+// Review queue and decisions
+router.get("/clients", protect, allowRoles("Admin", "Manager"), getKycQueue);
+router.post("/clients/:userId/review", protect, allowRoles("Admin"), reviewClientKyc);
+
+// Documents of one client
+router.get("/clients/:userId", protect, allowRoles("Admin", "Manager", "Agent", "User"), getClientKyc);
+router.post("/clients/:userId/documents", protect, allowRoles("Admin", "Manager", "Agent", "User"), documentFileUpload, uploadClientDocument);
+router.get("/documents/:id/url", protect, allowRoles("Admin", "Manager", "Agent", "User"), getDocumentUrl);
+router.delete("/documents/:id", protect, allowRoles("Admin", "Manager", "Agent", "User"), deleteDocument);
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/ledgerRoutes.js
+import express from "express";
+import { protect, allowRoles } from "../middleware/authMiddleware.js";
+import {
+  getBalanceMismatches,
+  repairBalanceMismatches,
+  getAccountLedger,
+} from "../controllers/ledgerController.js";
+
+const router = express.Router();
+
+router.use(protect, allowRoles("Admin"));
+
+// Balance vs ledger reconciliation
+router.get("/mismatches", getBalanceMismatches);
+router.post("/mismatches/repair", repairBalanceMismatches);
+
+// Journal entries of one client account
+router.get("/accounts/:accountId", getAccountLedger);
+
+export default router;
@@ -0,0 +1,38 @@
+// routes/paymentRoutes.js
+import express from "express";
+import { protect, allowRoles } from "../middleware/authMiddleware.js";
+import { protectSuperAdmin } from "../middleware/superAdminMiddleWare.js";
+import {
+  createIntent,
+  getIntent,
+  handleWebhook,
+  getReviewQueue,
+  resolveReviewEvent,
+  getUnmatchedEvents,
+  resolveUnmatchedEvent,
+  simulateFakePayment,
+} from "../controllers/paymentController.js";
+
+const router = express.Router();
+
+// Gateway callbacks authenticate with their signature, not a user token
+router.post("/webhook/:gateway", handleWebhook);
+
+// Client self-payments
+router.post("/intents", protect, allowRoles("User"), createIntent);
+router.get("/intents/:id", protect, allowRoles("Admin", "Manager", "User"), getIntent);
+
+// Events that couldn't be booked automatically
+router.get("/review-queue", protect, allowRoles("Admin"), getReviewQueue);
+router.post("/review-queue/:id/resolve", protect, allowRoles("Admin"), resolveReviewEvent);
+
+// Events no payment intent matched belong to no company yet
+router.get("/unmatched-events", protectSuperAdmin, getUnmatchedEvents);
+router.post("/unmatched-events/:id/resolve", protectSuperAdmin, resolveUnmatchedEvent);
+
+// Local checkout simulator for the fake gateway — books real deposits, so strictly opt-in
+if (process.env.ENABLE_FAKE_GATEWAY === "true") {
+  router.post("/fake/orders/:orderId/simulate", protect, allowRoles("Admin"), simulateFakePayment);
+}
+
+export default router;
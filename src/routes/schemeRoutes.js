@@ -8,6 +8,7 @@ import {
     getSchemeById,
     updateScheme,
     deleteScheme,
+    getSchemeQuote,
 } from "../controllers/schemeController.js";
 
 const router = express.Router();
@@ -20,6 +21,9 @@ router.route("/")
     .get(allowRoles("Admin", "Manager", "Agent"), getSchemes)
     .post(allowRoles("Admin"), createScheme); // Only Admin can create
 
+// Interest / maturity value quote (clients can ask too)
+router.get("/:id/quote", allowRoles("Admin", "Manager", "Agent", "User"), getSchemeQuote);
+
 router.route("/:id")
     .get(allowRoles("Admin", "Manager", "Agent"), getSchemeById)
     .put(allowRoles("Admin"), updateScheme)   // Only Admin can update
@@ -0,0 +1,27 @@
+// routes/settingsRoutes.js
+import express from "express";
+import { protect, allowRoles } from "../middleware/authMiddleware.js";
+import {
+  getAccountNumbering,
+  updateAccountNumbering,
+  updateBranches,
+  getDefaulterRulesHandler,
+  updateDefaulterRules,
+} from "../controllers/settingsController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// Account number format and sequences (per company)
+router.get("/account-numbering", allowRoles("Admin", "Manager", "Agent"), getAccountNumbering);
+router.put("/account-numbering", allowRoles("Admin"), updateAccountNumbering);
+
+// Branches ({BRANCH} token, Account.branchCode)
+router.put("/branches", allowRoles("Admin"), updateBranches);
+
+// Nightly Defaulter classification (schemes can override via Scheme.defaulterRules)
+router.get("/defaulter-rules", allowRoles("Admin", "Manager"), getDefaulterRulesHandler);
+router.put("/defaulter-rules", allowRoles("Admin"), updateDefaulterRules);
+
+export default router;
@@ -0,0 +1,29 @@
+// routes/settlementRoutes.js
+import express from "express";
+import { protect, allowRoles } from "../middleware/authMiddleware.js";
+import {
+  previewSettlement,
+  createSettlement,
+  getSettlements,
+  approveSettlement,
+  rejectSettlement,
+  getCashInHandReport,
+} from "../controllers/settlementController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// Cash still held by agents (scoped)
+router.get("/cash-in-hand", allowRoles("Admin", "Manager", "Agent"), getCashInHandReport);
+
+// Agent end-of-day handover
+router.get("/preview", allowRoles("Agent"), previewSettlement);
+router.post("/", allowRoles("Agent"), createSettlement);
+router.get("/", allowRoles("Admin", "Manager", "Agent"), getSettlements);
+
+// Receiver confirms or rejects the handover
+router.post("/:id/approve", allowRoles("Admin", "Manager"), approveSettlement);
+router.post("/:id/reject", allowRoles("Admin", "Manager"), rejectSettlement);
+
+export default router;
@@ -12,7 +12,8 @@ import {
   createInitialAdmin,
   reassignUser,
   updateFcmToken,
-  getBlockedUsers
+  getBlockedUsers,
+  updateUserPermissions
 } from "../controllers/userController.js";
 import { protect, allowRoles } from "../middleware/authMiddleware.js";
 
@@ -48,6 +49,9 @@ router.get("/:id/accounts", protect, allowRoles("Admin", "Manager", "Agent" , "U
 
 router.get("/:id/deposits", protect, allowRoles("Admin", "Manager", "Agent" , "User"), getUserDeposits);
 
+// 📌 Extra rights (e.g. VIEW_KYC)
+router.put("/:id/permissions", protect, allowRoles("Admin"), updateUserPermissions);
+
 router.patch("/:userId/reassign", protect, allowRoles("Admin"), reassignUser);
 
 router.post("/update-fcm-token", protect, allowRoles("Admin", "Manager", "Agent" , "User"), updateFcmToken);
@@ -2,8 +2,20 @@ import dotenv from "dotenv";
 dotenv.config();
 import app from "./app.js";
 import connectDB from "./config/db.js";
+import { encryptLegacyKycFields } from "./services/kycFieldService.js";
+import { migrateAccountNumbering } from "./services/accountNumberService.js";
 
-connectDB();
+// Then the one-off data migrations (each is a no-op once done)
+connectDB()
+  .then(async () => {
+    // Aadhaar / PAN numbers saved before field encryption was enabled
+    const encrypted = await encryptLegacyKycFields();
+    if (encrypted) console.log(`🔐 Encrypted KYC fields of ${encrypted} accounts`);
+
+    // Per-company account number sequences continue after the old shared ones
+    await migrateAccountNumbering();
+  })
+  .catch((err) => console.error("❌ Startup migration failed:", err.message));
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`🚀 Server running on ${PORT}`));
@@ -0,0 +1,129 @@
+// services/accountLifecycleService.js
+import Account from "../models/Account.js";
+import AccountStatusHistory from "../models/AccountStatusHistory.js";
+
+export const ACCOUNT_STATUSES = ["Active", "OnTrack", "Pending", "Defaulter", "Matured", "Closed"];
+
+// Allowed moves. Collection statuses switch freely among themselves; Matured only closes, Closed is final.
+export const ACCOUNT_TRANSITIONS = {
+  Active: ["OnTrack", "Pending", "Defaulter", "Matured", "Closed"],
+  OnTrack: ["Active", "Pending", "Defaulter", "Matured", "Closed"],
+  Pending: ["Active", "OnTrack", "Defaulter", "Matured", "Closed"],
+  Defaulter: ["Active", "OnTrack", "Pending", "Matured", "Closed"],
+  Matured: ["Closed"],
+  Closed: [],
+};
+
+const reject = (reason, message, details = {}) => ({ ok: false, reason, message, details });
+
+export const canTransition = (from, to) => Boolean(ACCOUNT_TRANSITIONS[from]?.includes(to));
+
+/**
+ * Collection status of an open Daily / Monthly account from this month's collections
+ * (same rules as recalculateAccountTotals)
+ */
+export const monthStatus = (account, collected) => {
+  if (account.paymentMode === "Daily") {
+    return account.monthlyTarget && collected >= account.monthlyTarget ? "OnTrack" : "Pending";
+  }
+  return collected > 0 ? "Active" : "Pending";
+};
+
+/**
+ * Status to write for a derived target (deposit, recalculation), or null when nothing changes —
+ * same status, or a move the lifecycle doesn't allow (e.g. a Matured account stays Matured)
+ */
+export const nextStatus = (from, to) => (to && to !== from && canTransition(from, to) ? to : null);
+
+/**
+ * Check a requested status change before anything is written
+ * @returns {Object|null} { reason, message, details } when the change is not allowed
+ */
+export const checkTransition = (from, to) => {
+  if (!ACCOUNT_STATUSES.includes(to)) {
+    return reject("INVALID_STATUS", `status must be one of ${ACCOUNT_STATUSES.join(", ")}`);
+  }
+  if (from !== to && !canTransition(from, to)) {
+    return reject("ILLEGAL_TRANSITION", `Account status can't change from ${from} to ${to}`, {
+      from,
+      to,
+      allowed: ACCOUNT_TRANSITIONS[from] || [],
+    });
+  }
+  return null;
+};
+
+/**
+ * Write status changes that were already applied to their accounts to the history
+ * @param {Object[]} changes - [{ accountId, companyId, from, to, reason? }]; unchanged entries are skipped
+ * @param {Object} options - { reason, source, changedBy (null → system), changedAt, session }
+ */
+export const recordStatusChanges = async (
+  changes,
+  { reason, source, changedBy = null, changedAt = new Date(), session = null } = {}
+) => {
+  const docs = changes
+    .filter((c) => c.to && c.from !== c.to)
+    .map((c) => ({
+      companyId: c.companyId,
+      accountId: c.accountId,
+      from: c.from,
+      to: c.to,
+      reason: c.reason || reason,
+      source,
+      changedBy,
+      changedAt,
+    }));
+  if (docs.length === 0) return [];
+  return AccountStatusHistory.insertMany(docs, session ? { session } : {});
+};
+
+/**
+ * Move one account to a new status and record it. The write only applies if the account
+ * still has the status it was read with, so concurrent changes can't skip a check.
+ * @param {Object} account - Account document or plain object (needs _id, companyId, status)
+ * @param {string} to
+ * @param {Object} options - { reason, source, changedBy, set (extra fields to write), session }
+ * @returns {Promise<Object>} { ok: true, changed, account } or { ok: false, reason, message, details }
+ */
+export const transitionAccount = async (
+  account,
+  to,
+  { reason, source = "Manual", changedBy = null, set = {}, session = null } = {}
+) => {
+  const from = account.status;
+  const invalid = checkTransition(from, to);
+  if (invalid) return invalid;
+  if (from === to) return { ok: true, changed: false, account };
+
+  const updated = await Account.findOneAndUpdate(
+    { _id: account._id, status: from },
+    { $set: { ...set, status: to } },
+    { new: true, ...(session ? { session } : {}) }
+  );
+  if (!updated) return reject("STATUS_CHANGED", "Account status was changed by someone else, reload and try again");
+
+  await recordStatusChanges([{ accountId: updated._id, companyId: updated.companyId, from, to }], {
+    reason,
+    source,
+    changedBy,
+    session,
+  });
+  return { ok: true, changed: true, account: updated };
+};
+
+/**
+ * Most recent status change of an account, or null
+ */
+export const getLatestStatusChange = (accountId) =>
+  AccountStatusHistory.findOne({ accountId }).sort({ changedAt: -1, _id: -1 }).lean();
+
+/**
+ * Status history of an account, newest first
+ */
+export const getStatusHistory = (accountId, { skip = 0, limit = 50 } = {}) =>
+  AccountStatusHistory.find({ accountId })
+    .populate("changedBy", "name role")
+    .sort({ changedAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit);
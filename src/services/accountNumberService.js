@@ -0,0 +1,211 @@
+// services/accountNumberService.js
+import dayjs from "dayjs";
+import Account from "../models/Account.js";
+import Company from "../models/Company.js";
+import { Counter } from "../models/Counter.js";
+import "../utils/timezone.js";
+
+// What a sequence can be split by — each needs its token in the template, or numbers would repeat
+export const SEQUENCE_SCOPES = ["paymentMode", "scheme", "year", "branch"];
+const SCOPE_TOKENS = {
+  paymentMode: ["MODE"],
+  scheme: ["SCHEME"],
+  year: ["YYYY", "YY"],
+  branch: ["BRANCH"],
+};
+
+// Same numbers as before templates existed: MN000123 (one sequence per payment mode)
+export const DEFAULT_NUMBERING = { template: "{MODE}{SEQ:6}", sequenceScope: ["paymentMode"] };
+
+const MODE_CODES = { Yearly: "YR", Monthly: "MN", Daily: "DL" };
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const KNOWN_TOKENS = ["COMPANY", "SCHEME", "MODE", "BRANCH", "YYYY", "YY", "SEQ"];
+const MAX_COLLISION_RETRIES = 50;
+
+const cleanCode = (value) => String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Company code used for {COMPANY}: configured, else the first letters of the company name
+ */
+const defaultCompanyCode = (company) => cleanCode(company?.companyName).slice(0, 4) || "CO";
+
+/**
+ * Check a numbering configuration
+ * @returns {string|null} error message
+ */
+export const validateNumbering = ({ template, sequenceScope = [], companyCode }) => {
+  if (typeof template !== "string" || !template.trim()) return "template is required";
+
+  const tokens = [...template.matchAll(TOKEN_PATTERN)].map((m) => m[1]);
+  const unknown = tokens.filter((t) => !KNOWN_TOKENS.includes(t));
+  if (unknown.length) return `Unknown template tokens: ${unknown.join(", ")}`;
+  if (tokens.filter((t) => t === "SEQ").length !== 1) return "template must contain {SEQ} (or {SEQ:n}) exactly once";
+
+  // Literal parts end up in the number — same format as Account.accountNumber allows
+  if (!/^[A-Za-z0-9]+(-[A-Za-z0-9]+)*$/.test(template.replace(TOKEN_PATTERN, "X"))) {
+    return "template may only contain letters, digits, tokens and single '-' separators between them";
+  }
+
+  const padding = [...template.matchAll(TOKEN_PATTERN)].find((m) => m[1] === "SEQ")[2];
+  if (padding !== undefined && (Number(padding) < 1 || Number(padding) > 12)) return "{SEQ:n} padding must be 1-12";
+
+  if (!Array.isArray(sequenceScope) || sequenceScope.some((s) => !SEQUENCE_SCOPES.includes(s))) {
+    return `sequenceScope must be a list of: ${SEQUENCE_SCOPES.join(", ")}`;
+  }
+  const missing = sequenceScope.filter((s) => !SCOPE_TOKENS[s].some((t) => tokens.includes(t)));
+  if (missing.length) {
+    return `A sequence split by ${missing.join(", ")} needs ${missing.map((s) => `{${SCOPE_TOKENS[s][0]}}`).join(", ")} in the template`;
+  }
+
+  if (companyCode !== undefined && companyCode !== null && !/^[A-Z0-9]{1,10}$/.test(companyCode)) {
+    return "companyCode must be 1-10 uppercase letters or digits";
+  }
+  return null;
+};
+
+/**
+ * Numbering configuration of a company with defaults filled in
+ */
+export const getNumberingSettings = async (companyId, session = null) => {
+  const company = await Company.findById(companyId).select("companyName branches settings").session(session);
+  const configured = company?.settings?.accountNumbering || {};
+  return {
+    template: configured.template || DEFAULT_NUMBERING.template,
+    sequenceScope: configured.template ? [...(configured.sequenceScope || [])] : DEFAULT_NUMBERING.sequenceScope,
+    companyCode: configured.companyCode || defaultCompanyCode(company),
+    branches: company?.branches || [],
+  };
+};
+
+export const templateUsesBranch = (template) => template.includes("{BRANCH}");
+
+/**
+ * Fill a template. Pure.
+ * @param {string} template - e.g. "{COMPANY}-{SCHEME}{YY}-{SEQ:5}"
+ * @param {Object} values - { companyCode, schemeType, paymentMode, branchCode, date, seq }
+ */
+export const formatAccountNumber = (template, { companyCode, schemeType, paymentMode, branchCode, date, seq }) => {
+  const year = dayjs(date).tz().format("YYYY");
+  return template
+    .replace(TOKEN_PATTERN, (_, token, pad) => {
+      switch (token) {
+        case "COMPANY": return companyCode;
+        case "SCHEME": return cleanCode(schemeType);
+        case "MODE": return MODE_CODES[paymentMode];
+        case "BRANCH": return cleanCode(branchCode);
+        case "YYYY": return year;
+        case "YY": return year.slice(2);
+        case "SEQ": return String(seq).padStart(Number(pad || 6), "0");
+        default: return "";
+      }
+    })
+    .toUpperCase();
+};
+
+/**
+ * Regex matching numbers a template can produce (anchored, case-insensitive). Pure.
+ * @param {string} template
+ * @param {Object} settings - { companyCode, branches } from getNumberingSettings
+ */
+export const accountNumberPattern = (template, { companyCode, branches = [] } = {}) => {
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const branchCodes = branches.map((b) => cleanCode(b.code)).filter(Boolean);
+  let source = "";
+  let last = 0;
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    source += escape(template.slice(last, match.index));
+    last = match.index + match[0].length;
+    switch (match[1]) {
+      case "COMPANY": source += companyCode ? escape(companyCode) : "[A-Z0-9]+"; break;
+      case "SCHEME": source += "[A-Z0-9]+"; break;
+      case "MODE": source += `(?:${Object.values(MODE_CODES).join("|")})`; break;
+      case "BRANCH": source += branchCodes.length ? `(?:${branchCodes.map(escape).join("|")})` : "[A-Z0-9]+"; break;
+      case "YYYY": source += "\\d{4}"; break;
+      case "YY": source += "\\d{2}"; break;
+      case "SEQ": source += `\\d{${Number(match[2] || 6)},}`; break;
+      default: break;
+    }
+  }
+  source += escape(template.slice(last));
+  return new RegExp(`^${source}$`, "i");
+};
+
+/**
+ * Whether a token has the shape of the company's account numbers. Numbers issued before
+ * a custom template was configured follow the default template, so both are checked.
+ * @param {string} token
+ * @param {Object} settings - result of getNumberingSettings
+ */
+export const matchesNumberingTemplate = (token, settings) =>
+  [...new Set([settings.template, DEFAULT_NUMBERING.template])].some((template) =>
+    accountNumberPattern(template, settings).test(token)
+  );
+
+// Counter per company, split further by the configured scopes
+const counterKey = (companyId, sequenceScope, { paymentMode, schemeType, branchCode, date }) =>
+  [
+    `account:${companyId}`,
+    ...sequenceScope.map((scope) => {
+      if (scope === "paymentMode") return `mode=${paymentMode}`;
+      if (scope === "scheme") return `scheme=${cleanCode(schemeType)}`;
+      if (scope === "year") return `year=${dayjs(date).tz().format("YYYY")}`;
+      return `branch=${cleanCode(branchCode)}`;
+    }),
+  ].join(":");
+
+/**
+ * Next account number for a company, following its numbering template.
+ * Numbers already taken (e.g. issued under an earlier template) are skipped.
+ * @param {Object} params - { companyId, paymentMode, schemeType, branchCode?, date?, session? }
+ * @returns {Promise<string>}
+ */
+export const generateAccountNumber = async ({ companyId, paymentMode, schemeType, branchCode, date = new Date(), session = null }) => {
+  if (!MODE_CODES[paymentMode]) throw new Error("Invalid payment mode");
+
+  const settings = await getNumberingSettings(companyId, session);
+  const values = { companyCode: settings.companyCode, schemeType, paymentMode, branchCode, date };
+  const key = counterKey(companyId, settings.sequenceScope, values);
+
+  for (let attempt = 0; attempt < MAX_COLLISION_RETRIES; attempt++) {
+    const counter = await Counter.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, ...(session ? { session } : {}) }
+    );
+    const accountNumber = formatAccountNumber(settings.template, { ...values, seq: counter.seq });
+    if (!(await Account.exists({ companyId, accountNumber }).session(session))) return accountNumber;
+  }
+  throw new Error("Could not find a free account number — check the company's numbering template");
+};
+
+/**
+ * Keep numbers issued before per-company numbering valid:
+ * - account numbers become unique per company instead of globally (legacy index dropped)
+ * - each company's per-mode counter starts after the old shared sequence, so the default
+ *   template never hands out a number that already exists
+ * Safe to run repeatedly.
+ * @returns {Promise<number>} counters seeded
+ */
+export const migrateAccountNumbering = async () => {
+  const indexes = await Account.collection.indexes();
+  if (indexes.some((i) => i.name === "accountNumber_1")) {
+    await Account.collection.dropIndex("accountNumber_1");
+  }
+  await Account.createIndexes();
+
+  const legacy = await Counter.find({ key: { $in: Object.keys(MODE_CODES) } });
+  if (legacy.length === 0) return 0;
+
+  const companies = await Company.find().select("_id");
+  const ops = companies.flatMap((company) =>
+    legacy.map((counter) => ({
+      updateOne: {
+        filter: { key: counterKey(company._id, ["paymentMode"], { paymentMode: counter.key }) },
+        update: { $max: { seq: counter.seq } },
+        upsert: true,
+      },
+    }))
+  );
+  if (ops.length) await Counter.bulkWrite(ops, { ordered: false });
+  return ops.length;
+};
@@ -1,6 +1,8 @@
 // services/chat/dbService.js
 import Account from "../../models/Account.js";
 import Deposit from "../../models/Deposit.js";
+import Installment from "../../models/Installment.js";
+import { getAccountInterest } from "../interestService.js";
 
 /**
  * Fetch all accounts for a user (returns [] if none)
@@ -11,20 +13,53 @@ export async function fetchAccountsForUser(userId) {
 }
 
 /**
- * Fetch a single account (by accountNumber) and its deposits.
- * Returns { account: null | Account, deposits: [] } or { account: "FORBIDDEN" } for scope mismatch (see controller/handler).
+ * Fetch a single account (by accountNumber) of a company and its deposits.
+ * Account numbers are only unique per company, so companyId is required.
+ * Returns { account: null | Account, deposits: [] } — scope checks are up to the handler.
  */
-export async function fetchAccountAndDepositsByNumber(accountNumber) {
-  const account = await Account.findOne({ accountNumber }).lean();
+export async function fetchAccountAndDepositsByNumber(accountNumber, companyId) {
+  const account = await Account.findOne({ accountNumber, companyId }).lean();
   if (!account) return { account: null, deposits: [] };
-  const deposits = await Deposit.find({ accountNumber: account.accountNumber }).lean();
+  const deposits = await Deposit.find({ accountId: account._id, companyId }).lean();
   return { account, deposits };
 }
 
+/**
+ * First of the candidate tokens (in order) that is an account number of the company, or null
+ * @param {string[]} candidates
+ */
+export async function findExistingAccountNumber(candidates, companyId) {
+  if (!candidates.length) return null;
+  const variants = [...new Set(candidates.flatMap((c) => [c, c.toUpperCase()]))];
+  const found = await Account.find({ companyId, accountNumber: { $in: variants } }).select("accountNumber").lean();
+  const numbers = new Set(found.map((a) => a.accountNumber));
+  for (const c of candidates) {
+    if (numbers.has(c)) return c;
+    if (numbers.has(c.toUpperCase())) return c.toUpperCase();
+  }
+  return null;
+}
+
 /**
  * Fetch deposits by account object (convenience)
  */
 export async function fetchDepositsForAccount(account) {
   if (!account) return [];
-  return await Deposit.find({ accountNumber: account.accountNumber }).lean();
+  return await Deposit.find({ accountId: account._id }).lean();
+}
+
+/**
+ * Number of installments of an account that passed their due date unpaid
+ */
+export async function countMissedInstallments(account) {
+  if (!account) return 0;
+  return await Installment.countDocuments({ accountId: account._id, status: "Missed" });
+}
+
+/**
+ * Accrued interest and projected maturity value of an account
+ */
+export async function fetchAccountInterest(account) {
+  if (!account) return null;
+  return await getAccountInterest(account);
 }
@@ -3,9 +3,13 @@ import { getScope } from "../../utils/scopeHelper.js";
 import {
   fetchAccountsForUser,
   fetchAccountAndDepositsByNumber,
+  findExistingAccountNumber,
   fetchDepositsForAccount,
+  countMissedInstallments,
+  fetchAccountInterest,
 } from "./dbService.js";
 import { askGPT } from "./openaiService.js";
+import { getNumberingSettings, matchesNumberingTemplate } from "../accountNumberService.js";
 
 /* helper sets (same as before) */
 const GREETINGS = ["hi", "hello", "hey", "good morning", "good afternoon", "good evening"];
@@ -32,20 +36,25 @@ function needsDbLookup(lower) {
   );
 }
 
-/** regex for matching common accountNumber pattern, adjust to your format */
-const ACCOUNT_NUMBER_REGEX = /\b[A-Z]{2}\d{6}\b/gi;
+/**
+ * Tokens that could be an account number. Formats come from each company's numbering
+ * template (letters, digits, '-' separators, always a sequence), so the database decides.
+ */
+const ACCOUNT_NUMBER_CANDIDATE_REGEX = /\b[A-Z0-9]+(?:-[A-Z0-9]+)*\b/gi;
+const accountNumberCandidates = (message) => [
+  ...new Set(((message || "").match(ACCOUNT_NUMBER_CANDIDATE_REGEX) || []).filter((t) => t.length >= 4 && /\d/.test(t))),
+];
 
 /** match scheme types roughly (RD, KVP, FD, SIP etc) - expand as required */
 const SCHEME_TYPES = ["rd", "kvp", "fd", "sip", "recurring", "rd"];
 
-function buildDbSummary(account, deposits) {
+function buildDbSummary(account, deposits, missed, interest) {
   const balance =
     account.balance != null
       ? account.balance
       : deposits.reduce((s, d) => s + (d.paidAmount || d.amount || 0), 0);
 
-  const missed = deposits.filter((d) => d.status === "Missed").length;
-  const finalAmount = account.finalAmount || account.totalPayableAmount || 0;
+  const finalAmount = interest?.projectedMaturityValue ?? account.totalPayableAmount ?? 0;
   const maturityDate = account.maturityDate
     ? new Date(account.maturityDate).toDateString()
     : "Not available";
@@ -56,6 +65,8 @@ Client: ${account.clientName}
 Scheme: ${account.schemeType}
 Payment Mode: ${account.paymentMode}
 Current Balance: ₹${balance.toLocaleString()}
+Interest Earned So Far: ₹${(interest?.accruedInterest || 0).toLocaleString()} (${interest?.annualRate || 0}% p.a.)
+Penalty Due: ₹${(account.penaltyDue || 0).toLocaleString()}
 Missed Payments: ${missed}
 Projected Final Amount: ₹${finalAmount.toLocaleString()}
 Projected Maturity Date: ${maturityDate}
@@ -126,7 +137,7 @@ export async function handleQuestion(req, message, opts = {}) {
 
   const requestedAccountNumber = opts.selectedAccountNumber?.trim();
   if (requestedAccountNumber) {
-    const lookup = await fetchAccountAndDepositsByNumber(requestedAccountNumber);
+    const lookup = await fetchAccountAndDepositsByNumber(requestedAccountNumber, req.user.companyId);
     if (lookup.account === null) {
       return { handledBy: "no-account", reply: `I couldn't find account ${requestedAccountNumber}.` };
     }
@@ -138,20 +149,21 @@ export async function handleQuestion(req, message, opts = {}) {
     selectedDeposits = lookup.deposits;
   } else {
     // try detect account number in message
-    const matched = (message || "").match(ACCOUNT_NUMBER_REGEX);
-    if (matched && matched.length > 0) {
-      const accNum = matched[0];
-      const lookup = await fetchAccountAndDepositsByNumber(accNum);
-      if (lookup.account) {
-        if (allowedUserIds.length > 0 && !allowedUserIds.includes(String(lookup.account.userId))) {
-          return { handledBy: "forbidden", reply: "Not authorized to view this account." };
-        }
-        selectedAccount = lookup.account;
-        selectedDeposits = lookup.deposits;
-      } else {
-        // account string present but not found
-        return { handledBy: "no-account", reply: `I couldn't find account ${accNum}.` };
+    const candidates = accountNumberCandidates(message);
+    const accNum = await findExistingAccountNumber(candidates, req.user.companyId);
+    const lookup = accNum ? await fetchAccountAndDepositsByNumber(accNum, req.user.companyId) : null;
+    // Only tokens shaped like this company's numbers are reported as unknown ("15th" is a date)
+    const numbering = lookup?.account || !candidates.length ? null : await getNumberingSettings(req.user.companyId);
+    const unknownAccNum = numbering ? candidates.find((t) => matchesNumberingTemplate(t, numbering)) : null;
+    if (lookup?.account) {
+      if (allowedUserIds.length > 0 && !allowedUserIds.includes(String(lookup.account.userId))) {
+        return { handledBy: "forbidden", reply: "Not authorized to view this account." };
       }
+      selectedAccount = lookup.account;
+      selectedDeposits = lookup.deposits;
+    } else if (unknownAccNum) {
+      // account string present but not found
+      return { handledBy: "no-account", reply: `I couldn't find account ${unknownAccNum}.` };
     } else if (visibleAccounts.length === 1) {
       // single account — pick it automatically
       selectedAccount = visibleAccounts[0];
@@ -186,7 +198,13 @@ export async function handleQuestion(req, message, opts = {}) {
 
   // If we reached here and DB lookup isn't needed, optionally allow GPT fallback
   if (!needsDbLookup(lower)) {
-    const maybeDbSummary = selectedAccount ? buildDbSummary(selectedAccount, selectedDeposits || []) : "No account data available.";
+    const maybeDbSummary = selectedAccount ? buildDbSummary(
+          selectedAccount,
+          selectedDeposits || [],
+          await countMissedInstallments(selectedAccount),
+          await fetchAccountInterest(selectedAccount)
+        )
+      : "No account data available.";
     const replyFromGpt = await askGPT(maybeDbSummary, message);
     return { handledBy: "gpt", reply: replyFromGpt || "I don't have that info." };
   }
@@ -202,12 +220,15 @@ export async function handleQuestion(req, message, opts = {}) {
       ? selectedAccount.balance
       : (selectedDeposits || []).reduce((sum, d) => sum + (d.paidAmount || d.amount || 0), 0);
 
-  const missed = (selectedDeposits || []).filter((d) => d.status === "Missed").length;
-  const finalAmount = selectedAccount.finalAmount || selectedAccount.totalPayableAmount || 0;
+  const missed = await countMissedInstallments(selectedAccount);
+  const interest = await fetchAccountInterest(selectedAccount);
+  const finalAmount = interest.projectedMaturityValue;
   const maturityDate = selectedAccount.maturityDate ? new Date(selectedAccount.maturityDate).toDateString() : "Not available";
 
   if (lower.includes("balance")) {
-    return { handledBy: "db", reply: `Your current balance for ${selectedAccount.accountNumber} is ₹${balance.toLocaleString()}.` };
+    const penaltyDue = selectedAccount.penaltyDue || 0;
+    const penaltyNote = penaltyDue > 0 ? ` Late fees due: ₹${penaltyDue.toLocaleString()}.` : "";
+    return { handledBy: "db", reply: `Your current balance for ${selectedAccount.accountNumber} is ₹${balance.toLocaleString()}.${penaltyNote}` };
   }
 
   if (lower.includes("missed")) {
@@ -227,7 +248,7 @@ export async function handleQuestion(req, message, opts = {}) {
   }
 
   // fallback: use GPT with DB summary for the selectedAccount
-  const dbSummary = buildDbSummary(selectedAccount, selectedDeposits || []);
+  const dbSummary = buildDbSummary(selectedAccount, selectedDeposits || [], missed, interest);
   const gptReply = await askGPT(dbSummary, message);
   return { handledBy: "gpt", reply: gptReply || "I don't have that info." };
 }
@@ -0,0 +1,307 @@
+// services/closureService.js
+import Account from "../models/Account.js";
+import AccountClosure from "../models/AccountClosure.js";
+import Deposit from "../models/Deposit.js";
+import Installment from "../models/Installment.js";
+import JournalEntry from "../models/JournalEntry.js";
+import Payout from "../models/Payout.js";
+import PenaltyCharge from "../models/PenaltyCharge.js";
+import { getAccountScheme, getAccountStartDate } from "../utils/accountHelper.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import { accruedInterest, getDepositMovements, getInterestRules } from "./interestService.js";
+import { recordStatusChanges } from "./accountLifecycleService.js";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const reject = (reason, message, details = {}) => ({ ok: false, reason, message, details });
+
+/**
+ * Settlement figures for closing an account on `asOf`:
+ * principal + accrued interest − premature penalty − open late fees.
+ * Premature closures use the scheme's prematureClosure rules (lock-in, penalty, reduced rate).
+ * @returns {Promise<Object>} { ok: true, settlement } or { ok: false, reason, message, details }
+ */
+export const quoteClosure = async (account, { asOf = new Date(), session = null } = {}) => {
+  if (account.status === "Closed") {
+    return reject("ACCOUNT_CLOSED", "Account is already closed");
+  }
+
+  // Cheques still in clearing would change the principal after the payout
+  const pendingCheque = await Deposit.exists({
+    accountId: account._id,
+    paymentMethod: "Cheque",
+    chequeStatus: "Pending",
+  }).session(session);
+  if (pendingCheque) {
+    return reject("PENDING_CHEQUES", "Clear or bounce the account's pending cheques before closing it");
+  }
+
+  const scheme = (await getAccountScheme(account, session))?.toObject() || null;
+  const closureType = asOf < account.maturityDate ? "Premature" : "Maturity";
+  const premature = scheme?.prematureClosure || {};
+  const interestRules = getInterestRules(scheme);
+
+  if (closureType === "Premature") {
+    if (premature.allowed === false) {
+      return reject("PREMATURE_CLOSURE_NOT_ALLOWED", "This scheme does not allow closing before maturity");
+    }
+    const lockInEnds = getAccountStartDate(account);
+    lockInEnds.setMonth(lockInEnds.getMonth() + (premature.lockInMonths || 0));
+    if (asOf < lockInEnds) {
+      return reject("LOCK_IN_PERIOD", "Account is still in its lock-in period", { lockInEndsOn: lockInEnds });
+    }
+  }
+
+  const interestRate =
+    closureType === "Premature" && premature.interestRate != null ? premature.interestRate : interestRules.annualRate;
+  const movements = (await getDepositMovements([account._id], { asOf, session })).get(account._id.toString()) || [];
+  const principal = round2(movements.reduce((sum, m) => sum + m.amount, 0));
+  // Interest stops at maturity
+  const accrueUntil = asOf < account.maturityDate ? asOf : new Date(account.maturityDate);
+  const interest = Math.max(0, accruedInterest(movements, { ...interestRules, annualRate: interestRate }, accrueUntil));
+
+  let prematurePenalty = 0;
+  if (closureType === "Premature") {
+    prematurePenalty =
+      premature.penaltyType === "Flat"
+        ? premature.penaltyValue || 0
+        : round2((principal * (premature.penaltyValue || 0)) / 100);
+    prematurePenalty = Math.max(0, Math.min(prematurePenalty, round2(principal + interest)));
+  }
+
+  // Late fees are recovered from what is left; anything beyond it stays due
+  const available = Math.max(0, round2(principal + interest - prematurePenalty));
+  const lateFees = Math.min(account.penaltyDue || 0, available);
+
+  return {
+    ok: true,
+    settlement: {
+      asOf,
+      closureType,
+      principal,
+      interestRate,
+      interest,
+      prematurePenalty,
+      lateFees,
+      payoutAmount: round2(available - lateFees),
+      rule: {
+        schemeId: scheme?._id || null,
+        ...interestRules,
+        prematureClosure: closureType === "Premature" ? premature : null,
+      },
+    },
+  };
+};
+
+/**
+ * Journal for a closure: interest credited, penalty and late fees recovered, payout made.
+ * Leaves CLIENT_ACCOUNT at zero for a fully settled account.
+ */
+const buildClosureJournal = (closure, settlement, payout, postedBy) => {
+  const client = { ledgerAccount: "CLIENT_ACCOUNT", refId: closure.accountId };
+  const company = closure.companyId;
+  const legs = [];
+
+  if (settlement.interest > 0) {
+    legs.push({ ledgerAccount: "INTEREST_EXPENSE", refId: company, debit: settlement.interest });
+    legs.push({ ...client, credit: settlement.interest });
+  }
+  if (settlement.prematurePenalty > 0) {
+    legs.push({ ...client, debit: settlement.prematurePenalty });
+    legs.push({ ledgerAccount: "PENALTY_INCOME", refId: company, credit: settlement.prematurePenalty });
+  }
+  if (settlement.lateFees > 0) {
+    legs.push({ ...client, debit: settlement.lateFees });
+    legs.push({ ledgerAccount: "CLIENT_PENALTY", refId: closure.accountId, credit: settlement.lateFees });
+  }
+  if (payout) {
+    legs.push({ ...client, debit: payout.amount });
+    legs.push({
+      ledgerAccount: payout.mode === "Cash" ? "OFFICE_CASH" : "BANK",
+      refId: company,
+      credit: payout.amount,
+    });
+  }
+  if (legs.length === 0) return null;
+
+  return {
+    companyId: company,
+    date: settlement.asOf,
+    sourceType: "AccountClosure",
+    sourceId: closure._id,
+    description: `${settlement.closureType} closure`,
+    legs,
+    postedBy,
+  };
+};
+
+/**
+ * Book an approved closure: closing journal, recovered late fees, account marked Closed, schedule ended
+ */
+const finalizeClosure = async ({ account, closure, payout, reviewerId, reason, session }) => {
+  const opts = session ? { session } : {};
+  const { settlement } = closure;
+
+  const journal = buildClosureJournal(closure, settlement, payout, reviewerId);
+  if (journal) await JournalEntry.create([journal], opts);
+
+  // Late fees fully recovered → their charges are paid
+  if (settlement.lateFees > 0 && settlement.lateFees >= (account.penaltyDue || 0)) {
+    await PenaltyCharge.updateMany({ accountId: account._id, status: "Due" }, { $set: { status: "Paid" } }, opts);
+  }
+
+  await Account.updateOne(
+    { _id: account._id },
+    {
+      $set: { status: "Closed", closedAt: settlement.asOf, closureId: closure._id, balance: 0 },
+      $inc: { penaltyDue: -settlement.lateFees },
+    },
+    opts
+  );
+
+  await recordStatusChanges(
+    [{ accountId: account._id, companyId: account.companyId, from: account.status, to: "Closed" }],
+    { reason, source: "Closure", changedBy: reviewerId, session }
+  );
+
+  // The schedule ends with the account
+  await Installment.deleteMany({ accountId: account._id, status: "Upcoming" }, opts);
+};
+
+/**
+ * Approve a pending closure: recalculate the settlement as of now, record the payout,
+ * post the closing journal and mark the account Closed (history is kept, nothing deleted).
+ * @param {Object} params - { closureId, payoutMode, payoutReference, note, reviewerId }
+ * @returns {Promise<Object>} { ok: true, closure, payout } or { ok: false, reason, message, details }
+ */
+export const approveClosure = async ({ closureId, payoutMode, payoutReference, note, reviewerId }) =>
+  withTransaction(async (session) => {
+    const opts = session ? { session } : {};
+
+    const pending = await AccountClosure.findOne({ _id: closureId, status: "Pending" }).session(session);
+    if (!pending) return reject("NOT_PENDING", "Closure request is not pending");
+
+    const account = await Account.findById(pending.accountId).session(session);
+    if (!account) return reject("ACCOUNT_NOT_FOUND", "Account not found");
+
+    const quote = await quoteClosure(account, { session });
+    if (!quote.ok) return quote;
+    const { settlement } = quote;
+
+    // Claim the request so a concurrent approval can't pay out twice
+    const closure = await AccountClosure.findOneAndUpdate(
+      { _id: pending._id, status: "Pending" },
+      {
+        $set: {
+          status: "Approved",
+          settlement,
+          reviewedBy: reviewerId,
+          reviewedAt: new Date(),
+          reviewNote: note,
+        },
+      },
+      { new: true, ...opts }
+    );
+    if (!closure) return reject("NOT_PENDING", "Closure request is not pending");
+
+    let payout = null;
+    if (settlement.payoutAmount > 0) {
+      [payout] = await Payout.create(
+        [
+          {
+            companyId: closure.companyId,
+            accountId: closure.accountId,
+            userId: closure.userId,
+            closureId: closure._id,
+            amount: settlement.payoutAmount,
+            mode: payoutMode,
+            reference: payoutReference,
+            paidBy: reviewerId,
+            paidAt: settlement.asOf,
+          },
+        ],
+        opts
+      );
+      closure.payoutId = payout._id;
+      await closure.save(opts);
+    }
+
+    await finalizeClosure({ account, closure, payout, reviewerId, reason: `${settlement.closureType} closure approved`, session });
+
+    return { ok: true, closure, payout };
+  });
+
+/**
+ * Settlement a matured account would roll over with, or why it can't be rolled over now
+ * @returns {Promise<Object>} { ok: true, settlement } or { ok: false, reason, message, details }
+ */
+export const quoteRollover = async (account, { session = null } = {}) => {
+  if (await AccountClosure.exists({ accountId: account._id, status: "Pending" }).session(session)) {
+    return reject("CLOSURE_PENDING", "A closure request is pending for this account — approve or reject it first");
+  }
+
+  const quote = await quoteClosure(account, { session });
+  if (!quote.ok) return quote;
+  if (quote.settlement.closureType !== "Maturity") {
+    return reject("NOT_MATURED", "Only matured accounts can be rolled over");
+  }
+  return quote;
+};
+
+/**
+ * Close a matured account by moving its settlement into the account it was renewed into
+ * (no payout: Dr CLIENT_ACCOUNT old / Cr CLIENT_ACCOUNT new). Call inside the renewal's transaction.
+ * @param {Object} params - { account (matured), newAccount, reviewerId, session }
+ * @returns {Promise<Object>} { ok: true, closure, amount } or { ok: false, reason, message, details }
+ */
+export const rollOverClosure = async ({ account, newAccount, reviewerId, session = null }) => {
+  const opts = session ? { session } : {};
+
+  const quote = await quoteRollover(account, { session });
+  if (!quote.ok) return quote;
+  const { settlement } = quote;
+
+  const now = new Date();
+  const [closure] = await AccountClosure.create(
+    [
+      {
+        companyId: account.companyId,
+        accountId: account._id,
+        userId: account.userId,
+        assignedAgent: account.assignedAgent,
+        requestedBy: reviewerId,
+        reason: `Renewed into ${newAccount.accountNumber}`,
+        quote: settlement,
+        settlement,
+        status: "Approved",
+        reviewedBy: reviewerId,
+        reviewedAt: now,
+      },
+    ],
+    opts
+  );
+
+  await finalizeClosure({ account, closure, payout: null, reviewerId, reason: `Renewed into ${newAccount.accountNumber}`, session });
+
+  if (settlement.payoutAmount > 0) {
+    await JournalEntry.create(
+      [
+        {
+          companyId: account.companyId,
+          date: settlement.asOf,
+          sourceType: "AccountRollover",
+          sourceId: closure._id,
+          description: `Rollover ${account.accountNumber} → ${newAccount.accountNumber}`,
+          legs: [
+            { ledgerAccount: "CLIENT_ACCOUNT", refId: account._id, debit: settlement.payoutAmount },
+            { ledgerAccount: "CLIENT_ACCOUNT", refId: newAccount._id, credit: settlement.payoutAmount },
+          ],
+          postedBy: reviewerId,
+        },
+      ],
+      opts
+    );
+  }
+
+  return { ok: true, closure, amount: settlement.payoutAmount };
+};
@@ -0,0 +1,240 @@
+// services/defaulterService.js
+import dayjs from "dayjs";
+import Account from "../models/Account.js";
+import Company from "../models/Company.js";
+import Deposit from "../models/Deposit.js";
+import Installment from "../models/Installment.js";
+import User from "../models/User.js";
+import { getAccountScheme, getAccountStartDate } from "../utils/accountHelper.js";
+import { sendFirebaseNotification } from "../utils/sendFirebaseNotification.js";
+import { getLatestStatusChange, transitionAccount } from "./accountLifecycleService.js";
+import "../utils/timezone.js"; // dayjs tz + default timezone
+
+// Used when neither the company nor the scheme configures a value. A threshold of 0 turns its rule off.
+export const DEFAULT_DEFAULTER_RULES = {
+  enabled: true,
+  // Monthly: this many installments in a row due and not fully paid
+  missedInstallments: 3,
+  // Daily: last month's collections below this % of monthlyTarget
+  dailyShortfallPercent: 50,
+};
+
+const CLASSIFIED_MODES = ["Monthly", "Daily"];
+const CLASSIFIED_STATUSES = ["Active", "OnTrack", "Pending", "Defaulter"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Check defaulter rules input (company settings or scheme override)
+ * @param {boolean} allowNull - scheme overrides may be null to inherit the company value
+ * @returns {string|null} error message
+ */
+export const validateDefaulterRules = (input, { allowNull = false } = {}) => {
+  if (!input || typeof input !== "object") return "defaulterRules must be an object";
+
+  const { enabled, missedInstallments, dailyShortfallPercent } = input;
+  const inherits = (value) => allowNull && value === null;
+
+  if (enabled !== undefined && !inherits(enabled) && typeof enabled !== "boolean") {
+    return "defaulterRules.enabled must be true or false";
+  }
+  if (
+    missedInstallments !== undefined &&
+    !inherits(missedInstallments) &&
+    !(Number.isInteger(missedInstallments) && missedInstallments >= 0 && missedInstallments <= 36)
+  ) {
+    return "defaulterRules.missedInstallments must be a whole number between 0 and 36";
+  }
+  if (
+    dailyShortfallPercent !== undefined &&
+    !inherits(dailyShortfallPercent) &&
+    !(typeof dailyShortfallPercent === "number" && dailyShortfallPercent >= 0 && dailyShortfallPercent <= 100)
+  ) {
+    return "defaulterRules.dailyShortfallPercent must be a number between 0 and 100";
+  }
+  return null;
+};
+
+/**
+ * Effective rules: scheme override → company setting → default, field by field. Pure.
+ */
+export const resolveDefaulterRules = (companyRules = {}, schemeRules = {}) =>
+  Object.fromEntries(
+    Object.keys(DEFAULT_DEFAULTER_RULES).map((field) => [
+      field,
+      schemeRules?.[field] ?? companyRules?.[field] ?? DEFAULT_DEFAULTER_RULES[field],
+    ])
+  );
+
+/**
+ * Company defaulter rules with defaults filled in
+ */
+export const getDefaulterRules = async (companyId) => {
+  const company = await Company.findById(companyId).select("settings").lean();
+  return resolveDefaulterRules(company?.settings?.defaulterRules);
+};
+
+/**
+ * Monthly rule: length of the latest run of installments that are due and not fully paid.
+ * A paid installment ends the run — including the current one paid ahead of its due date.
+ * @returns {Promise<number|null>} null when the account has no schedule yet
+ */
+const missedInstallmentRun = async (account, limit, now) => {
+  const recent = await Installment.find({ accountId: account._id, periodStart: { $lte: now } })
+    .sort({ seq: -1 })
+    .limit(limit + 1)
+    .select("seq status dueDate")
+    .lean();
+  if (recent.length === 0) return null;
+
+  let run = 0;
+  for (const installment of recent) {
+    if (installment.status === "Paid") break;
+    if (installment.dueDate >= now) continue; // current period, not due yet
+    run++;
+  }
+  return run;
+};
+
+const sumCollected = async (accountId, start, end) => {
+  const result = await Deposit.aggregate([
+    { $match: { accountId, date: { $gte: start, $lte: end } } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  return round2(result.length ? result[0].total : 0);
+};
+
+/**
+ * Decide whether one account is a defaulter under the given rules
+ * @returns {Promise<Object|null>} { isDefaulter, rule, reason, details }, null when the rules don't apply
+ */
+export const classifyAccount = async (account, rules, now = new Date()) => {
+  if (account.paymentMode === "Monthly" && rules.missedInstallments > 0) {
+    const run = await missedInstallmentRun(account, rules.missedInstallments, now);
+    if (run === null) return null;
+    return {
+      isDefaulter: run >= rules.missedInstallments,
+      rule: "MISSED_INSTALLMENTS",
+      reason:
+        run >= rules.missedInstallments
+          ? `${run} consecutive installments missed`
+          : "Missed installments caught up",
+      details: { missed: run, threshold: rules.missedInstallments },
+    };
+  }
+
+  if (account.paymentMode === "Daily" && rules.dailyShortfallPercent > 0 && account.monthlyTarget > 0) {
+    const required = round2((account.monthlyTarget * rules.dailyShortfallPercent) / 100);
+    const current = dayjs(now).tz().startOf("month");
+    const last = current.subtract(1, "month");
+
+    // Only a month the account was open for from its first day counts
+    if (getAccountStartDate(account) > last.toDate()) return null;
+
+    const lastMonth = await sumCollected(account._id, last.toDate(), last.endOf("month").toDate());
+    const thisMonth = await sumCollected(account._id, current.toDate(), dayjs(now).tz().toDate());
+
+    // Short last month, unless this month's collections have already reached the threshold
+    const isDefaulter = lastMonth < required && thisMonth < required;
+    return {
+      isDefaulter,
+      rule: "DAILY_SHORTFALL",
+      reason: isDefaulter
+        ? `Collected ₹${lastMonth} in ${last.format("MMM YYYY")}, below ${rules.dailyShortfallPercent}% of the monthly target`
+        : "Collections back above the monthly threshold",
+      details: { lastMonth, thisMonth, required, percent: rules.dailyShortfallPercent },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Tell the account's agent and the agent's Manager about a classification change
+ */
+const notifyClassification = async (account, status, reason, users) => {
+  const loadUser = async (id) => {
+    if (!id) return null;
+    const key = String(id);
+    if (!users.has(key)) users.set(key, await User.findById(id).select("fcmToken assignedTo role").lean());
+    return users.get(key);
+  };
+
+  const agent = await loadUser(account.assignedAgent);
+  const manager = agent?.assignedTo ? await loadUser(agent.assignedTo) : null;
+
+  const title = status === "Defaulter" ? "Account marked Defaulter ⚠️" : "Account no longer a defaulter ✅";
+  const body = `${account.accountNumber} (${account.clientName}): ${reason}`;
+  const data = { type: "account-status", accountId: account._id.toString(), status };
+
+  for (const recipient of [agent, manager?.role === "Manager" ? manager : null]) {
+    if (recipient?.fcmToken) await sendFirebaseNotification(recipient.fcmToken, title, body, data);
+  }
+};
+
+/**
+ * Nightly: move Monthly / Daily accounts to Defaulter when a rule fires, and back to OnTrack
+ * once they catch up. Only Defaulters the classifier set are moved back; a manual one stays.
+ * The maturity cron leaves a recovery alone for the rest of that month.
+ * Rules come from the scheme, else the company (see resolveDefaulterRules).
+ * @returns {Promise<Object>} { accountsChecked, markedDefaulter, recovered }
+ */
+export const classifyDefaulters = async (now = new Date()) => {
+  const companyRules = new Map();
+  const schemeRules = new Map();
+  const users = new Map();
+  let accountsChecked = 0;
+  let markedDefaulter = 0;
+  let recovered = 0;
+
+  const cursor = Account.find({
+    status: { $in: CLASSIFIED_STATUSES },
+    paymentMode: { $in: CLASSIFIED_MODES },
+    isFullyPaid: { $ne: true },
+    maturityDate: { $gt: now },
+  })
+    .select("companyId accountNumber clientName assignedAgent schemeType paymentMode monthlyTarget maturityDate durationMonths status")
+    .cursor();
+
+  for await (const account of cursor) {
+    try {
+      const companyKey = String(account.companyId);
+      if (!companyRules.has(companyKey)) {
+        const company = await Company.findById(account.companyId).select("settings").lean();
+        companyRules.set(companyKey, company?.settings?.defaulterRules);
+      }
+      const schemeKey = `${companyKey}:${account.schemeType}`;
+      if (!schemeRules.has(schemeKey)) {
+        const scheme = await getAccountScheme(account);
+        schemeRules.set(schemeKey, scheme?.defaulterRules);
+      }
+
+      const rules = resolveDefaulterRules(companyRules.get(companyKey), schemeRules.get(schemeKey));
+      if (!rules.enabled) continue;
+
+      accountsChecked++;
+      const result = await classifyAccount(account, rules, now);
+      if (!result) continue;
+
+      const isDefaulter = account.status === "Defaulter";
+      if (result.isDefaulter === isDefaulter) continue;
+
+      if (!result.isDefaulter) {
+        const latest = await getLatestStatusChange(account._id);
+        if (latest?.to !== "Defaulter" || latest.source !== "Classifier") continue;
+      }
+      const to = result.isDefaulter ? "Defaulter" : "OnTrack";
+      const transition = await transitionAccount(account, to, { reason: result.reason, source: "Classifier" });
+      if (!transition.ok || !transition.changed) continue;
+
+      if (result.isDefaulter) markedDefaulter++;
+      else recovered++;
+
+      await notifyClassification(account, to, result.reason, users);
+    } catch (err) {
+      console.error(`❌ Defaulter classification failed for ${account.accountNumber}:`, err.message);
+    }
+  }
+
+  return { accountsChecked, markedDefaulter, recovered };
+};
@@ -0,0 +1,401 @@
+// services/depositImportService.js
+import path from "path";
+import mongoose from "mongoose";
+import dayjs from "dayjs";
+import ExcelJS from "exceljs";
+import { parse } from "csv-parse/sync";
+
+import Account from "../models/Account.js";
+import Deposit from "../models/Deposit.js";
+import DepositImport from "../models/DepositImport.js";
+import { generateReceiptNumbers } from "../utils/receiptHelper.js";
+import { getAccountStartDate } from "../utils/accountHelper.js";
+import { getDayRange } from "../utils/timezone.js"; // also sets up dayjs tz + default timezone
+import { logAudit } from "../utils/auditLogger.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import { postDepositJournals } from "./ledgerService.js";
+import { evaluateDepositPolicy } from "./depositPolicies/index.js";
+import {
+  COLLECTION_ENTRY_FILTER,
+  PAYMENT_METHODS,
+  SCHEME_TYPES_ON_DEPOSIT,
+  recalculateAccountTotals,
+} from "./depositService.js";
+
+export const MAX_IMPORT_ROWS = Number(process.env.MAX_IMPORT_ROWS || 5000);
+
+// Column names accepted in the sheet (compared lowercase, letters only)
+const HEADER_ALIASES = {
+  accountnumber: "accountNumber",
+  accountno: "accountNumber",
+  account: "accountNumber",
+  date: "date",
+  depositdate: "date",
+  amount: "amount",
+  paymentmethod: "paymentMethod",
+  method: "paymentMethod",
+  reference: "reference",
+  utr: "reference",
+  chequenumber: "reference",
+};
+const REQUIRED_COLUMNS = ["accountNumber", "date", "amount"];
+
+const reject = (reason, message, details = {}) => ({ ok: false, reason, message, details });
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const normaliseHeader = (h) => HEADER_ALIASES[String(h ?? "").toLowerCase().replace(/[^a-z]/g, "")];
+
+// ExcelJS cells can hold formulas, rich text or hyperlinks
+const cellValue = (v) => {
+  if (v && typeof v === "object" && !(v instanceof Date)) {
+    if ("result" in v) return v.result;
+    if (Array.isArray(v.richText)) return v.richText.map((t) => t.text).join("");
+    if ("text" in v) return v.text;
+  }
+  return v;
+};
+
+const readCsv = (buffer) =>
+  parse(buffer, { bom: true, trim: true, relax_column_count: true, skip_empty_lines: false });
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const lines = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    lines[rowNumber - 1] = row.values.slice(1).map(cellValue); // row.values is 1-based
+  });
+  return Array.from(lines, (line) => line || []);
+};
+
+/**
+ * Passbook dates: YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY or an Excel date cell.
+ * Stored at noon (default timezone) so the entry never slips into the neighbouring day or month.
+ */
+const parseImportDate = (value) => {
+  let iso = null;
+  if (value instanceof Date && !isNaN(value)) {
+    iso = value.toISOString().slice(0, 10); // Excel dates carry no timezone
+  } else if (typeof value === "string" || typeof value === "number") {
+    const text = String(value).trim();
+    let m;
+    if ((m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+      iso = `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+    } else if ((m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+      iso = `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+    }
+  }
+  if (!iso) return null;
+
+  const parsed = dayjs.tz(`${iso} 12:00`);
+  if (!parsed.isValid() || parsed.format("YYYY-MM-DD") !== iso) return null; // e.g. 31/02/2024
+  return parsed.toDate();
+};
+
+const parseImportAmount = (value) => {
+  if (value == null || value === "") return null;
+  const amount = typeof value === "number" ? value : Number(String(value).replace(/[,\s₹]/g, ""));
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const parsePaymentMethod = (value) => {
+  if (value == null || String(value).trim() === "") return "Cash";
+  const key = String(value).toLowerCase().replace(/[^a-z]/g, "");
+  return PAYMENT_METHODS.find((m) => m.toLowerCase() === key) || String(value).trim();
+};
+
+/**
+ * Read an uploaded CSV / XLSX into normalised rows (values that can't be parsed become null).
+ * @param {{ buffer: Buffer, originalname: string }} file - multer file
+ * @returns {Promise<Object>} { ok: true, rows } or { ok: false, reason, message }
+ */
+export const parseImportFile = async (file) => {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+
+  let lines;
+  try {
+    lines = ext === ".xlsx" ? await readXlsx(file.buffer) : readCsv(file.buffer);
+  } catch (err) {
+    return reject("UNREADABLE_FILE", `Could not read the file: ${err.message}`);
+  }
+
+  const headerIndex = lines.findIndex((line) => line.some((c) => c != null && String(c).trim() !== ""));
+  if (headerIndex === -1) return reject("EMPTY_FILE", "The file has no rows");
+
+  const columns = lines[headerIndex].map(normaliseHeader);
+  const missing = REQUIRED_COLUMNS.filter((c) => !columns.includes(c));
+  if (missing.length) {
+    return reject("MISSING_COLUMNS", `Missing column(s): ${missing.join(", ")}`, { missing });
+  }
+
+  const rows = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.some((c) => c != null && String(c).trim() !== "")) continue;
+
+    const record = {};
+    columns.forEach((col, idx) => {
+      if (col && record[col] == null) record[col] = line[idx];
+    });
+
+    rows.push({
+      row: i + 1,
+      accountNumber: record.accountNumber != null ? String(record.accountNumber).trim().toUpperCase() : "",
+      date: parseImportDate(record.date),
+      amount: parseImportAmount(record.amount),
+      paymentMethod: parsePaymentMethod(record.paymentMethod),
+      reference: record.reference != null && String(record.reference).trim() ? String(record.reference).trim() : undefined,
+    });
+  }
+
+  if (rows.length === 0) return reject("EMPTY_FILE", "The file has no data rows");
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return reject("TOO_MANY_ROWS", `A file can have at most ${MAX_IMPORT_ROWS} rows`, { rows: rows.length });
+  }
+
+  return { ok: true, rows };
+};
+
+// Calendar months and days in the company timezone, same as depositService
+const monthKey = (date) => dayjs(date).tz().format("YYYY-MM");
+const dayKey = (date) => getDayRange(date).start.getTime();
+
+/**
+ * Running totals of an account from its existing deposits (net of corrections)
+ */
+const buildAccountState = (account, deposits) => {
+  const state = { total: 0, months: new Map(), dayTotals: new Map(), days: new Map() };
+  deposits.forEach((d) => {
+    addToState(state, d.amount, d.date);
+    if (d.countsAsCollection) state.days.set(dayKey(d.date), "existing");
+  });
+  state.isFullyPaid = Boolean(account.isFullyPaid) || (account.paymentMode === "Yearly" && state.total > 0);
+  return state;
+};
+
+const addToState = (state, amount, date) => {
+  state.total += amount;
+  state.months.set(monthKey(date), (state.months.get(monthKey(date)) || 0) + amount);
+  state.dayTotals.set(dayKey(date), (state.dayTotals.get(dayKey(date)) || 0) + amount);
+};
+
+/**
+ * Same deposit policy as every other path, against the account's running state
+ * (existing deposits + earlier rows of the file).
+ * @returns {string|null} failure reason
+ */
+const checkDepositPolicy = (account, state, amount, date) => {
+  const result = evaluateDepositPolicy({
+    account,
+    amount,
+    date,
+    totals: {
+      collectedAll: state.total,
+      collectedInMonth: state.months.get(monthKey(date)) || 0,
+      collectedOnDay: state.dayTotals.get(dayKey(date)) || 0,
+      isFullyPaid: state.isFullyPaid,
+    },
+  });
+  return result.ok ? null : result.reason;
+};
+
+/**
+ * Validate normalised rows against the company's accounts and deposits.
+ * Rows are checked per account in date order, so earlier rows of the file count towards later ones.
+ * @returns {Promise<Object>} { rows (with issues[]), summary, accounts (Map by id) }
+ */
+export const validateImportRows = async (companyId, inputRows) => {
+  const now = new Date();
+  const rows = inputRows.map((r) => ({ ...(r.toObject ? r.toObject() : r), accountId: undefined, issues: [] }));
+
+  const numbers = [...new Set(rows.map((r) => r.accountNumber).filter(Boolean))];
+  const accountList = await Account.find({ companyId, accountNumber: { $in: numbers } });
+  const byNumber = new Map(accountList.map((a) => [a.accountNumber, a]));
+
+  const existing = await Deposit.aggregate([
+    { $match: { accountId: { $in: accountList.map((a) => a._id) } } },
+    {
+      $project: {
+        accountId: 1,
+        date: 1,
+        amount: 1,
+        countsAsCollection: {
+          $and: [
+            { $not: [{ $in: ["$entryType", COLLECTION_ENTRY_FILTER.entryType.$nin] }] },
+            { $ne: ["$isReversed", true] },
+          ],
+        },
+      },
+    },
+  ]);
+  const states = new Map(
+    accountList.map((a) => [
+      a._id.toString(),
+      buildAccountState(a, existing.filter((d) => d.accountId.toString() === a._id.toString())),
+    ])
+  );
+
+  // 🔹 Field checks
+  rows.forEach((r) => {
+    if (!r.accountNumber) r.issues.push("MISSING_ACCOUNT_NUMBER");
+    else if (!byNumber.has(r.accountNumber)) r.issues.push("UNKNOWN_ACCOUNT");
+    else r.accountId = byNumber.get(r.accountNumber)._id;
+
+    if (!r.date) r.issues.push("INVALID_DATE");
+    else if (r.date > now) r.issues.push("FUTURE_DATE");
+
+    if (r.amount == null || r.amount <= 0 || round2(r.amount) !== r.amount) r.issues.push("INVALID_AMOUNT");
+    if (!PAYMENT_METHODS.includes(r.paymentMethod)) r.issues.push("INVALID_PAYMENT_METHOD");
+  });
+
+  // 🔹 Account rules, oldest first
+  const ordered = rows
+    .filter((r) => r.issues.length === 0)
+    .sort((a, b) => a.date - b.date || a.row - b.row);
+
+  for (const r of ordered) {
+    const account = byNumber.get(r.accountNumber);
+    const state = states.get(account._id.toString());
+    const start = getAccountStartDate(account);
+
+    let error = null;
+    if (r.date < start) error = "DATE_BEFORE_ACCOUNT_START";
+    else if (state.days.has(dayKey(r.date))) {
+      error = state.days.get(dayKey(r.date)) === "existing" ? "DUPLICATE_EXISTING_DEPOSIT" : "DUPLICATE_IN_FILE";
+    } else {
+      error = checkDepositPolicy(account, state, r.amount, r.date);
+    }
+
+    if (error) {
+      r.issues.push(error);
+      continue;
+    }
+
+    addToState(state, r.amount, r.date);
+    state.days.set(dayKey(r.date), "file");
+    if (account.paymentMode === "Yearly") state.isFullyPaid = true;
+  }
+
+  const valid = rows.filter((r) => r.issues.length === 0);
+  const errorCounts = {};
+  rows.forEach((r) => r.issues.forEach((e) => (errorCounts[e] = (errorCounts[e] || 0) + 1)));
+
+  return {
+    rows,
+    summary: {
+      totalRows: rows.length,
+      validRows: valid.length,
+      invalidRows: rows.length - valid.length,
+      totalAmount: round2(valid.reduce((sum, r) => sum + r.amount, 0)),
+      errorCounts,
+    },
+    accounts: new Map(accountList.map((a) => [a._id.toString(), a])),
+  };
+};
+
+const buildPaymentFields = (r) => {
+  if (r.paymentMethod === "Cheque") {
+    // Historical cheques were presented long ago
+    return { paymentMethod: "Cheque", paymentDetails: { chequeNumber: r.reference }, chequeStatus: "Cleared" };
+  }
+  if (r.paymentMethod === "Cash") return { paymentMethod: "Cash" };
+  return { paymentMethod: r.paymentMethod, paymentDetails: { utr: r.reference } };
+};
+
+/**
+ * Write the valid rows of a validated import: deposits keep their original dates,
+ * journals are posted and the balances of touched accounts are recalculated.
+ * Rows are re-validated first, since deposits may have changed since the dry run.
+ * @param {Object} importDoc - DepositImport document (status Validated)
+ * @param {Object} reqUser - req.user of the committing admin
+ * @param {boolean} skipInvalid - commit the valid rows even if some rows fail
+ * @returns {Promise<Object>} { ok: true, importDoc } or { ok: false, reason, message, details }
+ */
+export const commitDepositImport = async (importDoc, reqUser, { skipInvalid = false } = {}) => {
+  const claimed = await DepositImport.findOneAndUpdate(
+    { _id: importDoc._id, status: "Validated" },
+    { $set: { status: "Committing" } },
+    { new: true }
+  );
+  if (!claimed) return reject("IMPORT_NOT_PENDING", "Import was already committed");
+
+  try {
+    const { rows, summary, accounts } = await validateImportRows(claimed.companyId, claimed.rows);
+    claimed.rows = rows;
+    claimed.summary = summary;
+
+    const valid = rows.filter((r) => r.issues.length === 0);
+    if (valid.length === 0 || (summary.invalidRows > 0 && !skipInvalid)) {
+      claimed.status = "Validated";
+      await claimed.save();
+      return valid.length === 0
+        ? reject("NOTHING_TO_IMPORT", "No valid rows to import", { summary })
+        : reject("IMPORT_HAS_ERRORS", "Some rows failed validation; fix them or commit with skipInvalid", { summary });
+    }
+
+    const deposits = await withTransaction(async (session) => {
+      const opts = session ? { session } : {};
+      const receiptNumbers = await generateReceiptNumbers(claimed.companyId, valid.length, session);
+
+      // Historical cash is already with the company, so it is booked to OFFICE_CASH (no collector)
+      const docs = valid.map((r, i) => {
+        const account = accounts.get(r.accountId.toString());
+        return {
+          _id: new mongoose.Types.ObjectId(),
+          companyId: claimed.companyId,
+          date: r.date,
+          accountId: account._id,
+          userId: account.userId,
+          amount: r.amount,
+          receiptNumber: receiptNumbers[i],
+          channel: "Import",
+          importId: claimed._id,
+          ...(SCHEME_TYPES_ON_DEPOSIT.includes(account.schemeType) ? { schemeType: account.schemeType } : {}),
+          ...buildPaymentFields(r),
+        };
+      });
+
+      await Deposit.insertMany(docs, opts);
+      await postDepositJournals(docs, { session, postedBy: reqUser.id });
+
+      for (const account of new Set(docs.map((d) => accounts.get(d.accountId.toString())))) {
+        const lastDate = docs
+          .filter((d) => d.accountId.equals(account._id))
+          .reduce((max, d) => (d.date > max ? d.date : max), account.lastPaymentDate || new Date(0));
+        account.lastPaymentDate = lastDate;
+        await recalculateAccountTotals(account, { session, changedBy: reqUser.id, reason: "Deposit import committed" });
+      }
+
+      claimed.status = "Committed";
+      claimed.committedBy = reqUser.id;
+      claimed.committedAt = new Date();
+      claimed.depositCount = docs.length;
+      await claimed.save(opts);
+
+      return docs;
+    });
+
+    await logAudit({
+      action: "IMPORT_DEPOSITS",
+      entityType: "DepositImport",
+      entityId: claimed._id,
+      details: {
+        fileName: claimed.fileName,
+        depositCount: deposits.length,
+        totalAmount: summary.totalAmount,
+        accountCount: new Set(deposits.map((d) => d.accountId.toString())).size,
+        skippedRows: summary.invalidRows,
+        receiptRange: [deposits[0].receiptNumber, deposits[deposits.length - 1].receiptNumber],
+      },
+      reqUser,
+    });
+
+    return { ok: true, importDoc: claimed };
+  } catch (err) {
+    await DepositImport.updateOne({ _id: claimed._id, status: "Committing" }, { $set: { status: "Validated" } });
+    throw err;
+  }
+};
@@ -0,0 +1,28 @@
+// services/depositPolicies/dailyPolicy.js
+import { accept, reject } from "./result.js";
+
+// Collections capped by the monthly target; bulk collection also allows only one per day
+export const dailyPolicy = {
+  mode: "Daily",
+
+  evaluate({ account, amount, totals, options = {} }) {
+    if (!account.monthlyTarget || account.monthlyTarget <= 0) {
+      return reject("MISSING_MONTHLY_TARGET", "Daily account must have a monthlyTarget set");
+    }
+
+    if (options.oncePerDay && totals.collectedOnDay > 0) {
+      return reject("DAILY_ALREADY_COLLECTED", "Today's deposit already recorded");
+    }
+
+    if (totals.collectedInMonth + amount > account.monthlyTarget) {
+      return reject("DAILY_MONTHLY_TARGET_EXCEEDED", "Daily account monthly target exceeded", {
+        collected: totals.collectedInMonth,
+        monthlyTarget: account.monthlyTarget,
+      });
+    }
+
+    return accept({
+      statusUpdate: { status: totals.collectedInMonth + amount >= account.monthlyTarget ? "OnTrack" : "Pending" },
+    });
+  },
+};
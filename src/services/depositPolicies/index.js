@@ -0,0 +1,49 @@
+// services/depositPolicies/index.js
+import { yearlyPolicy } from "./yearlyPolicy.js";
+import { monthlyPolicy } from "./monthlyPolicy.js";
+import { dailyPolicy } from "./dailyPolicy.js";
+import { reject } from "./result.js";
+
+// One policy per Account.paymentMode
+const POLICIES = Object.fromEntries([yearlyPolicy, monthlyPolicy, dailyPolicy].map((p) => [p.mode, p]));
+
+export const getDepositPolicy = (paymentMode) => POLICIES[paymentMode] || null;
+
+/**
+ * Decide whether a deposit can be recorded. Pure: the caller supplies the account's totals,
+ * read from the database (evaluateDepositRules) or kept in memory (imports).
+ * @param {Object} account - Account (plain object or document)
+ * @param {number} amount
+ * @param {Date} date - collection date
+ * @param {Object} totals - { collectedAll, collectedInMonth, collectedOnDay, isFullyPaid } as of `date`
+ * @param {Object} [options] - { oncePerDay } — Daily accounts take one collection a day (bulk only)
+ * @returns {Object} { ok: true, collectedAll, statusUpdate, isFullyPaid } or { ok: false, reason, message, details }
+ */
+export const evaluateDepositPolicy = ({ account, amount, date, totals, options = {} }) => {
+  // 🔹 Checks shared by every payment mode
+  if (account.status === "Closed") {
+    return reject("ACCOUNT_CLOSED", "Account is closed, no more deposits allowed");
+  }
+
+  if (account.maturityDate && date >= account.maturityDate) {
+    return reject("ACCOUNT_MATURED", "Account has matured, no more deposits allowed");
+  }
+
+  if (typeof account.totalPayableAmount !== "number" || account.totalPayableAmount <= 0) {
+    return reject("MISSING_TOTAL_PAYABLE", "Account configuration invalid (missing totalPayableAmount)");
+  }
+
+  if (totals.collectedAll + amount > account.totalPayableAmount) {
+    return reject("TOTAL_PAYABLE_EXCEEDED", "Total payable exceeded", {
+      collectedAll: totals.collectedAll,
+      totalPayableAmount: account.totalPayableAmount,
+    });
+  }
+
+  // 🔹 Payment mode rules
+  const policy = getDepositPolicy(account.paymentMode);
+  const result = policy ? policy.evaluate({ account, amount, date, totals, options }) : { ok: true, statusUpdate: {}, isFullyPaid: false };
+  if (!result.ok) return result;
+
+  return { ...result, collectedAll: totals.collectedAll };
+};
@@ -0,0 +1,25 @@
+// services/depositPolicies/monthlyPolicy.js
+import { accept, reject } from "./result.js";
+
+// Fixed installment, once per calendar month of the collection date
+export const monthlyPolicy = {
+  mode: "Monthly",
+
+  evaluate({ account, amount, totals }) {
+    const required = account.installmentAmount;
+    if (!required || required <= 0) {
+      return reject("MISSING_INSTALLMENT_AMOUNT", "Missing installmentAmount");
+    }
+    if (amount !== required) {
+      return reject("MONTHLY_AMOUNT_MISMATCH", `Monthly account requires fixed installment of ${required}`, { required });
+    }
+
+    // net of reversals, so a reversed installment can be collected again
+    if (totals.collectedInMonth > 0) {
+      return reject("MONTHLY_ALREADY_PAID", "This month's installment already paid");
+    }
+
+    // isFullyPaid is decided from the running total by the caller
+    return accept({ statusUpdate: { status: "Pending" } });
+  },
+};
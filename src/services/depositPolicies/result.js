@@ -0,0 +1,8 @@
+// services/depositPolicies/result.js
+
+/**
+ * Failed policy check; `reason` is the code written to CREATE_DEPOSIT_FAILED audits
+ */
+export const reject = (reason, message, details = {}) => ({ ok: false, reason, message, details });
+
+export const accept = ({ statusUpdate = {}, isFullyPaid = false } = {}) => ({ ok: true, statusUpdate, isFullyPaid });
@@ -0,0 +1,22 @@
+// services/depositPolicies/yearlyPolicy.js
+import { accept, reject } from "./result.js";
+
+// One payment of the yearly amount (or the whole payable when no yearly amount is set)
+export const yearlyPolicy = {
+  mode: "Yearly",
+
+  evaluate({ account, amount, totals }) {
+    const required = typeof account.yearlyAmount === "number" && account.yearlyAmount > 0
+      ? account.yearlyAmount
+      : account.totalPayableAmount;
+
+    if (totals.isFullyPaid) {
+      return reject("YEARLY_ALREADY_PAID", "Yearly account already paid in full");
+    }
+    if (amount !== required) {
+      return reject("YEARLY_AMOUNT_MISMATCH", `Yearly account requires a single payment of ${required}`, { required });
+    }
+
+    return accept({ isFullyPaid: true, statusUpdate: { status: "OnTrack" } });
+  },
+};
@@ -0,0 +1,566 @@
+// services/depositService.js
+import dayjs from "dayjs";
+import Deposit from "../models/Deposit.js";
+import Account from "../models/Account.js";
+import Company from "../models/Company.js";
+import User from "../models/User.js";
+import { getDayRange } from "../utils/timezone.js";
+import { maskKycFields } from "../utils/kycFields.js";
+import { generateReceiptNumber } from "../utils/receiptHelper.js";
+import { postDepositJournals, getAccountLedgerBalance, isUnclearedInstrument } from "./ledgerService.js";
+import { evaluateDepositPolicy } from "./depositPolicies/index.js";
+import { nextStatus, recordStatusChanges } from "./accountLifecycleService.js";
+
+export const SCHEME_TYPES_ON_DEPOSIT = ["RD", "NSC", "KVP", "PPF"];
+
+/**
+ * Sum of deposit amounts for an account, optionally inside [start, end)
+ */
+const sumDeposits = async (accountId, { start, end, session } = {}) => {
+  const match = { accountId };
+  if (start && end) match.date = { $gte: start, $lt: end };
+
+  const agg = Deposit.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  if (session) agg.session(session);
+
+  const result = await agg;
+  return result.length ? result[0].total : 0;
+};
+
+// Calendar month (company timezone) containing `date`, end exclusive
+const monthRange = (date) => {
+  const start = dayjs(date).tz().startOf("month");
+  return { start: start.toDate(), end: start.add(1, "month").toDate() };
+};
+
+/**
+ * Entries that represent an actual collection (not a correction, not reversed).
+ * Use it for counting collections — sums over all entries are already net of corrections.
+ */
+export const COLLECTION_ENTRY_FILTER = {
+  entryType: { $nin: ["Reversal", "Adjustment"] },
+  isReversed: { $ne: true },
+};
+
+const reject = (reason, message, details = {}) => ({ ok: false, reason, message, details });
+
+export const PAYMENT_METHODS = ["Cash", "UPI", "BankTransfer", "Cheque"];
+
+// Cheques older than this (by instrument date) are stale and can't be presented
+const CHEQUE_VALIDITY_DAYS = 90;
+
+const DEFAULT_BACKDATE_WINDOW_DAYS = Number(process.env.DEPOSIT_BACKDATE_WINDOW_DAYS || 3);
+
+/**
+ * Accounts that can take a collection right now: not matured, closed or fully paid, and no
+ * collection yet today (Daily, IST), this month (Monthly) or ever (Yearly).
+ * One aggregation — the per-account check is an indexed lookup on Deposit (accountId, date).
+ * Paged calls ($facet) return one page plus the total; without a limit every account is
+ * returned as its own document (skip is ignored), so large companies stay under the 16 MB limit.
+ * @param {Object} match - Account filter (scope + search filters, ObjectIds cast)
+ * @returns {Promise<Object>} { total, accounts } — accounts carry userId populated with name
+ */
+export const findEligibleAccounts = async (match, { now = new Date(), skip = 0, limit = null } = {}) => {
+  // getDayRange ends on the last millisecond; the window below is end-exclusive
+  const day = getDayRange(now);
+  const dayStart = day.start;
+  const dayEnd = new Date(day.end.getTime() + 1);
+  const month = monthRange(now);
+
+  const withClient = [
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "userId",
+        foreignField: "_id",
+        pipeline: [{ $project: { name: 1 } }],
+        as: "userId",
+      },
+    },
+    { $set: { userId: { $arrayElemAt: ["$userId", 0] } } },
+  ];
+
+  const eligible = [
+    { $match: { ...match, status: { $nin: ["Matured", "Closed"] }, isFullyPaid: { $ne: true } } },
+    {
+      $set: {
+        _window: {
+          $switch: {
+            branches: [
+              { case: { $eq: ["$paymentMode", "Daily"] }, then: { start: dayStart, end: dayEnd } },
+              { case: { $eq: ["$paymentMode", "Monthly"] }, then: month },
+              { case: { $eq: ["$paymentMode", "Yearly"] }, then: { start: new Date(0), end: new Date(8.64e15) } },
+            ],
+            default: { start: now, end: now }, // no rule → never blocked
+          },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: Deposit.collection.name,
+        let: { accountId: "$_id", start: "$_window.start", end: "$_window.end" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$accountId", "$$accountId"] },
+                  { $gte: ["$date", "$$start"] },
+                  { $lt: ["$date", "$$end"] },
+                ],
+              },
+              ...COLLECTION_ENTRY_FILTER,
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "_collected",
+      },
+    },
+    { $match: { _collected: { $size: 0 } } },
+    { $unset: ["_window", "_collected"] },
+    { $sort: { _id: 1 } },
+  ];
+
+  if (!limit) {
+    const accounts = await Account.aggregate([...eligible, ...withClient]);
+    return { total: accounts.length, accounts: accounts.map(maskKycFields) };
+  }
+
+  const [result] = await Account.aggregate([
+    ...eligible,
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        accounts: [{ $skip: skip }, { $limit: limit }, ...withClient],
+      },
+    },
+  ]);
+
+  return { total: result.total[0]?.count || 0, accounts: result.accounts.map(maskKycFields) };
+};
+
+/**
+ * How many days back a collection can be dated without Admin approval (company setting, env fallback)
+ */
+export const getBackdateWindowDays = async (companyId, session = null) => {
+  const company = await Company.findById(companyId).select("settings").session(session);
+  const days = company?.settings?.backdateWindowDays;
+  return typeof days === "number" && days >= 0 ? days : DEFAULT_BACKDATE_WINDOW_DAYS;
+};
+
+/**
+ * Resolve the optional collection date of a deposit (the date all payment-mode rules use).
+ * - missing → now
+ * - date only (YYYY-MM-DD) → noon of that day, so it can't slip into the neighbouring month
+ * - older than the backdating window → needsApproval, unless an Admin enters it
+ * @returns {Object} { ok: true, date, isBackdated, needsApproval } or { ok: false, reason, message }
+ */
+export const resolveCollectionDate = ({ collectionDate, windowDays, role, now = new Date() }) => {
+  if (collectionDate == null || collectionDate === "") {
+    return { ok: true, date: now, isBackdated: false, needsApproval: false };
+  }
+
+  let date = /^\d{4}-\d{2}-\d{2}$/.test(String(collectionDate))
+    ? dayjs.tz(`${collectionDate} 12:00`).toDate()
+    : new Date(collectionDate);
+  if (isNaN(date)) return reject("INVALID_COLLECTION_DATE", "collectionDate must be a valid date");
+  if (date > now) {
+    if (getDayRange(date).start.getTime() !== getDayRange(now).start.getTime()) {
+      return reject("FUTURE_COLLECTION_DATE", "collectionDate cannot be in the future");
+    }
+    date = now; // today's date given without a time
+  }
+
+  const { start: today } = getDayRange(now);
+  const earliest = dayjs(today).subtract(windowDays, "day").toDate();
+
+  return {
+    ok: true,
+    date,
+    isBackdated: date < today,
+    needsApproval: date < earliest && role !== "Admin",
+  };
+};
+
+/**
+ * Validate the payment method + reference details of a deposit request.
+ * - UPI / BankTransfer → utr required
+ * - Cheque → chequeNumber, bankName and instrumentDate required; starts as Pending
+ * @returns {Object} { ok: true, fields } (Deposit fields to store) or { ok: false, reason, message }
+ */
+export const parsePaymentInput = ({ paymentMethod = "Cash", paymentDetails = {} } = {}, now = new Date()) => {
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return reject("INVALID_PAYMENT_METHOD", `paymentMethod must be one of ${PAYMENT_METHODS.join(", ")}`);
+  }
+  const details = paymentDetails && typeof paymentDetails === "object" ? paymentDetails : {};
+  const text = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+
+  if (paymentMethod === "Cash") {
+    return { ok: true, fields: { paymentMethod } };
+  }
+
+  if (paymentMethod === "UPI" || paymentMethod === "BankTransfer") {
+    const utr = text(details.utr);
+    if (!utr) {
+      return reject("MISSING_PAYMENT_REFERENCE", `UTR / reference number is required for ${paymentMethod}`);
+    }
+    return { ok: true, fields: { paymentMethod, paymentDetails: { utr, bankName: text(details.bankName) } } };
+  }
+
+  // Cheque
+  const chequeNumber = text(details.chequeNumber);
+  const bankName = text(details.bankName);
+  const instrumentDate = details.instrumentDate ? new Date(details.instrumentDate) : null;
+
+  if (!chequeNumber || !bankName || !instrumentDate) {
+    return reject("MISSING_CHEQUE_DETAILS", "chequeNumber, bankName and instrumentDate are required for cheques");
+  }
+  if (isNaN(instrumentDate)) {
+    return reject("INVALID_INSTRUMENT_DATE", "Invalid cheque instrumentDate");
+  }
+  if (instrumentDate > now) {
+    return reject("POST_DATED_CHEQUE", "Post-dated cheques cannot be accepted");
+  }
+  if (now - instrumentDate > CHEQUE_VALIDITY_DAYS * 24 * 60 * 60 * 1000) {
+    return reject("STALE_CHEQUE", `Cheque is older than ${CHEQUE_VALIDITY_DAYS} days`);
+  }
+
+  return {
+    ok: true,
+    fields: {
+      paymentMethod,
+      paymentDetails: { chequeNumber, bankName, instrumentDate },
+      chequeStatus: "Pending",
+    },
+  };
+};
+
+/**
+ * Totals an account had as of the collection date, plus entries of the same request
+ * that are accepted but not written yet (bulk batches).
+ * @param {Array} pendingEntries - [{ amount, date }]
+ */
+export const getDepositTotals = async (account, date, { session = null, pendingEntries = [] } = {}) => {
+  const month = monthRange(date);
+  const day = getDayRange(date);
+  const [collectedAll, collectedInMonth, collectedOnDay] = await Promise.all([
+    sumDeposits(account._id, { session }),
+    sumDeposits(account._id, { ...month, session }),
+    sumDeposits(account._id, { start: day.start, end: new Date(day.end.getTime() + 1), session }),
+  ]);
+
+  const pendingIn = (start, end) =>
+    pendingEntries.filter((e) => e.date >= start && e.date < end).reduce((sum, e) => sum + e.amount, 0);
+
+  return {
+    collectedAll: collectedAll + pendingEntries.reduce((sum, e) => sum + e.amount, 0),
+    collectedInMonth: collectedInMonth + pendingIn(month.start, month.end),
+    collectedOnDay: collectedOnDay + pendingIn(day.start, new Date(day.end.getTime() + 1)),
+    isFullyPaid: Boolean(account.isFullyPaid) || (account.paymentMode === "Yearly" && pendingEntries.length > 0),
+  };
+};
+
+/**
+ * Evaluate the deposit policy of the account's payment mode for one collection
+ * (see services/depositPolicies). All period checks use `date`, not the server clock.
+ * @returns {Promise<Object>} { ok: true, collectedAll, statusUpdate, isFullyPaid }
+ *   or { ok: false, reason, message, details } — reasons match the CREATE_DEPOSIT_FAILED audit codes
+ */
+export const evaluateDepositRules = async ({
+  account,
+  amount,
+  date = new Date(),
+  session = null,
+  pendingEntries = [],
+  oncePerDay = false,
+}) => {
+  const totals = await getDepositTotals(account, date, { session, pendingEntries });
+  return evaluateDepositPolicy({ account, amount, date, totals, options: { oncePerDay } });
+};
+
+/**
+ * Persist a validated deposit and apply the balance/status update to its account.
+ * @param {Object} params
+ * @param {Object} params.account - Account document the rules were evaluated on
+ * @param {Object} params.rules - successful result of evaluateDepositRules
+ * @param {Object} [params.extra] - additional Deposit fields (channel, device info …)
+ * @returns {Promise<{ deposit: Object, afterCollected: number }>}
+ */
+export const recordDeposit = async ({
+  account,
+  rules,
+  userId,
+  amount,
+  date,
+  companyId,
+  collectedBy,
+  extra = {},
+  session = null,
+}) => {
+  const opts = session ? { session } : {};
+
+  const depositData = {
+    companyId,
+    date,
+    accountId: account._id,
+    userId,
+    amount,
+    collectedBy,
+    receiptNumber: await generateReceiptNumber(companyId, session),
+    ...extra,
+  };
+
+  if (SCHEME_TYPES_ON_DEPOSIT.includes(account.schemeType)) {
+    depositData.schemeType = account.schemeType;
+  }
+
+  const deposit = new Deposit(depositData);
+  await deposit.save(opts);
+  await postDepositJournals(deposit, { session });
+
+  // Pending cheques are counted once they clear (see settleCheque)
+  if (isUnclearedInstrument(deposit)) {
+    return { deposit, afterCollected: rules.collectedAll };
+  }
+
+  const afterCollected = rules.collectedAll + amount;
+  const update = buildAccountUpdate(account, rules, amount);
+  await Account.findByIdAndUpdate(account._id, update, opts);
+  await recordStatusChanges(
+    [{ accountId: account._id, companyId: account.companyId, from: account.status, to: update.status }],
+    { reason: `Deposit ${deposit.receiptNumber}`, source: "Deposit", changedBy: collectedBy, session }
+  );
+
+  return { deposit, afterCollected };
+};
+
+/**
+ * Atomic balance increment + status update for an accepted deposit.
+ * The status is only set when the lifecycle allows the move (see accountLifecycleService).
+ * @param {Object} rules - successful result of evaluateDepositRules
+ */
+export const buildAccountUpdate = (account, rules, amount) => {
+  const updateFields = { $inc: { balance: amount } };
+  // Defaulters stay Defaulter until the nightly classifier sees them caught up (see defaulterService)
+  let status = account.status === "Defaulter" ? undefined : rules.statusUpdate?.status;
+
+  if (rules.isFullyPaid || rules.collectedAll + amount >= account.totalPayableAmount) {
+    updateFields.isFullyPaid = true;
+    status = "OnTrack";
+  }
+
+  const next = nextStatus(account.status, status);
+  if (next) updateFields.status = next;
+
+  return updateFields;
+};
+
+/**
+ * Current value of a deposit = its own amount + every adjustment posted against it
+ */
+export const getEffectiveAmount = async (deposit, session = null) => {
+  const agg = Deposit.aggregate([
+    { $match: { originalDepositId: deposit._id, entryType: "Adjustment" } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  if (session) agg.session(session);
+
+  const result = await agg;
+  return deposit.amount + (result.length ? result[0].total : 0);
+};
+
+const buildCorrectionEntry = (deposit, fields) =>
+  new Deposit({
+    companyId: deposit.companyId,
+    accountId: deposit.accountId,
+    userId: deposit.userId,
+    schemeType: deposit.schemeType,
+    collectedBy: deposit.collectedBy,
+    // corrections hit the same ledger account as the deposit they correct
+    paymentMethod: deposit.paymentMethod,
+    chequeStatus: deposit.chequeStatus,
+    originalDepositId: deposit._id,
+    ...fields,
+  });
+
+/**
+ * Offset a deposit completely with a Reversal entry dated on the original collection date,
+ * so every period total and the account balance net back to what they were before it.
+ */
+export const postReversal = async ({ deposit, reason, approvedBy, session = null }) => {
+  if (deposit.isReversed) {
+    throw new Error("Deposit is already reversed");
+  }
+  const opts = session ? { session } : {};
+
+  const effective = await getEffectiveAmount(deposit, session);
+  const reversal = buildCorrectionEntry(deposit, {
+    entryType: "Reversal",
+    date: deposit.date,
+    amount: -effective,
+    reason,
+    approvedBy,
+  });
+  await reversal.save(opts);
+  await postDepositJournals(reversal, { session });
+
+  deposit.isReversed = true;
+  deposit.reversedBy = reversal._id;
+  await deposit.save(opts);
+
+  return reversal;
+};
+
+/**
+ * Move a Pending cheque to Cleared or Bounced.
+ * - Cleared → journal posted, counts towards the balance from now on
+ * - Bounced → Reversal entry (outside the ledger, like the cheque itself) so every sum nets to zero
+ * Call recalculateAccountTotals afterwards.
+ * @returns {Promise<Object|null>} the Reversal entry for a bounce, else null
+ */
+export const settleCheque = async ({ deposit, status, reason, userId, session = null }) => {
+  const opts = session ? { session } : {};
+
+  deposit.chequeStatus = status;
+  deposit.chequeStatusAt = new Date();
+  deposit.chequeStatusBy = userId;
+
+  if (status === "Cleared") {
+    await deposit.save(opts);
+    await postDepositJournals(deposit, { session, postedBy: userId });
+    return null;
+  }
+
+  deposit.bounceReason = reason;
+  deposit.isReversed = true;
+
+  const reversal = buildCorrectionEntry(deposit, {
+    entryType: "Reversal",
+    date: deposit.date,
+    amount: -deposit.amount,
+    reason: `Cheque bounced${reason ? `: ${reason}` : ""}`,
+    approvedBy: userId,
+    paymentDetails: deposit.paymentDetails,
+    chequeStatus: "Bounced",
+  });
+  await reversal.save(opts);
+
+  deposit.reversedBy = reversal._id;
+  await deposit.save(opts);
+  return reversal;
+};
+
+/**
+ * Post an Adjustment of `delta` against a deposit, dated on the original collection date
+ */
+export const postAdjustment = async ({ deposit, delta, reason, approvedBy, session = null }) => {
+  const adjustment = buildCorrectionEntry(deposit, {
+    entryType: "Adjustment",
+    date: deposit.date,
+    amount: delta,
+    reason,
+    approvedBy,
+  });
+  await adjustment.save(session ? { session } : {});
+  await postDepositJournals(adjustment, { session });
+  return adjustment;
+};
+
+/**
+ * Correct a deposit's amount and/or collection date without touching the original row.
+ * - amount only → Adjustment for the difference
+ * - date changed → Reversal of the original + replacement Deposit on the new date
+ * @returns {Promise<{ entries: Object[], current: Object }>} posted entries and the
+ *   deposit that now represents the collection
+ */
+export const correctDeposit = async ({ deposit, newAmount, newDate, reason, approvedBy, session = null }) => {
+  if (deposit.chequeStatus === "Pending") {
+    throw new Error("Cheque is still pending — clear or bounce it before correcting");
+  }
+  const effective = await getEffectiveAmount(deposit, session);
+  const amount = newAmount ?? effective;
+  const dateChanged = newDate && newDate.getTime() !== new Date(deposit.date).getTime();
+
+  if (dateChanged) {
+    const reversal = await postReversal({ deposit, reason, approvedBy, session });
+
+    const replacement = buildCorrectionEntry(deposit, {
+      entryType: "Deposit",
+      date: newDate,
+      amount,
+      reason,
+      approvedBy,
+      receiptNumber: await generateReceiptNumber(deposit.companyId, session),
+    });
+    await replacement.save(session ? { session } : {});
+    await postDepositJournals(replacement, { session });
+
+    return { entries: [reversal, replacement], current: replacement };
+  }
+
+  if (amount === effective) {
+    return { entries: [], current: deposit };
+  }
+
+  const adjustment = await postAdjustment({
+    deposit,
+    delta: amount - effective,
+    reason,
+    approvedBy,
+    session,
+  });
+  return { entries: [adjustment], current: deposit };
+};
+
+/**
+ * Rebuild balance, isFullyPaid and status of an account from its entries
+ * (used after reversals/adjustments). Balance comes from the ledger; entries
+ * without a journal yet are posted first. Matured and Closed accounts keep their status,
+ * Defaulters keep it until fully paid.
+ */
+export const recalculateAccountTotals = async (account, { session = null, changedBy = null, reason = "Totals recalculated" } = {}) => {
+  const entries = await Deposit.find({ accountId: account._id }).session(session);
+  await postDepositJournals(entries, { session });
+
+  const balance = await getAccountLedgerBalance(account._id, { session });
+  account.balance = Math.max(0, balance);
+  // A renewal's opening credit is in the balance but not part of the payable schedule
+  const collected = balance - (account.openingCredit || 0);
+
+  const previousStatus = account.status;
+  if (!["Matured", "Closed"].includes(account.status)) {
+    let status;
+    if (collected >= account.totalPayableAmount) {
+      status = "OnTrack";
+    } else if (account.paymentMode === "Daily") {
+      const { start, end } = monthRange(new Date());
+      const monthCollected = await sumDeposits(account._id, { start, end, session });
+      status = account.monthlyTarget && monthCollected >= account.monthlyTarget ? "OnTrack" : "Pending";
+    } else if (account.paymentMode === "Monthly") {
+      const { start, end } = monthRange(new Date());
+      const monthCollected = await sumDeposits(account._id, { start, end, session });
+      status = monthCollected > 0 ? "Active" : "Pending";
+    } else {
+      status = "Active";
+    }
+    if (previousStatus === "Defaulter" && collected < account.totalPayableAmount) status = previousStatus;
+    account.status = nextStatus(previousStatus, status) || previousStatus;
+  }
+
+  if (account.paymentMode === "Yearly") {
+    account.isFullyPaid = collected >= account.totalPayableAmount;
+  }
+
+  await account.save(session ? { session } : {});
+  await recordStatusChanges(
+    [{ accountId: account._id, companyId: account.companyId, from: previousStatus, to: account.status }],
+    { reason, source: "Recalculation", changedBy, session }
+  );
+  return account;
+};
@@ -0,0 +1,121 @@
+// services/documentService.js
+import crypto from "crypto";
+import Company from "../models/Company.js";
+import ClientDocument from "../models/ClientDocument.js";
+import { getStorage, DEFAULT_STORAGE } from "./storage/index.js";
+
+const DEFAULT_URL_TTL_SECONDS = Number(process.env.DOCUMENT_URL_TTL_SECONDS || 300);
+const MAX_URL_TTL_SECONDS = 24 * 60 * 60;
+
+const EXTENSIONS = { "image/jpeg": ".jpg", "image/png": ".png", "application/pdf": ".pdf" };
+
+const reject = (reason, message) => ({ ok: false, reason, message });
+
+const getUrlSecret = () => process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+
+/**
+ * File type from its first bytes — the browser-declared MIME type is not trusted
+ * @returns {string|null} image/jpeg | image/png | application/pdf
+ */
+export const detectMimeType = (buffer) => {
+  if (!buffer || buffer.length < 8) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") return "application/pdf";
+  return null;
+};
+
+/**
+ * KYC settings of a company with defaults filled in
+ */
+export const getKycSettings = async (companyId) => {
+  const company = await Company.findById(companyId).select("settings");
+  return { requireVerifiedForAccounts: company?.settings?.kyc?.requireVerifiedForAccounts ?? false };
+};
+
+/**
+ * Store an uploaded file and record it. The stored file is removed again if the record can't be saved.
+ * @param {Object} params - { companyId, userId, accountId?, type, file (multer memory file), uploadedBy }
+ * @returns {Promise<Object>} { ok: true, document } or { ok: false, reason, message }
+ */
+export const storeDocument = async ({ companyId, userId, accountId = null, type, file, uploadedBy }) => {
+  const mimeType = detectMimeType(file.buffer);
+  if (!mimeType || mimeType !== file.mimetype) {
+    return reject("CONTENT_MISMATCH", "File content does not match its type (JPEG, PNG or PDF expected)");
+  }
+
+  const storage = getStorage();
+  if (!storage) return reject("STORAGE_NOT_CONFIGURED", `Unknown document storage "${DEFAULT_STORAGE}"`);
+
+  const storageKey = `${companyId}/${userId}/${crypto.randomUUID()}${EXTENSIONS[mimeType]}`;
+  await storage.put(storageKey, file.buffer, { contentType: mimeType });
+
+  try {
+    const document = await ClientDocument.create({
+      companyId,
+      userId,
+      accountId: accountId || undefined,
+      type,
+      storage: storage.name,
+      storageKey,
+      originalName: file.originalname,
+      mimeType,
+      size: file.size,
+      sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+      uploadedBy,
+    });
+    return { ok: true, document };
+  } catch (err) {
+    await storage.remove(storageKey).catch(() => {});
+    throw err;
+  }
+};
+
+/**
+ * Readable stream of a document's file
+ */
+export const openDocument = async (document) => {
+  const storage = getStorage(document.storage);
+  if (!storage) throw new Error(`Unknown document storage "${document.storage}"`);
+  return storage.get(document.storageKey);
+};
+
+/**
+ * Delete a document's file and its record
+ */
+export const removeDocument = async (document) => {
+  await getStorage(document.storage)?.remove(document.storageKey);
+  await ClientDocument.deleteOne({ _id: document._id });
+};
+
+const sign = (documentId, expires) =>
+  crypto.createHmac("sha256", getUrlSecret()).update(`${documentId}.${expires}`).digest("hex");
+
+/**
+ * Time-limited download link that works without a login (e.g. in an <img> tag)
+ * @returns {Object} { url, expiresAt }
+ */
+export const signDownloadUrl = (document, ttlSeconds = DEFAULT_URL_TTL_SECONDS) => {
+  const ttl = Math.min(Math.max(Number(ttlSeconds) || DEFAULT_URL_TTL_SECONDS, 1), MAX_URL_TTL_SECONDS);
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return {
+    url: `${process.env.APP_URL || ""}/api/kyc/documents/${document._id}/download?expires=${expires}&signature=${sign(document._id, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export const verifyDownloadSignature = (documentId, expires, signature, now = Date.now()) => {
+  const expiresAt = Number(expires);
+  if (!Number.isFinite(expiresAt) || !signature) return { ok: false, reason: "MISSING_SIGNATURE" };
+  if (now / 1000 > expiresAt) return { ok: false, reason: "LINK_EXPIRED" };
+
+  const expected = Buffer.from(sign(documentId, expiresAt));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, reason: "INVALID_SIGNATURE" };
+  }
+  return { ok: true };
+};
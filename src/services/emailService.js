@@ -21,8 +21,9 @@ function getResend() {
  * @param {string} to - recipient email
  * @param {string} subject - email subject
  * @param {string} bodyHtml - html content
+ * @param {Array<{ filename: string, content: Buffer }>} [attachments] - optional files
  */
-export const sendEmail = async (to, subject, bodyHtml) => {
+export const sendEmail = async (to, subject, bodyHtml, attachments = []) => {
   try {
     const client = getResend();
     if (!client) {
@@ -35,6 +36,7 @@ export const sendEmail = async (to, subject, bodyHtml) => {
       to,
       subject,
       html: bodyHtml,
+      ...(attachments.length > 0 ? { attachments } : {}),
     });
 
     console.log("✅ Resend email sent:", response.id || JSON.stringify(response));
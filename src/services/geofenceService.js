@@ -0,0 +1,108 @@
+// services/geofenceService.js
+import Company from "../models/Company.js";
+import UserAddress from "../models/UserAddress.js";
+import { distanceInMeters, isValidCoordinate } from "../utils/geo.js";
+
+export const GEOFENCE_MODES = ["Off", "Flag", "Block"];
+
+const DEFAULT_GEOFENCE = {
+  mode: process.env.GEOFENCE_MODE || "Flag",
+  radiusMeters: Number(process.env.GEOFENCE_RADIUS_METERS || 500),
+  requireLocation: false,
+};
+
+const reject = (reason, message, details = {}) => ({ ok: false, reason, message, details });
+
+/**
+ * Company geofence settings merged over the defaults
+ */
+export const getGeofenceSettings = async (companyId, session = null) => {
+  const company = await Company.findById(companyId).select("settings").session(session);
+  const configured = company?.settings?.geofence || {};
+  return {
+    mode: GEOFENCE_MODES.includes(configured.mode) ? configured.mode : DEFAULT_GEOFENCE.mode,
+    radiusMeters: configured.radiusMeters > 0 ? configured.radiusMeters : DEFAULT_GEOFENCE.radiusMeters,
+    requireLocation: configured.requireLocation ?? DEFAULT_GEOFENCE.requireLocation,
+  };
+};
+
+/**
+ * Primary address of each client (latest address when none is marked primary)
+ * @returns {Promise<Map<string, Object>>} userId → UserAddress
+ */
+export const getClientAddresses = async (userIds, session = null) => {
+  const addresses = await UserAddress.find({ userId: { $in: userIds } })
+    .sort({ isPrimary: -1, updatedAt: -1 })
+    .session(session);
+
+  const byUser = new Map();
+  addresses.forEach((a) => {
+    if (!byUser.has(a.userId.toString())) byUser.set(a.userId.toString(), a);
+  });
+  return byUser;
+};
+
+/**
+ * Check where a collection was recorded against the client's address.
+ * The device accuracy is given the benefit of the doubt: Outside means even the
+ * nearest point of the accuracy circle is beyond the radius.
+ * @param {Object} location - { lat, lng, accuracy?, capturedAt? } from the device, or null
+ * @param {Object} address - client's UserAddress, or null
+ * @param {Object} settings - result of getGeofenceSettings
+ * @returns {Object} { ok: true, fields } (Deposit fields) or { ok: false, reason, message, details }
+ */
+export const evaluateGeofence = ({ location, address, settings }) => {
+  if (location != null) {
+    const { lat, lng, accuracy } = location;
+    if (!isValidCoordinate(lat, lng)) {
+      return reject("INVALID_LOCATION", "location must have numeric lat (-90..90) and lng (-180..180)");
+    }
+    if (accuracy != null && (typeof accuracy !== "number" || accuracy < 0)) {
+      return reject("INVALID_LOCATION", "location.accuracy must be a positive number of meters");
+    }
+  }
+
+  if (settings.mode === "Off") {
+    return { ok: true, fields: location ? { location: buildLocation(location) } : {} };
+  }
+
+  if (!location) {
+    if (settings.requireLocation) {
+      return reject("LOCATION_REQUIRED", "Device location is required to record a collection");
+    }
+    return { ok: true, fields: { geofence: { status: "NotCaptured", radiusMeters: settings.radiusMeters } } };
+  }
+
+  if (!address) {
+    return {
+      ok: true,
+      fields: { location: buildLocation(location), geofence: { status: "NoAddress", radiusMeters: settings.radiusMeters } },
+    };
+  }
+
+  const distance = Math.round(distanceInMeters(location, { lat: address.lat, lng: address.lng }));
+  const outside = distance - (location.accuracy || 0) > settings.radiusMeters;
+  const geofence = {
+    status: outside ? "Outside" : "Inside",
+    distanceMeters: distance,
+    radiusMeters: settings.radiusMeters,
+    addressId: address._id,
+  };
+
+  if (outside && settings.mode === "Block") {
+    return reject(
+      "OUTSIDE_GEOFENCE",
+      `Collection recorded ${distance}m from the client's address (allowed ${settings.radiusMeters}m)`,
+      geofence
+    );
+  }
+
+  return { ok: true, fields: { location: buildLocation(location), geofence } };
+};
+
+const buildLocation = ({ lat, lng, accuracy, capturedAt }) => ({
+  lat,
+  lng,
+  accuracy,
+  capturedAt: capturedAt && !isNaN(new Date(capturedAt)) ? new Date(capturedAt) : new Date(),
+});
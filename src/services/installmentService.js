@@ -0,0 +1,242 @@
+// services/installmentService.js
+import mongoose from "mongoose";
+import dayjs from "dayjs";
+import Account from "../models/Account.js";
+import Installment from "../models/Installment.js";
+import JournalEntry from "../models/JournalEntry.js";
+import { getAccountStartDate } from "../utils/accountHelper.js";
+import "../utils/timezone.js"; // dayjs tz + default timezone
+
+const WRITE_BATCH_SIZE = 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const installmentStatus = ({ expectedAmount, paidAmount, dueDate }, now) => {
+  if (paidAmount >= expectedAmount) return "Paid";
+  if (paidAmount > 0) return "PartiallyPaid";
+  return dueDate < now ? "Missed" : "Upcoming";
+};
+
+// Same rule as installmentStatus, evaluated by the database after an $inc
+const INSTALLMENT_STATUS_EXPR = {
+  $switch: {
+    branches: [
+      { case: { $gte: ["$paidAmount", "$expectedAmount"] }, then: "Paid" },
+      { case: { $gt: ["$paidAmount", 0] }, then: "PartiallyPaid" },
+      { case: { $lt: ["$dueDate", "$$NOW"] }, then: "Missed" },
+    ],
+    default: "Upcoming",
+  },
+};
+
+// Calendar months in the default timezone, like the deposit month ranges
+const monthPeriod = (start, offset, months) => {
+  const periodStart = dayjs(start).tz().startOf("month").add(offset, "month");
+  const periodEnd = periodStart.add(months, "month").subtract(1, "millisecond");
+  return { periodStart: periodStart.toDate(), periodEnd: periodEnd.toDate() };
+};
+
+/**
+ * Periods of an account's schedule. Boundaries match the deposit policies:
+ * calendar months for Monthly / Yearly, days in the default timezone for Daily.
+ * @returns {Object[]} [{ seq, periodStart, periodEnd, dueDate, expectedAmount }]
+ */
+export const buildSchedule = (account) => {
+  const start = getAccountStartDate(account);
+  const periods = [];
+
+  if (account.paymentMode === "Monthly" && account.installmentAmount > 0) {
+    for (let i = 0; i < account.durationMonths; i++) {
+      periods.push({ ...monthPeriod(start, i, 1), expectedAmount: account.installmentAmount });
+    }
+  }
+
+  if (account.paymentMode === "Yearly") {
+    const yearly = account.yearlyAmount > 0 ? account.yearlyAmount : account.totalPayableAmount;
+    // Never schedule more than the account can take (Yearly accounts usually pay once)
+    const years = Math.max(
+      1,
+      Math.min(Math.ceil(account.durationMonths / 12), Math.round(account.totalPayableAmount / yearly))
+    );
+    for (let i = 0; i < years; i++) {
+      periods.push({ ...monthPeriod(start, i * 12, 12), expectedAmount: yearly });
+    }
+  }
+
+  if (account.paymentMode === "Daily") {
+    const daily = account.dailyDepositAmount > 0 ? account.dailyDepositAmount : round2((account.monthlyTarget || 0) / 30);
+    if (daily > 0) {
+      for (let day = dayjs(start).tz().startOf("day"); day.endOf("day").toDate() < account.maturityDate; day = day.add(1, "day")) {
+        periods.push({ periodStart: day.toDate(), periodEnd: day.endOf("day").toDate(), expectedAmount: daily });
+      }
+    }
+  }
+
+  return periods.map((p, i) => ({ seq: i + 1, ...p, dueDate: p.periodEnd }));
+};
+
+// Index of the period containing `date` (periods are sorted and don't overlap)
+const findPeriodIndex = (periods, date) => {
+  let lo = 0;
+  let hi = periods.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (date < periods[mid].periodStart) hi = mid - 1;
+    else if (date > periods[mid].periodEnd) lo = mid + 1;
+    else return mid;
+  }
+  return -1;
+};
+
+/**
+ * Net client-account movements posted to the ledger for deposits of one account.
+ * The ledger is used (not Deposit rows) so uncleared cheques are left out and every
+ * later posting is allocated exactly once by allocateToInstallments.
+ */
+const getPostedMovements = async (accountId, session = null) => {
+  const refId = new mongoose.Types.ObjectId(String(accountId));
+  const legMatch = { "legs.ledgerAccount": "CLIENT_ACCOUNT", "legs.refId": refId };
+
+  const agg = JournalEntry.aggregate([
+    { $match: { sourceType: "Deposit", ...legMatch } },
+    { $unwind: "$legs" },
+    { $match: legMatch },
+    { $project: { date: 1, amount: { $subtract: ["$legs.credit", "$legs.debit"] } } },
+  ]);
+  if (session) agg.session(session);
+  return agg;
+};
+
+/**
+ * Create the schedule of an account, with the deposits posted so far already allocated.
+ * Idempotent: installments are upserted by (accountId, seq) and existing ones are left alone,
+ * so concurrent runs for the same account don't collide.
+ * @returns {Promise<number>} installments created
+ */
+export const generateSchedule = async (account, { session = null, now = new Date() } = {}) => {
+  const periods = buildSchedule(account);
+  if (periods.length === 0) return 0;
+
+  const paid = new Array(periods.length).fill(0);
+  for (const m of await getPostedMovements(account._id, session)) {
+    const idx = findPeriodIndex(periods, new Date(m.date));
+    if (idx >= 0) paid[idx] += m.amount;
+  }
+
+  const docs = periods.map((p, i) => {
+    const doc = {
+      ...p,
+      companyId: account.companyId,
+      accountId: account._id,
+      userId: account.userId?._id || account.userId,
+      assignedAgent: account.assignedAgent?._id || account.assignedAgent,
+      paidAmount: round2(paid[i]),
+    };
+    return { ...doc, status: installmentStatus(doc, now) };
+  });
+
+  let created = 0;
+  for (let i = 0; i < docs.length; i += WRITE_BATCH_SIZE) {
+    const ops = docs.slice(i, i + WRITE_BATCH_SIZE).map((doc) => ({
+      updateOne: {
+        filter: { accountId: doc.accountId, seq: doc.seq },
+        update: { $setOnInsert: doc },
+        upsert: true,
+      },
+    }));
+    const result = await Installment.bulkWrite(ops, { ordered: false, ...(session ? { session } : {}) });
+    created += result.upsertedCount;
+  }
+  return created;
+};
+
+/**
+ * Throw the schedule away and build it again (payment mode, amounts or duration changed)
+ */
+export const rebuildSchedule = async (account, { session = null } = {}) => {
+  await Installment.deleteMany({ accountId: account._id }, session ? { session } : {});
+  return generateSchedule(account, { session });
+};
+
+/**
+ * Add newly posted deposit rows to the installment covering their date.
+ * Called once per row when its journal is posted (see ledgerService.postDepositJournals),
+ * so reversals and adjustments reduce the period they fall in.
+ */
+export const allocateToInstallments = async (deposits, { session = null } = {}) => {
+  const ops = deposits
+    .filter((d) => d.amount)
+    .map((d) => ({
+      updateOne: {
+        filter: { accountId: d.accountId, periodStart: { $lte: d.date }, periodEnd: { $gte: d.date } },
+        update: [
+          { $set: { paidAmount: { $round: [{ $add: ["$paidAmount", d.amount] }, 2] } } },
+          { $set: { status: INSTALLMENT_STATUS_EXPR, updatedAt: "$$NOW" } },
+        ],
+      },
+    }));
+  if (ops.length === 0) return;
+
+  await Installment.bulkWrite(ops, { ordered: false, ...(session ? { session } : {}) });
+};
+
+/**
+ * Nightly: schedules for accounts that have none, then unpaid installments past due → Missed
+ * @returns {Promise<Object>} { schedulesCreated, markedMissed }
+ */
+export const refreshInstallments = async (now = new Date()) => {
+  let schedulesCreated = 0;
+  const withoutSchedule = Account.aggregate([
+    { $match: { status: { $nin: ["Closed"] } } },
+    {
+      $lookup: {
+        from: Installment.collection.name,
+        let: { accountId: "$_id" },
+        pipeline: [{ $match: { $expr: { $eq: ["$accountId", "$$accountId"] } } }, { $limit: 1 }, { $project: { _id: 1 } }],
+        as: "schedule",
+      },
+    },
+    { $match: { schedule: { $size: 0 } } },
+    { $project: { schedule: 0 } },
+  ]).cursor({ batchSize: 100 });
+
+  for await (const account of withoutSchedule) {
+    try {
+      if (await generateSchedule(account, { now })) schedulesCreated++;
+    } catch (err) {
+      console.error(`❌ Schedule generation failed for ${account.accountNumber}:`, err.message);
+    }
+  }
+
+  const { modifiedCount } = await Installment.updateMany(
+    { status: "Upcoming", dueDate: { $lt: now } },
+    { $set: { status: "Missed" } }
+  );
+
+  return { schedulesCreated, markedMissed: modifiedCount };
+};
+
+/**
+ * Counts and amounts per status for an installment filter
+ * @returns {Promise<Object>} { Upcoming: { count, expected, paid }, Paid: …, PartiallyPaid: …, Missed: … }
+ */
+export const summarizeInstallments = async (match) => {
+  const rows = await Installment.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$status",
+        count: { $sum: 1 },
+        expected: { $sum: "$expectedAmount" },
+        paid: { $sum: "$paidAmount" },
+      },
+    },
+  ]);
+
+  const summary = {};
+  for (const status of ["Upcoming", "Paid", "PartiallyPaid", "Missed"]) {
+    const row = rows.find((r) => r._id === status);
+    summary[status] = { count: row?.count || 0, expected: round2(row?.expected || 0), paid: round2(row?.paid || 0) };
+  }
+  return summary;
+};
@@ -0,0 +1,212 @@
+// services/interestService.js
+import mongoose from "mongoose";
+import JournalEntry from "../models/JournalEntry.js";
+import Scheme from "../models/Scheme.js";
+import { getAccountScheme } from "../utils/accountHelper.js";
+import { buildSchedule } from "./installmentService.js";
+
+// Compounding periods per year
+export const COMPOUNDING_FREQUENCIES = { Monthly: 12, Quarterly: 4, HalfYearly: 2, Yearly: 1 };
+export const INTEREST_METHODS = ["Simple", "Compound"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Interest terms of a scheme with defaults filled in (no scheme / no rate → 0%)
+ */
+export const getInterestRules = (scheme) => ({
+  annualRate: scheme?.interestRules?.annualRate || 0,
+  method: scheme?.interestRules?.method || "Simple",
+  compounding: scheme?.interestRules?.compounding || "Quarterly",
+});
+
+/**
+ * Interest earned by `amount` held for `days` (fractional compounding periods count pro rata)
+ */
+export const interestFor = (amount, days, rules) => {
+  const rate = (rules.annualRate || 0) / 100;
+  if (!rate || days <= 0) return 0;
+
+  const years = days / 365;
+  if (rules.method === "Compound") {
+    const n = COMPOUNDING_FREQUENCIES[rules.compounding] || COMPOUNDING_FREQUENCIES.Quarterly;
+    return amount * (Math.pow(1 + rate / n, n * years) - 1);
+  }
+  return amount * rate * years;
+};
+
+/**
+ * Interest on dated movements [{ date, amount }] up to `until` — each deposit earns from its own date
+ */
+export const accruedInterest = (movements, rules, until) =>
+  round2(
+    movements
+      .filter((m) => new Date(m.date) <= until)
+      .reduce((sum, m) => sum + interestFor(m.amount, Math.floor((until - new Date(m.date)) / DAY_MS), rules), 0)
+  );
+
+/**
+ * Contributions still expected after `asOf`, following the account's schedule.
+ * What is left of totalPayable fills the latest periods first, so an account that is up to
+ * date isn't counted twice for the current period; arrears are assumed paid today.
+ */
+const futureContributions = (account, collected, asOf) => {
+  let remaining = round2((account.totalPayableAmount || 0) - collected);
+  if (remaining <= 0) return [];
+
+  const periods = buildSchedule(account).filter((p) => p.periodEnd >= asOf);
+  const contributions = [];
+  for (let i = periods.length - 1; i >= 0 && remaining > 0; i--) {
+    const amount = Math.min(periods[i].expectedAmount, remaining);
+    contributions.push({ date: periods[i].periodStart > asOf ? periods[i].periodStart : asOf, amount });
+    remaining = round2(remaining - amount);
+  }
+  if (remaining > 0) contributions.push({ date: asOf, amount: remaining });
+
+  return contributions.reverse();
+};
+
+/**
+ * Interest position of an account. Pure — the caller supplies the movements.
+ * Interest stops at maturity; the projection assumes the rest of the schedule is paid on time.
+ * @param {Object} account - Account (plain object or document)
+ * @param {Object} rules - result of getInterestRules
+ * @param {Object[]} movements - cleared deposit movements [{ date, amount }]
+ * @returns {Object} { asOf, annualRate, method, compounding, principal, accruedInterest,
+ *   projectedContributions, projectedInterest, projectedMaturityValue, maturityDate }
+ */
+export const calculateAccountInterest = (account, rules, movements, asOf = new Date()) => {
+  const maturityDate = new Date(account.maturityDate);
+  const accrueUntil = asOf < maturityDate ? asOf : maturityDate;
+
+  const principal = round2(
+    movements.filter((m) => new Date(m.date) <= asOf).reduce((sum, m) => sum + m.amount, 0)
+  );
+  // A renewal's opening credit comes on top of the schedule
+  const scheduled = round2(principal - (account.openingCredit || 0));
+  const future = asOf < maturityDate ? futureContributions(account, scheduled, asOf) : [];
+  const projectedContributions = round2(future.reduce((sum, m) => sum + m.amount, 0));
+  const projectedInterest = accruedInterest([...movements, ...future], rules, maturityDate);
+
+  return {
+    asOf,
+    ...rules,
+    principal,
+    accruedInterest: accruedInterest(movements, rules, accrueUntil),
+    projectedContributions,
+    projectedInterest,
+    projectedMaturityValue: round2(principal + projectedContributions + projectedInterest),
+    maturityDate,
+  };
+};
+
+/**
+ * Cleared deposit movements of accounts, from the ledger (uncleared cheques never count).
+ * The opening credit of a renewed account counts like a deposit; the matching debit on the
+ * matured account is part of its closure and is left out.
+ * @returns {Promise<Map>} accountId → [{ date, amount }]
+ */
+export const getDepositMovements = async (accountIds, { asOf = null, session = null } = {}) => {
+  const refIds = accountIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const legMatch = { "legs.ledgerAccount": "CLIENT_ACCOUNT", "legs.refId": { $in: refIds } };
+
+  const agg = JournalEntry.aggregate([
+    { $match: { sourceType: { $in: ["Deposit", "AccountRollover"] }, ...(asOf ? { date: { $lte: asOf } } : {}), ...legMatch } },
+    { $unwind: "$legs" },
+    { $match: { ...legMatch, $or: [{ sourceType: "Deposit" }, { "legs.credit": { $gt: 0 } }] } },
+    { $sort: { date: 1 } },
+    {
+      $group: {
+        _id: "$legs.refId",
+        movements: { $push: { date: "$date", amount: { $subtract: ["$legs.credit", "$legs.debit"] } } },
+      },
+    },
+  ]);
+  if (session) agg.session(session);
+
+  const rows = await agg;
+  return new Map(rows.map((r) => [r._id.toString(), r.movements]));
+};
+
+/**
+ * Accrued interest and projected maturity value of one account
+ */
+export const getAccountInterest = async (account, { asOf = new Date(), session = null } = {}) => {
+  const [scheme, movements] = await Promise.all([
+    getAccountScheme(account, session),
+    getDepositMovements([account._id], { asOf, session }),
+  ]);
+  return calculateAccountInterest(account, getInterestRules(scheme), movements.get(account._id.toString()) || [], asOf);
+};
+
+/**
+ * Same as getAccountInterest for many accounts (reports) — two queries in total
+ * @returns {Promise<Map>} accountId → interest position
+ */
+export const getInterestForAccounts = async (accounts, { asOf = new Date() } = {}) => {
+  if (accounts.length === 0) return new Map();
+
+  const companyIds = [...new Set(accounts.map((a) => String(a.companyId)))].map(
+    (id) => new mongoose.Types.ObjectId(id)
+  );
+  const [schemes, movements] = await Promise.all([
+    Scheme.find({
+      type: { $in: [...new Set(accounts.map((a) => a.schemeType))] },
+      companyId: { $in: [...companyIds, null] },
+    }).lean(),
+    getDepositMovements(accounts.map((a) => a._id), { asOf }),
+  ]);
+
+  // Company scheme of that type first, else the global one (see getAccountScheme)
+  const schemeFor = (account) =>
+    schemes.find((s) => s.type === account.schemeType && String(s.companyId) === String(account.companyId)) ||
+    schemes.find((s) => s.type === account.schemeType && !s.companyId);
+
+  return new Map(
+    accounts.map((a) => [
+      a._id.toString(),
+      calculateAccountInterest(a, getInterestRules(schemeFor(a)), movements.get(a._id.toString()) || [], asOf),
+    ])
+  );
+};
+
+/**
+ * What a new account would earn: contributions per the schedule, all paid on time
+ * @param {Object} params - { rules, paymentMode, amount (installment / daily / yearly), durationMonths, startDate? }
+ */
+export const quoteInterest = ({ rules, paymentMode, amount, durationMonths, startDate = new Date() }) => {
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+  const maturityDate = new Date(start);
+  maturityDate.setMonth(maturityDate.getMonth() + durationMonths);
+
+  // Same totals as createAccount
+  const account = {
+    paymentMode,
+    durationMonths,
+    maturityDate,
+    installmentAmount: paymentMode === "Monthly" ? amount : null,
+    dailyDepositAmount: paymentMode === "Daily" ? amount : null,
+    monthlyTarget: paymentMode === "Daily" ? amount * 30 : null,
+    yearlyAmount: paymentMode === "Yearly" ? amount : null,
+    totalPayableAmount:
+      paymentMode === "Monthly" ? amount * durationMonths : paymentMode === "Daily" ? amount * 30 * durationMonths : amount,
+  };
+
+  const projection = calculateAccountInterest(account, rules, [], start);
+  return {
+    startDate: start,
+    paymentMode,
+    amount,
+    durationMonths,
+    annualRate: projection.annualRate,
+    method: projection.method,
+    compounding: projection.compounding,
+    totalContributions: projection.projectedContributions,
+    projectedInterest: projection.projectedInterest,
+    projectedMaturityValue: projection.projectedMaturityValue,
+    maturityDate,
+  };
+};
@@ -0,0 +1,42 @@
+// services/kycFieldService.js
+import Account from "../models/Account.js";
+import { encryptField, blindIndex } from "../utils/fieldEncryption.js";
+import { KYC_FIELDS } from "../utils/kycFields.js";
+
+/**
+ * Encrypt Aadhaar / PAN values stored before field encryption existed and fill their blind indexes.
+ * Works on the raw collection (the fields are immutable on the model). Safe to run repeatedly.
+ * Values that don't match the expected format are encrypted as they are, but get no index.
+ * @returns {Promise<number>} accounts updated
+ */
+export const encryptLegacyKycFields = async ({ batchSize = 500 } = {}) => {
+  const plaintext = { $type: "string", $not: /^enc:/ };
+  const cursor = Account.collection
+    .find({ $or: Object.keys(KYC_FIELDS).map((field) => ({ [field]: plaintext })) })
+    .project(Object.fromEntries(Object.keys(KYC_FIELDS).map((field) => [field, 1])));
+
+  let updated = 0;
+  let ops = [];
+  const flush = async () => {
+    if (ops.length === 0) return;
+    await Account.collection.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+    ops = [];
+  };
+
+  for await (const account of cursor) {
+    const $set = {};
+    for (const [field, rule] of Object.entries(KYC_FIELDS)) {
+      const value = account[field];
+      if (typeof value !== "string" || value.startsWith("enc:")) continue;
+      const normalized = rule.normalize(value);
+      if (rule.pattern.test(normalized)) $set[rule.index] = blindIndex(field, normalized);
+      $set[field] = encryptField(normalized);
+    }
+    ops.push({ updateOne: { filter: { _id: account._id }, update: { $set } } });
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return updated;
+};
@@ -0,0 +1,299 @@
+// services/ledgerService.js
+import mongoose from "mongoose";
+import JournalEntry from "../models/JournalEntry.js";
+import Deposit from "../models/Deposit.js";
+import Account from "../models/Account.js";
+import { logAudit } from "../utils/auditLogger.js";
+import { allocateToInstallments } from "./installmentService.js";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Cheques that haven't cleared (or bounced) never reach the ledger
+ */
+export const isUnclearedInstrument = (deposit) =>
+  deposit.paymentMethod === "Cheque" && deposit.chequeStatus !== "Cleared";
+
+/**
+ * Where the money of a deposit sits: cash with the agent (or office), anything else in the bank
+ */
+const moneyLeg = (deposit) => {
+  if (deposit.paymentMethod && deposit.paymentMethod !== "Cash") {
+    return { ledgerAccount: "BANK", refId: deposit.companyId };
+  }
+  return deposit.collectedBy
+    ? { ledgerAccount: "AGENT_CASH", refId: deposit.collectedBy }
+    : { ledgerAccount: "OFFICE_CASH", refId: deposit.companyId };
+};
+
+/**
+ * Journal for one Deposit row (collections, reversals and adjustments alike).
+ * Positive amount: Dr AGENT_CASH (or BANK) / Cr CLIENT_ACCOUNT — negative amounts flip the legs.
+ * Cash collections without an agent are booked against OFFICE_CASH.
+ */
+const buildDepositJournal = (deposit, postedBy) => {
+  const value = Math.abs(deposit.amount);
+  const cashLeg = moneyLeg(deposit);
+  const clientLeg = { ledgerAccount: "CLIENT_ACCOUNT", refId: deposit.accountId };
+  const inflow = deposit.amount >= 0;
+
+  return {
+    companyId: deposit.companyId,
+    date: deposit.date,
+    sourceType: "Deposit",
+    sourceId: deposit._id,
+    description: `${deposit.entryType || "Deposit"}${deposit.receiptNumber ? ` ${deposit.receiptNumber}` : ""}`,
+    legs: [
+      { ...cashLeg, debit: inflow ? value : 0, credit: inflow ? 0 : value },
+      { ...clientLeg, debit: inflow ? 0 : value, credit: inflow ? value : 0 },
+    ],
+    postedBy: postedBy || deposit.approvedBy || deposit.collectedBy,
+  };
+};
+
+/**
+ * Post the journals for one or more Deposit rows.
+ * Rows that already have a journal are skipped, so retries and backfills are safe.
+ * Uncleared cheques are skipped until they clear.
+ * Newly posted rows are allocated to the account's installment schedule here, once each.
+ */
+export const postDepositJournals = async (deposits, { session = null, postedBy = null } = {}) => {
+  const list = (Array.isArray(deposits) ? deposits : [deposits]).filter((d) => !isUnclearedInstrument(d));
+  if (list.length === 0) return [];
+
+  const existing = await JournalEntry.find({
+    sourceType: "Deposit",
+    sourceId: { $in: list.map((d) => d._id) },
+  })
+    .select("sourceId")
+    .session(session);
+  const posted = new Set(existing.map((j) => j.sourceId.toString()));
+
+  const fresh = list.filter((d) => !posted.has(d._id.toString()));
+  if (fresh.length === 0) return [];
+
+  const entries = await JournalEntry.insertMany(
+    fresh.map((d) => buildDepositJournal(d, postedBy)),
+    session ? { session } : {}
+  );
+  await allocateToInstallments(fresh, { session });
+  return entries;
+};
+
+/**
+ * Journal for a penalty charge: Dr CLIENT_PENALTY / Cr PENALTY_INCOME.
+ * A waiver posts the opposite legs under its own source type.
+ */
+export const postPenaltyJournal = async (charge, { waiver = false, postedBy = null, session = null } = {}) => {
+  const receivable = { ledgerAccount: "CLIENT_PENALTY", refId: charge.accountId };
+  const income = { ledgerAccount: "PENALTY_INCOME", refId: charge.companyId };
+
+  const [entry] = await JournalEntry.create(
+    [
+      {
+        companyId: charge.companyId,
+        date: waiver ? new Date() : charge.periodEnd,
+        sourceType: waiver ? "PenaltyWaiver" : "PenaltyCharge",
+        sourceId: charge._id,
+        description: `${waiver ? "Penalty waived" : "Late fee"} ${charge.period}`,
+        legs: waiver
+          ? [{ ...income, debit: charge.amount }, { ...receivable, credit: charge.amount }]
+          : [{ ...receivable, debit: charge.amount }, { ...income, credit: charge.amount }],
+        postedBy,
+      },
+    ],
+    session ? { session } : {}
+  );
+  return entry;
+};
+
+/**
+ * Journal for a collected penalty charge: Dr AGENT_CASH (or BANK / OFFICE_CASH) / Cr CLIENT_PENALTY
+ */
+export const postPenaltyCollectionJournal = async (charge, { session = null } = {}) => {
+  const [entry] = await JournalEntry.create(
+    [
+      {
+        companyId: charge.companyId,
+        date: charge.paidAt || new Date(),
+        sourceType: "PenaltyCollection",
+        sourceId: charge._id,
+        description: `Late fee collected ${charge.period}`,
+        legs: [
+          { ...moneyLeg(charge), debit: charge.amount },
+          { ledgerAccount: "CLIENT_PENALTY", refId: charge.accountId, credit: charge.amount },
+        ],
+        postedBy: charge.collectedBy,
+      },
+    ],
+    session ? { session } : {}
+  );
+  return entry;
+};
+
+/**
+ * Journal for cash handed over by an agent: Dr OFFICE_CASH / Cr AGENT_CASH
+ */
+export const postSettlementJournal = async (settlement, { postedBy = null, session = null } = {}) => {
+  const [entry] = await JournalEntry.create(
+    [
+      {
+        companyId: settlement.companyId,
+        date: settlement.reviewedAt || new Date(),
+        sourceType: "CashSettlement",
+        sourceId: settlement._id,
+        description: "Agent cash handover",
+        legs: [
+          { ledgerAccount: "OFFICE_CASH", refId: settlement.companyId, debit: settlement.declaredAmount },
+          { ledgerAccount: "AGENT_CASH", refId: settlement.agentId, credit: settlement.declaredAmount },
+        ],
+        postedBy,
+      },
+    ],
+    session ? { session } : {}
+  );
+  return entry;
+};
+
+/**
+ * Balance of ledger accounts (credit - debit), grouped by refId.
+ * @param {string} ledgerAccount - one of LEDGER_ACCOUNTS
+ * @param {Object} [match] - extra filter on journal entries (companyId, date …)
+ * @param {Array} [refIds] - limit to these refIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export const getLedgerBalances = async (ledgerAccount, { match = {}, refIds = null, session = null } = {}) => {
+  const legMatch = { "legs.ledgerAccount": ledgerAccount };
+  if (refIds) legMatch["legs.refId"] = { $in: refIds };
+
+  const agg = JournalEntry.aggregate([
+    { $match: { ...match, ...legMatch } },
+    { $unwind: "$legs" },
+    { $match: legMatch },
+    {
+      $group: {
+        _id: "$legs.refId",
+        balance: { $sum: { $subtract: ["$legs.credit", "$legs.debit"] } },
+      },
+    },
+  ]);
+  if (session) agg.session(session);
+
+  const rows = await agg;
+  return new Map(rows.map((r) => [r._id.toString(), round2(r.balance)]));
+};
+
+/**
+ * Client account balance according to the ledger
+ */
+export const getAccountLedgerBalance = async (accountId, { session = null } = {}) => {
+  const balances = await getLedgerBalances("CLIENT_ACCOUNT", {
+    refIds: [new mongoose.Types.ObjectId(String(accountId))],
+    session,
+  });
+  return balances.get(String(accountId)) || 0;
+};
+
+/**
+ * Post journals for Deposit rows that don't have one yet (legacy data, failed posts)
+ * @returns {Promise<number>} number of journals created
+ */
+export const backfillDepositJournals = async (companyId = null, { batchSize = 500 } = {}) => {
+  const pipeline = [
+    ...(companyId ? [{ $match: { companyId: new mongoose.Types.ObjectId(String(companyId)) } }] : []),
+    { $match: { $nor: [{ paymentMethod: "Cheque", chequeStatus: { $ne: "Cleared" } }] } },
+    {
+      $lookup: {
+        from: JournalEntry.collection.name,
+        let: { depositId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ["$sourceType", "Deposit"] }, { $eq: ["$sourceId", "$$depositId"] }] } } },
+          { $project: { _id: 1 } },
+        ],
+        as: "journal",
+      },
+    },
+    { $match: { journal: { $size: 0 } } },
+    { $project: { journal: 0 } },
+  ];
+
+  let created = 0;
+  let batch = [];
+  for await (const deposit of Deposit.aggregate(pipeline).cursor({ batchSize })) {
+    batch.push(deposit);
+    if (batch.length >= batchSize) {
+      created += (await postDepositJournals(batch)).length;
+      batch = [];
+    }
+  }
+  if (batch.length) created += (await postDepositJournals(batch)).length;
+
+  return created;
+};
+
+/**
+ * Accounts whose stored balance disagrees with the ledger
+ * @returns {Promise<Object[]>} [{ accountId, accountNumber, clientName, balance, ledgerBalance, difference }]
+ */
+export const findBalanceMismatches = async (companyId, { accountIds = null } = {}) => {
+  const filter = { companyId };
+  if (accountIds) filter._id = { $in: accountIds };
+
+  const accounts = await Account.find(filter)
+    .select("accountNumber clientName balance companyId")
+    .lean();
+  const ledger = await getLedgerBalances("CLIENT_ACCOUNT", {
+    match: { companyId: new mongoose.Types.ObjectId(String(companyId)) },
+  });
+
+  return accounts
+    .map((acc) => {
+      // Stored balance never goes below zero (see Account schema)
+      const ledgerBalance = ledger.get(acc._id.toString()) || 0;
+      const expected = Math.max(0, ledgerBalance);
+      return {
+        accountId: acc._id,
+        accountNumber: acc.accountNumber,
+        clientName: acc.clientName,
+        balance: acc.balance || 0,
+        ledgerBalance,
+        difference: round2((acc.balance || 0) - expected),
+      };
+    })
+    .filter((row) => row.difference !== 0);
+};
+
+/**
+ * Resync the cached Account.balance to the ledger balance and audit the change.
+ * Posts no journal: the ledger already holds the correct figure.
+ * @returns {Promise<Object|null>} repaired row, or null when nothing had to change
+ */
+export const repairAccountBalance = async (account, reqUser) => {
+  const ledgerBalance = await getAccountLedgerBalance(account._id);
+  const expected = Math.max(0, ledgerBalance);
+  const oldBalance = account.balance || 0;
+
+  if (round2(oldBalance - expected) === 0) return null;
+
+  await Account.updateOne({ _id: account._id }, { $set: { balance: expected } });
+
+  await logAudit({
+    action: "REPAIR_ACCOUNT_BALANCE",
+    entityType: "Account",
+    entityId: account._id,
+    details: {
+      accountNumber: account.accountNumber,
+      oldBalance,
+      newBalance: expected,
+      ledgerBalance,
+    },
+    reqUser,
+  });
+
+  return {
+    accountId: account._id,
+    accountNumber: account.accountNumber,
+    oldBalance,
+    newBalance: expected,
+  };
+};
@@ -0,0 +1,266 @@
+// services/paymentService.js
+import Account from "../models/Account.js";
+import AuditLog from "../models/AuditLog.js";
+import GatewayEvent from "../models/GatewayEvent.js";
+import PaymentIntent from "../models/PaymentIntent.js";
+import { evaluateDepositRules, recordDeposit } from "./depositService.js";
+import { deliverReceipt } from "./receiptService.js";
+import { getGateway, DEFAULT_GATEWAY } from "./payments/index.js";
+import { withTransaction } from "../utils/withTransaction.js";
+
+// Checkout links stay valid for this long
+const INTENT_TTL_MINUTES = 30;
+
+const HANDLED_EVENTS = ["payment.captured", "payment.failed"];
+
+// Stored events a redelivery applies again; "Received" ones only once they look abandoned
+const RETRYABLE_EVENT_STATUSES = ["Received", "Failed", "NeedsReview"];
+const EVENT_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Amount a client pays online when none is given: the fixed installment / yearly amount
+ */
+export const getDefaultPaymentAmount = (account) => {
+  if (account.paymentMode === "Monthly") return account.installmentAmount;
+  if (account.paymentMode === "Yearly") {
+    return account.yearlyAmount > 0 ? account.yearlyAmount : account.totalPayableAmount;
+  }
+  return null;
+};
+
+/**
+ * Start an online payment: checks the deposit rules up front, then opens a gateway order.
+ * @returns {Promise<Object>} { ok: true, intent } or { ok: false, reason, message }
+ */
+export const createPaymentIntent = async ({ account, amount, userId }) => {
+  const rules = await evaluateDepositRules({ account, amount });
+  if (!rules.ok) return rules;
+
+  const gateway = getGateway();
+  const order = await gateway.createOrder({ amount, currency: "INR" });
+
+  const intent = await PaymentIntent.create({
+    companyId: account.companyId,
+    accountId: account._id,
+    userId,
+    amount,
+    gateway: DEFAULT_GATEWAY,
+    gatewayOrderId: order.orderId,
+    checkoutUrl: order.checkoutUrl,
+    expiresAt: new Date(Date.now() + INTENT_TTL_MINUTES * 60 * 1000),
+  });
+
+  return { ok: true, intent };
+};
+
+const markEvent = async (event, status, { reason, message } = {}) => {
+  event.status = status;
+  event.reason = reason;
+  event.message = message;
+  await event.save();
+  return event;
+};
+
+/**
+ * Turn a captured payment into a Deposit (same rules and ledger posting as an agent collection).
+ * The gateway payment id is the deposit's idempotency key, so one payment never books twice.
+ */
+const bookCapturedPayment = async (intent, data) =>
+  withTransaction(async (session) => {
+    const account = await Account.findOne({ _id: intent.accountId, companyId: intent.companyId }).session(session);
+    if (!account) {
+      return { ok: false, reason: "ACCOUNT_NOT_FOUND", message: "Account of the payment no longer exists" };
+    }
+
+    const date = data.paidAt;
+    const rules = await evaluateDepositRules({ account, amount: intent.amount, date, session });
+    if (!rules.ok) return rules;
+
+    const { deposit } = await recordDeposit({
+      account,
+      rules,
+      userId: account.userId,
+      amount: intent.amount,
+      date,
+      companyId: intent.companyId,
+      extra: {
+        paymentMethod: "Online",
+        paymentDetails: { gateway: intent.gateway, gatewayPaymentId: data.paymentId },
+        channel: "Gateway",
+        idempotencyKey: `${intent.gateway}:${data.paymentId}`,
+      },
+      session,
+    });
+
+    intent.status = "Paid";
+    intent.depositId = deposit._id;
+    intent.gatewayPaymentId = data.paymentId;
+    intent.paidAt = date;
+    intent.failureReason = undefined;
+    await intent.save({ session });
+
+    return { ok: true, deposit };
+  });
+
+/**
+ * Apply one stored gateway event. Safe to call again for events in the review queue.
+ * @param {Object} event - GatewayEvent document
+ */
+export const processGatewayEvent = async (event) => {
+  const gateway = getGateway(event.gateway);
+  const data = gateway.parseEvent(event.payload);
+  event.attempts += 1;
+
+  if (!HANDLED_EVENTS.includes(data.type)) {
+    return markEvent(event, "Ignored", { reason: "UNHANDLED_EVENT_TYPE" });
+  }
+
+  const intent = await PaymentIntent.findOne({ gateway: event.gateway, gatewayOrderId: data.orderId });
+  if (!intent) {
+    return markEvent(event, "NeedsReview", {
+      reason: "UNMATCHED_PAYMENT_INTENT",
+      message: `No payment intent for order ${data.orderId}`,
+    });
+  }
+  event.companyId = intent.companyId;
+  event.paymentIntentId = intent._id;
+
+  if (intent.status === "Paid") {
+    return markEvent(event, "Ignored", { reason: "ALREADY_PAID" });
+  }
+
+  if (data.type === "payment.failed") {
+    intent.status = "Failed";
+    intent.failureReason = data.failureReason;
+    await intent.save();
+    return markEvent(event, "Processed");
+  }
+
+  if (Number(data.amount) !== intent.amount) {
+    intent.status = "NeedsReview";
+    await intent.save();
+    return markEvent(event, "NeedsReview", {
+      reason: "AMOUNT_MISMATCH",
+      message: `Gateway captured ${data.amount}, intent was for ${intent.amount}`,
+    });
+  }
+
+  let result;
+  try {
+    result = await bookCapturedPayment(intent, data);
+  } catch (err) {
+    // Duplicate key → another delivery of the same payment already booked it
+    result = err?.code === 11000
+      ? { ok: false, reason: "DUPLICATE_PAYMENT", message: "Payment already recorded as a deposit" }
+      : { ok: false, reason: "DEPOSIT_FAILED", message: err.message };
+  }
+
+  if (!result.ok) {
+    intent.status = "NeedsReview";
+    intent.failureReason = result.reason;
+    await intent.save();
+    return markEvent(event, "NeedsReview", { reason: result.reason, message: result.message });
+  }
+
+  event.depositId = result.deposit._id;
+  await markEvent(event, "Processed");
+
+  await AuditLog.create({
+    companyId: intent.companyId,
+    action: "GATEWAY_DEPOSIT",
+    entityType: "Deposit",
+    entityId: result.deposit._id,
+    details: {
+      gateway: intent.gateway,
+      gatewayOrderId: intent.gatewayOrderId,
+      gatewayPaymentId: data.paymentId,
+      amount: intent.amount,
+      receiptNumber: result.deposit.receiptNumber,
+    },
+  });
+
+  deliverReceipt(result.deposit, ["push"]).catch((err) =>
+    console.error("❌ Receipt delivery failed:", err.message)
+  );
+
+  return event;
+};
+
+/**
+ * Apply a stored event; an error marks it Failed so the next redelivery tries again
+ */
+const applyEvent = async (event) => {
+  try {
+    await processGatewayEvent(event);
+  } catch (err) {
+    console.error(`❌ Gateway event ${event.eventId} failed:`, err.message);
+    await markEvent(event, "Failed", { reason: "PROCESSING_ERROR", message: err.message }).catch((saveErr) =>
+      console.error(`❌ Could not mark gateway event ${event.eventId} failed:`, saveErr.message)
+    );
+  }
+  return event;
+};
+
+const eventResponse = (event) => ({
+  // Non-2xx makes the gateway deliver the event again
+  statusCode: event.status === "Failed" ? 500 : 200,
+  body: { received: true, status: event.status },
+});
+
+/**
+ * Verify, store and apply a webhook delivery.
+ * A redelivered event (same gateway event id) is acknowledged as a duplicate once it has been
+ * handled; events that failed, need review or were abandoned mid-processing are applied again.
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+export const ingestWebhook = async ({ gatewayName, rawBody, headers }) => {
+  const gateway = getGateway(gatewayName);
+  if (!gateway) return { statusCode: 404, body: { message: "Unknown payment gateway" } };
+
+  const raw = rawBody ? rawBody.toString("utf8") : "";
+  const check = gateway.verifyWebhook(raw, headers);
+  if (!check.ok) return { statusCode: 401, body: { message: "Invalid webhook signature", reason: check.reason } };
+
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch {
+    return { statusCode: 400, body: { message: "Malformed webhook body" } };
+  }
+
+  const data = gateway.parseEvent(payload);
+  if (!data.eventId || !data.type) return { statusCode: 400, body: { message: "Event id and type are required" } };
+
+  let event;
+  try {
+    event = await GatewayEvent.create({ gateway: gateway.name, eventId: data.eventId, type: data.type, payload });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+
+    // Claim the stored event so parallel deliveries don't apply it twice
+    event = await GatewayEvent.findOneAndUpdate(
+      {
+        gateway: gateway.name,
+        eventId: data.eventId,
+        status: { $in: RETRYABLE_EVENT_STATUSES },
+        $or: [
+          { status: { $ne: "Received" } },
+          { updatedAt: { $lt: new Date(Date.now() - EVENT_PROCESSING_TIMEOUT_MS) } },
+        ],
+      },
+      { $set: { status: "Received" } },
+      { new: true }
+    );
+    if (!event) {
+      const stored = await GatewayEvent.findOne({ gateway: gateway.name, eventId: data.eventId }).select("status");
+      // Still being processed by another delivery → ask the gateway to retry later
+      if (stored?.status === "Received") {
+        return { statusCode: 409, body: { received: true, duplicate: true, status: "Received" } };
+      }
+      return { statusCode: 200, body: { received: true, duplicate: true, status: stored?.status } };
+    }
+  }
+
+  await applyEvent(event);
+  return eventResponse(event);
+};
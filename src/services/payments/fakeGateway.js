@@ -0,0 +1,106 @@
+// services/payments/fakeGateway.js
+import crypto from "crypto";
+
+// Webhooks older than this are rejected even with a valid signature (replay window)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const SIGNATURE_HEADER = "x-fake-signature";
+
+const getSecret = () => process.env.FAKE_GATEWAY_WEBHOOK_SECRET;
+
+const hmac = (secret, timestamp, rawBody) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+/**
+ * Local stand-in for a real payment gateway.
+ * Webhooks are signed like most gateways do it: header `t=<unix>,v1=<hex hmac of "t.body">`.
+ */
+export const fakeGateway = {
+  name: "fake",
+
+  async createOrder({ amount, currency }) {
+    const orderId = `order_fake_${crypto.randomBytes(8).toString("hex")}`;
+    return {
+      orderId,
+      amount,
+      currency,
+      checkoutUrl: `${process.env.APP_URL || ""}/api/payments/fake/orders/${orderId}`,
+    };
+  },
+
+  /**
+   * @returns {{ ok: boolean, reason?: string }}
+   */
+  verifyWebhook(rawBody, headers, now = Date.now()) {
+    const secret = getSecret();
+    if (!secret) return { ok: false, reason: "WEBHOOK_SECRET_NOT_CONFIGURED" };
+
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) return { ok: false, reason: "MISSING_SIGNATURE" };
+
+    const parts = Object.fromEntries(
+      String(header)
+        .split(",")
+        .map((p) => p.trim().split("="))
+        .filter((kv) => kv.length === 2)
+    );
+    const timestamp = Number(parts.t);
+    if (!Number.isFinite(timestamp) || !parts.v1) return { ok: false, reason: "MALFORMED_SIGNATURE" };
+
+    if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return { ok: false, reason: "SIGNATURE_EXPIRED" };
+    }
+
+    const expected = Buffer.from(hmac(secret, timestamp, rawBody), "hex");
+    const received = Buffer.from(parts.v1, "hex");
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { ok: false, reason: "INVALID_SIGNATURE" };
+    }
+
+    return { ok: true };
+  },
+
+  /**
+   * Normalise a webhook body into the fields the payment service needs
+   */
+  parseEvent(body = {}) {
+    const data = body.data || {};
+    return {
+      eventId: body.id,
+      type: body.type,
+      orderId: data.orderId,
+      paymentId: data.paymentId,
+      amount: data.amount,
+      paidAt: body.createdAt ? new Date(body.createdAt) : new Date(),
+      failureReason: data.failureReason,
+    };
+  },
+
+  /**
+   * Build a signed webhook the way the gateway would send it (used by the simulator)
+   * @returns {{ rawBody: string, headers: Object }}
+   */
+  buildWebhook({ orderId, amount, outcome = "success", failureReason }) {
+    const now = new Date();
+    const body = {
+      id: `evt_fake_${crypto.randomBytes(8).toString("hex")}`,
+      type: outcome === "success" ? "payment.captured" : "payment.failed",
+      createdAt: now.toISOString(),
+      data: {
+        orderId,
+        paymentId: `pay_fake_${crypto.randomBytes(8).toString("hex")}`,
+        amount,
+        ...(outcome === "success" ? {} : { failureReason: failureReason || "Payment declined" }),
+      },
+    };
+    const rawBody = JSON.stringify(body);
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const secret = getSecret();
+
+    return {
+      rawBody,
+      headers: {
+        [SIGNATURE_HEADER]: secret ? `t=${timestamp},v1=${hmac(secret, timestamp, rawBody)}` : "",
+      },
+    };
+  },
+};
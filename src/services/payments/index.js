@@ -0,0 +1,11 @@
+// services/payments/index.js
+import { fakeGateway } from "./fakeGateway.js";
+
+// Registered gateways by name (used in webhook URLs: /api/payments/webhook/:gateway)
+const GATEWAYS = {
+  [fakeGateway.name]: fakeGateway,
+};
+
+export const DEFAULT_GATEWAY = process.env.PAYMENT_GATEWAY || fakeGateway.name;
+
+export const getGateway = (name = DEFAULT_GATEWAY) => GATEWAYS[name] || null;
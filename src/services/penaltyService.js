@@ -0,0 +1,254 @@
+// services/penaltyService.js
+import dayjs from "dayjs";
+import Account from "../models/Account.js";
+import Deposit from "../models/Deposit.js";
+import Scheme from "../models/Scheme.js";
+import PenaltyCharge from "../models/PenaltyCharge.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import { postPenaltyCollectionJournal, postPenaltyJournal } from "./ledgerService.js";
+import "../utils/timezone.js"; // dayjs tz + default timezone
+
+const PENALISED_MODES = ["Monthly", "Daily"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Calendar month in the company timezone
+const periodKey = (date) => dayjs(date).tz().format("YYYY-MM");
+
+/**
+ * Late fee for one missed period
+ * @param {Object} rules - Scheme.penaltyRules
+ * @param {number} missedAmount - expected minus paid for the period
+ * @param {number} alreadyCharged - penalties charged on the account so far (for the cap)
+ */
+export const calculatePenalty = (rules, missedAmount, alreadyCharged = 0) => {
+  let amount = rules.type === "Percentage" ? (missedAmount * rules.value) / 100 : rules.value;
+
+  if (rules.cap > 0) {
+    amount = Math.min(amount, Math.max(0, rules.cap - alreadyCharged));
+  }
+  return round2(Math.max(0, amount));
+};
+
+/**
+ * Amount an account is expected to pay per calendar month
+ */
+const expectedPerPeriod = (account) =>
+  account.paymentMode === "Monthly" ? account.installmentAmount : account.monthlyTarget;
+
+/**
+ * Closed periods of an account that are past their grace period.
+ * Periods run from the month after opening (the opening month is usually paid at sign-up)
+ * up to the maturity date.
+ */
+const duePeriods = (account, rules, now) => {
+  const periods = [];
+  let start = dayjs(account.createdAt).tz().startOf("month").add(1, "month");
+
+  for (;;) {
+    const end = start.add(1, "month");
+    if (end.add(rules.graceDays || 0, "day").toDate() > now) break;
+    if (account.maturityDate && start.toDate() >= account.maturityDate) break;
+
+    if (!rules.effectiveFrom || start.toDate() >= rules.effectiveFrom) {
+      periods.push({ period: start.format("YYYY-MM"), start: start.toDate(), end: end.toDate() });
+    }
+    start = end;
+  }
+  return periods;
+};
+
+/**
+ * Post penalty charges for every missed, not yet penalised period of one account.
+ * Missed = net collections in the month below the installment (Monthly) or target (Daily).
+ * @returns {Promise<Object[]>} charges created
+ */
+export const assessAccountPenalties = async (account, scheme, now = new Date()) => {
+  const rules = scheme?.penaltyRules;
+  if (!rules?.enabled || !(rules.value > 0)) return [];
+  if (!PENALISED_MODES.includes(account.paymentMode)) return [];
+
+  const expected = expectedPerPeriod(account);
+  if (!expected || expected <= 0) return [];
+
+  const periods = duePeriods(account, rules, now);
+  if (periods.length === 0) return [];
+
+  const existing = await PenaltyCharge.find({ accountId: account._id }).select("period amount status").lean();
+  const charged = new Set(existing.map((c) => c.period));
+  let alreadyCharged = existing
+    .filter((c) => c.status !== "Waived")
+    .reduce((sum, c) => sum + c.amount, 0);
+
+  const open = periods.filter((p) => !charged.has(p.period));
+  if (open.length === 0) return [];
+
+  // Net collections per month over the open periods
+  const deposits = await Deposit.find({
+    accountId: account._id,
+    date: { $gte: open[0].start, $lt: open[open.length - 1].end },
+  })
+    .select("date amount")
+    .lean();
+  const paidByPeriod = new Map();
+  for (const d of deposits) {
+    const key = periodKey(d.date);
+    paidByPeriod.set(key, (paidByPeriod.get(key) || 0) + d.amount);
+  }
+
+  const created = [];
+  for (const p of open) {
+    const paid = round2(paidByPeriod.get(p.period) || 0);
+    if (paid >= expected) continue;
+
+    const amount = calculatePenalty(rules, expected - paid, alreadyCharged);
+    if (amount <= 0) continue;
+
+    const charge = await withTransaction(async (session) => {
+      const opts = session ? { session } : {};
+      const [doc] = await PenaltyCharge.create(
+        [
+          {
+            companyId: account.companyId,
+            accountId: account._id,
+            userId: account.userId,
+            assignedAgent: account.assignedAgent,
+            schemeType: account.schemeType,
+            period: p.period,
+            periodStart: p.start,
+            periodEnd: p.end,
+            expectedAmount: expected,
+            paidAmount: paid,
+            amount,
+            rule: {
+              type: rules.type,
+              value: rules.value,
+              graceDays: rules.graceDays,
+              cap: rules.cap,
+            },
+          },
+        ],
+        opts
+      );
+      await postPenaltyJournal(doc, { session });
+      await Account.updateOne({ _id: account._id }, { $inc: { penaltyDue: amount } }, opts);
+      return doc;
+    });
+
+    alreadyCharged += amount;
+    created.push(charge);
+  }
+
+  return created;
+};
+
+/**
+ * Evaluate penalties for all Monthly/Daily accounts of schemes with penalty rules enabled
+ * @returns {Promise<{ accountsChecked: number, chargesCreated: number, totalAmount: number }>}
+ */
+export const assessPenalties = async (now = new Date()) => {
+  const schemes = await Scheme.find({ isActive: true, "penaltyRules.enabled": true }).lean();
+  let accountsChecked = 0;
+  let chargesCreated = 0;
+  let totalAmount = 0;
+
+  for (const scheme of schemes) {
+    // Global schemes (companyId null) only apply where the company has no scheme of its own
+    // for that type — the same resolution as getAccountScheme
+    const companyFilter = scheme.companyId
+      ? { companyId: scheme.companyId }
+      : {
+          companyId: {
+            $nin: await Scheme.distinct("companyId", { type: scheme.type, companyId: { $ne: null } }),
+          },
+        };
+    const cursor = Account.find({
+      ...companyFilter,
+      schemeType: scheme.type,
+      paymentMode: { $in: PENALISED_MODES },
+      status: { $nin: ["Closed"] },
+    }).cursor();
+
+    for await (const account of cursor) {
+      accountsChecked++;
+      try {
+        const charges = await assessAccountPenalties(account, scheme, now);
+        chargesCreated += charges.length;
+        totalAmount += charges.reduce((sum, c) => sum + c.amount, 0);
+      } catch (err) {
+        // Duplicate period (11000) means another run got there first
+        if (err.code !== 11000) {
+          console.error(`❌ Penalty assessment failed for ${account.accountNumber}:`, err.message);
+        }
+      }
+    }
+  }
+
+  return { accountsChecked, chargesCreated, totalAmount: round2(totalAmount) };
+};
+
+/**
+ * Waive an open penalty charge (reverses its journal and lowers penaltyDue)
+ */
+export const waivePenaltyCharge = async (charge, { reason, waivedBy }) =>
+  withTransaction(async (session) => {
+    const opts = session ? { session } : {};
+
+    charge.status = "Waived";
+    charge.waivedBy = waivedBy;
+    charge.waiverReason = reason;
+    await charge.save(opts);
+
+    await postPenaltyJournal(charge, { waiver: true, postedBy: waivedBy, session });
+    await Account.updateOne({ _id: charge.accountId }, { $inc: { penaltyDue: -charge.amount } }, opts);
+    return charge;
+  });
+
+/**
+ * Collect open penalty charges in full: each one is marked Paid and its late fee moves from
+ * CLIENT_PENALTY to the cash / bank account that received it. Charges settled meanwhile are skipped.
+ * @param {Object[]} charges - Due PenaltyCharge documents of one account
+ * @param {Object} options - { paymentMethod, collectedBy }
+ * @returns {Promise<Object[]>} charges collected
+ */
+export const collectPenaltyCharges = async (charges, { paymentMethod = "Cash", collectedBy = null }) =>
+  withTransaction(async (session) => {
+    const opts = session ? { session } : {};
+    const paidAt = new Date();
+    const collected = [];
+
+    for (const charge of charges) {
+      const paid = await PenaltyCharge.findOneAndUpdate(
+        { _id: charge._id, status: "Due" },
+        { $set: { status: "Paid", paidAt, paymentMethod, collectedBy } },
+        { new: true, ...opts }
+      );
+      if (!paid) continue;
+
+      await postPenaltyCollectionJournal(paid, { session });
+      collected.push(paid);
+    }
+
+    const total = round2(collected.reduce((sum, c) => sum + c.amount, 0));
+    if (total > 0) {
+      await Account.updateOne({ _id: charges[0].accountId }, { $inc: { penaltyDue: -total } }, opts);
+    }
+    return collected;
+  });
+
+/**
+ * Penalty totals of one account (for statements and chat answers)
+ */
+export const getPenaltySummary = async (accountId) => {
+  const charges = await PenaltyCharge.find({ accountId }).sort({ periodStart: 1 }).lean();
+  const sumBy = (status) =>
+    round2(charges.filter((c) => c.status === status).reduce((sum, c) => sum + c.amount, 0));
+
+  return {
+    due: sumBy("Due"),
+    paid: sumBy("Paid"),
+    waived: sumBy("Waived"),
+    missedPeriods: charges.length,
+    charges,
+  };
+};
@@ -0,0 +1,230 @@
+// services/receiptService.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import PDFDocument from "pdfkit";
+import dayjs from "dayjs";
+
+import Deposit from "../models/Deposit.js";
+import Account from "../models/Account.js";
+import Company from "../models/Company.js";
+import Scheme from "../models/Scheme.js";
+import User from "../models/User.js";
+import { sendEmail } from "./emailService.js";
+import { sendFirebaseNotification } from "../utils/sendFirebaseNotification.js";
+import { generateEmailTemplate } from "../utils/emailTemplate.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOGO_PATH = path.resolve(__dirname, "../public/logo.png");
+
+export const RECEIPT_DELIVERY_CHANNELS = ["email", "push"];
+
+// Standard PDF fonts have no ₹ glyph
+const formatAmount = (value) =>
+  `Rs. ${Number(value || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export const getReceiptUrl = (depositId) =>
+  `${process.env.APP_URL || ""}/api/deposits/${depositId}/receipt`;
+
+const formatAddress = (address = {}) =>
+  [address.street, address.city, address.state, address.postalCode, address.country]
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Collect everything printed on a receipt.
+ * Running balance = sum of the account's entries up to and including this deposit.
+ * @param {Object} deposit - Deposit document
+ */
+export const buildReceiptData = async (deposit) => {
+  const [account, company, collector] = await Promise.all([
+    Account.findById(deposit.accountId).populate("userId", "name email"),
+    Company.findById(deposit.companyId),
+    deposit.collectedBy ? User.findById(deposit.collectedBy).select("name") : null,
+  ]);
+
+  const scheme = account
+    ? await Scheme.findOne({ companyId: deposit.companyId, type: account.schemeType })
+    : null;
+
+  const running = await Deposit.aggregate([
+    {
+      $match: {
+        accountId: deposit.accountId,
+        $or: [
+          { date: { $lt: deposit.date } },
+          { date: deposit.date, _id: { $lte: deposit._id } },
+        ],
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  return {
+    depositId: deposit._id,
+    receiptNumber: deposit.receiptNumber,
+    date: deposit.date,
+    amount: deposit.amount,
+    company: {
+      name: company?.companyName || "",
+      address: formatAddress(company?.address),
+      phone: company?.contactInfo?.phone || "",
+      email: company?.contactInfo?.email || "",
+    },
+    client: {
+      name: account?.clientName || account?.userId?.name || "",
+      email: account?.userId?.email || "",
+    },
+    accountNumber: account?.accountNumber || "",
+    paymentMode: account?.paymentMode || "",
+    paymentMethod: deposit.paymentMethod || "Cash",
+    paymentReference:
+      deposit.paymentDetails?.utr ||
+      deposit.paymentDetails?.chequeNumber ||
+      deposit.paymentDetails?.gatewayPaymentId ||
+      "",
+    chequeStatus: deposit.chequeStatus,
+    scheme: scheme ? `${scheme.name} (${scheme.type})` : account?.schemeType || deposit.schemeType || "",
+    collector: collector?.name || "-",
+    runningBalance: running.length ? running[0].total : 0,
+  };
+};
+
+/**
+ * Render a receipt as a PDFKit document (already ended — pipe it to a stream).
+ * @param {Object} data - result of buildReceiptData
+ * @returns {PDFDocument}
+ */
+export const renderReceiptPdf = (data) => {
+  const doc = new PDFDocument({ margin: 48, size: "A5" });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // 🔹 Header: logo + company
+  if (fs.existsSync(LOGO_PATH)) {
+    doc.image(LOGO_PATH, left, 40, { width: 70 });
+  }
+  doc.font("Helvetica-Bold").fontSize(13).text(data.company.name, left + 80, 42, { width: width - 80, align: "right" });
+  doc.font("Helvetica").fontSize(8);
+  if (data.company.address) doc.text(data.company.address, { width: width - 80, align: "right" });
+  const contact = [data.company.phone, data.company.email].filter(Boolean).join("  |  ");
+  if (contact) doc.text(contact, { width: width - 80, align: "right" });
+
+  // 🔹 Title
+  doc.moveDown(2);
+  doc.font("Helvetica-Bold").fontSize(15).text("PAYMENT RECEIPT", left, doc.y, { width, align: "center" });
+  doc.moveDown(0.3);
+  doc.font("Helvetica").fontSize(9).text(
+    `Receipt No: ${data.receiptNumber}     Date: ${dayjs(data.date).format("DD MMM YYYY, hh:mm A")}`,
+    left,
+    doc.y,
+    { width, align: "center" }
+  );
+  doc.moveDown(1);
+
+  // 🔹 Details table
+  const rows = [
+    ["Client", data.client.name],
+    ["Account Number", data.accountNumber],
+    ["Scheme", data.scheme],
+    ["Payment Mode", data.paymentMode],
+    ["Amount Received", formatAmount(data.amount)],
+    [
+      "Paid By",
+      [data.paymentMethod, data.paymentReference].filter(Boolean).join(" · ") +
+        (data.chequeStatus === "Pending" ? " (subject to clearance)" : ""),
+    ],
+    ["Collected By", data.collector],
+    ["Balance After Payment", formatAmount(data.runningBalance)],
+  ];
+
+  let y = doc.y;
+  rows.forEach(([label, value], i) => {
+    if (i % 2 === 0) {
+      doc.rect(left, y - 4, width, 20).fillOpacity(0.06).fill("#1e3a8a").fillOpacity(1);
+    }
+    doc.fillColor("#374151").font("Helvetica").fontSize(10).text(label, left + 8, y, { width: width / 2 - 8 });
+    doc.fillColor("#111827").font("Helvetica-Bold").text(String(value ?? ""), left + width / 2, y, {
+      width: width / 2 - 8,
+      align: "right",
+    });
+    y += 20;
+  });
+
+  // 🔹 Footer
+  doc.fillColor("#6b7280").font("Helvetica").fontSize(8).text(
+    "This is a computer generated receipt and does not require a signature.",
+    left,
+    y + 24,
+    { width, align: "center" }
+  );
+
+  doc.end();
+  return doc;
+};
+
+const renderReceiptBuffer = (data) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    const doc = renderReceiptPdf(data);
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+/**
+ * Send a deposit receipt to the client (email with PDF attached and/or push with a link).
+ * Never throws for delivery problems; returns per-channel success flags.
+ * @param {Object} deposit - Deposit document
+ * @param {string[]} channels - subset of RECEIPT_DELIVERY_CHANNELS
+ */
+export const deliverReceipt = async (deposit, channels = []) => {
+  const wanted = channels.filter((c) => RECEIPT_DELIVERY_CHANNELS.includes(c));
+  if (wanted.length === 0) return {};
+
+  const data = await buildReceiptData(deposit);
+  const client = await User.findById(deposit.userId).select("name email fcmToken");
+  const receiptUrl = getReceiptUrl(deposit._id);
+  const result = {};
+
+  if (wanted.includes("email")) {
+    if (!client?.email) {
+      result.email = false;
+    } else {
+      const pdf = await renderReceiptBuffer(data);
+      result.email = await sendEmail(
+        client.email,
+        `Payment Receipt ${data.receiptNumber}`,
+        generateEmailTemplate({
+          title: "Payment Received",
+          greeting: `Hello ${client.name || data.client.name},`,
+          message: `We have received your payment for account <strong>${data.accountNumber}</strong>. Your receipt is attached to this email.`,
+          highlight: `${formatAmount(data.amount)} · ${data.receiptNumber}`,
+          footerNote: `Balance after this payment: <strong>${formatAmount(data.runningBalance)}</strong>`,
+        }),
+        [{ filename: `${data.receiptNumber}.pdf`, content: pdf }]
+      );
+    }
+  }
+
+  if (wanted.includes("push")) {
+    if (!client?.fcmToken) {
+      result.push = false;
+    } else {
+      await sendFirebaseNotification(
+        client.fcmToken,
+        "Payment Receipt 🧾",
+        `Receipt ${data.receiptNumber} for ${formatAmount(data.amount)} on account ${data.accountNumber}`,
+        {
+          type: "receipt",
+          depositId: deposit._id.toString(),
+          receiptNumber: String(data.receiptNumber),
+          receiptUrl,
+        }
+      );
+      result.push = true;
+    }
+  }
+
+  return result;
+};
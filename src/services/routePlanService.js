@@ -0,0 +1,244 @@
+// services/routePlanService.js
+import mongoose from "mongoose";
+import AgentVisit from "../models/AgentVisit.js";
+import Deposit from "../models/Deposit.js";
+import Installment from "../models/Installment.js";
+import { COLLECTION_ENTRY_FILTER, findEligibleAccounts } from "./depositService.js";
+import { getClientAddresses } from "./geofenceService.js";
+import { distanceInMeters } from "../utils/geo.js";
+
+const MAX_IMPROVEMENT_PASSES = 20;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Amount a mode asks for per period, used when an account has no schedule yet
+const periodAmount = (account) =>
+  account.paymentMode === "Daily"
+    ? account.dailyDepositAmount || round2((account.monthlyTarget || 0) / 30)
+    : account.paymentMode === "Monthly"
+      ? account.installmentAmount || 0
+      : account.yearlyAmount || account.totalPayableAmount || 0;
+
+const pathLength = (start, stops) =>
+  stops.reduce(
+    (sum, stop, i) => sum + distanceInMeters(i === 0 ? start : stops[i - 1], stop),
+    0
+  );
+
+/**
+ * Order stops from a start point: nearest neighbour, then 2-opt passes that
+ * reverse segments while that shortens the (open) path.
+ * @param {Object} start - { lat, lng }
+ * @param {Object[]} stops - objects with lat / lng
+ * @returns {Object[]} same stops, in visiting order
+ */
+export const orderStops = (start, stops) => {
+  const remaining = [...stops];
+  const route = [];
+  let current = start;
+
+  while (remaining.length) {
+    let best = 0;
+    let bestDistance = Infinity;
+    remaining.forEach((stop, i) => {
+      const d = distanceInMeters(current, stop);
+      if (d < bestDistance) {
+        best = i;
+        bestDistance = d;
+      }
+    });
+    current = remaining.splice(best, 1)[0];
+    route.push(current);
+  }
+
+  const point = (i) => (i < 0 ? start : route[i]);
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        // Reversing route[i..j] swaps edges (i-1 → i, j → j+1) for (i-1 → j, i → j+1)
+        const before =
+          distanceInMeters(point(i - 1), route[i]) +
+          (j + 1 < route.length ? distanceInMeters(route[j], route[j + 1]) : 0);
+        const after =
+          distanceInMeters(point(i - 1), route[j]) +
+          (j + 1 < route.length ? distanceInMeters(route[i], route[j + 1]) : 0);
+        if (after + 1e-6 < before) {
+          route.splice(i, j - i + 1, ...route.slice(i, j + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return route;
+};
+
+/**
+ * Latest visit per client: a logged AgentVisit, or the last collection if that is newer
+ * @returns {Promise<Map>} userId → { outcome, at, note?, amount? }
+ */
+const getLastVisits = async (clientIds, accountIds) => {
+  const [visits, collections] = await Promise.all([
+    AgentVisit.aggregate([
+      { $match: { userId: { $in: clientIds } } },
+      { $sort: { visitedAt: -1 } },
+      { $group: { _id: "$userId", visit: { $first: "$$ROOT" } } },
+    ]),
+    Deposit.aggregate([
+      { $match: { accountId: { $in: accountIds }, ...COLLECTION_ENTRY_FILTER } },
+      { $sort: { date: -1 } },
+      { $group: { _id: "$userId", date: { $first: "$date" }, amount: { $first: "$amount" } } },
+    ]),
+  ]);
+
+  const last = new Map();
+  visits.forEach(({ _id, visit }) =>
+    last.set(_id.toString(), {
+      outcome: visit.outcome,
+      at: visit.visitedAt,
+      note: visit.note,
+      promisedDate: visit.promisedDate,
+    })
+  );
+  collections.forEach(({ _id, date, amount }) => {
+    const known = last.get(_id.toString());
+    if (!known || known.at < date) last.set(_id.toString(), { outcome: "Collected", at: date, amount });
+  });
+  return last;
+};
+
+/**
+ * Due amounts from the installment schedules: the period covering `now` plus anything overdue
+ * @returns {Promise<Map>} accountId → { currentDue, overdue } (accounts without a schedule are absent)
+ */
+const getDueAmounts = async (accountIds, now) => {
+  const rows = await Installment.aggregate([
+    { $match: { accountId: { $in: accountIds }, periodStart: { $lte: now } } },
+    {
+      $group: {
+        _id: "$accountId",
+        currentDue: {
+          $sum: {
+            $cond: [
+              { $gte: ["$periodEnd", now] },
+              { $max: [0, { $subtract: ["$expectedAmount", "$paidAmount"] }] },
+              0,
+            ],
+          },
+        },
+        overdue: {
+          $sum: {
+            $cond: [
+              { $in: ["$status", ["Missed", "PartiallyPaid"]] },
+              { $cond: [{ $lt: ["$dueDate", now] }, { $subtract: ["$expectedAmount", "$paidAmount"] }, 0] },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), { currentDue: round2(r.currentDue), overdue: round2(r.overdue) }]));
+};
+
+/**
+ * Today's visiting plan for an agent: accounts still due (same rules as the bulk
+ * collection screen), grouped per client address and ordered from the start point.
+ * Clients without an address can't be placed and are listed separately.
+ * @param {Object} params - { companyId, agentId, start?: { lat, lng }, now? }
+ * @returns {Promise<Object>} { start, stops, unplaced, totalDue, totalDistanceMeters }
+ */
+export const buildRoutePlan = async ({ companyId, agentId, start = null, now = new Date() }) => {
+  const eligible = await findEligibleAccounts(
+    {
+      companyId: new mongoose.Types.ObjectId(String(companyId)),
+      assignedAgent: new mongoose.Types.ObjectId(String(agentId)),
+      $and: [{ status: { $ne: "Closed" } }],
+    },
+    { now }
+  );
+  const accounts = eligible.accounts.filter((a) => a.userId);
+
+  const clientIds = [...new Map(accounts.map((a) => [a.userId._id.toString(), a.userId._id])).values()];
+  const accountIds = accounts.map((a) => a._id);
+  const [addresses, lastVisits, dues] = await Promise.all([
+    getClientAddresses(clientIds),
+    getLastVisits(clientIds, accountIds),
+    getDueAmounts(accountIds, now),
+  ]);
+
+  // 🔹 One stop per client
+  const byClient = new Map();
+  for (const account of accounts) {
+    const clientId = account.userId._id.toString();
+    if (!byClient.has(clientId)) {
+      const address = addresses.get(clientId);
+      byClient.set(clientId, {
+        clientId: account.userId._id,
+        clientName: account.clientName || account.userId.name,
+        address: address
+          ? {
+              addressId: address._id,
+              street: address.street,
+              landmark: address.landmark,
+              city: address.city,
+              pinCode: address.pinCode,
+              phone: address.phone,
+            }
+          : null,
+        lat: address?.lat,
+        lng: address?.lng,
+        accounts: [],
+        amountDue: 0,
+        overdueAmount: 0,
+        lastVisit: lastVisits.get(clientId) || null,
+      });
+    }
+
+    const stop = byClient.get(clientId);
+    const due = dues.get(account._id.toString());
+    const amountDue = due ? due.currentDue : periodAmount(account);
+    stop.accounts.push({
+      accountId: account._id,
+      accountNumber: account.accountNumber,
+      paymentMode: account.paymentMode,
+      schemeType: account.schemeType,
+      amountDue,
+      overdueAmount: due?.overdue || 0,
+    });
+    stop.amountDue = round2(stop.amountDue + amountDue);
+    stop.overdueAmount = round2(stop.overdueAmount + (due?.overdue || 0));
+  }
+
+  const placed = [...byClient.values()].filter((s) => s.lat != null && s.lng != null);
+  const unplaced = [...byClient.values()].filter((s) => s.lat == null || s.lng == null);
+
+  // Without a start point, begin at the stop farthest from the centre (one end of the area)
+  let origin = start;
+  if (!origin && placed.length) {
+    const centre = {
+      lat: placed.reduce((s, p) => s + p.lat, 0) / placed.length,
+      lng: placed.reduce((s, p) => s + p.lng, 0) / placed.length,
+    };
+    const far = placed.reduce((a, b) => (distanceInMeters(centre, b) > distanceInMeters(centre, a) ? b : a));
+    origin = { lat: far.lat, lng: far.lng };
+  }
+
+  const ordered = origin ? orderStops(origin, placed) : [];
+  let previous = origin;
+  const stops = ordered.map((stop, i) => {
+    const legMeters = Math.round(distanceInMeters(previous, stop));
+    previous = stop;
+    return { sequence: i + 1, legDistanceMeters: legMeters, ...stop };
+  });
+
+  return {
+    start: origin,
+    stops,
+    unplaced,
+    totalDue: round2([...byClient.values()].reduce((s, c) => s + c.amountDue, 0)),
+    totalDistanceMeters: origin ? Math.round(pathLength(origin, ordered)) : 0,
+  };
+};
@@ -0,0 +1,406 @@
+// services/statementService.js
+import PDFDocument from "pdfkit";
+import dayjs from "dayjs";
+import { Parser as Json2CsvParser } from "json2csv";
+
+import JournalEntry from "../models/JournalEntry.js";
+import Deposit from "../models/Deposit.js";
+import Company from "../models/Company.js";
+import User from "../models/User.js";
+import { getAccountScheme, getAccountStartDate } from "../utils/accountHelper.js";
+import { getAccountInterest } from "./interestService.js";
+import "../utils/timezone.js";
+
+export const STATEMENT_FORMATS = ["pdf", "csv"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Standard PDF fonts have no ₹ glyph
+const formatAmount = (value) =>
+  `Rs. ${Number(value || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? dayjs(date).tz().format("DD MMM YYYY") : "-");
+
+/**
+ * Statement period from ?from=&to= (YYYY-MM-DD, whole days in the default timezone).
+ * Defaults: account start → today.
+ * @returns {Object} { from, to } or null when a date is invalid / from is after to
+ */
+export const parseStatementPeriod = (account, { from, to } = {}) => {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && dayjs(String(value)).isValid();
+  if ((from && !isDay(from)) || (to && !isDay(to))) return null;
+
+  const start = from ? dayjs.tz(String(from)) : dayjs(getAccountStartDate(account)).tz();
+  const end = to ? dayjs.tz(String(to)) : dayjs().tz();
+  if (start.isAfter(end)) return null;
+
+  return { from: start.startOf("day").toDate(), to: end.endOf("day").toDate() };
+};
+
+// e.g. statement_SB-0042_2024-04-01_2025-03-31
+export const statementFileName = (account, { from, to }) =>
+  `statement_${account.accountNumber}_${dayjs(from).tz().format("YYYY-MM-DD")}_${dayjs(to).tz().format("YYYY-MM-DD")}`.replace(
+    /[^a-zA-Z0-9_-]/g,
+    "_"
+  );
+
+// Net movement before the period + every leg inside it, for one ledger account of the account
+const ledgerMovements = async (ledgerAccount, refId, { from, to }) => {
+  const legMatch = { "legs.ledgerAccount": ledgerAccount, "legs.refId": refId };
+  const [result] = await JournalEntry.aggregate([
+    { $match: { ...legMatch, date: { $lte: to } } },
+    { $unwind: "$legs" },
+    { $match: legMatch },
+    {
+      $facet: {
+        opening: [
+          { $match: { date: { $lt: from } } },
+          { $group: { _id: null, total: { $sum: { $subtract: ["$legs.credit", "$legs.debit"] } } } },
+        ],
+        entries: [
+          { $match: { date: { $gte: from } } },
+          { $sort: { date: 1, createdAt: 1 } },
+          {
+            $project: {
+              date: 1,
+              sourceType: 1,
+              sourceId: 1,
+              description: 1,
+              credit: "$legs.credit",
+              debit: "$legs.debit",
+            },
+          },
+        ],
+      },
+    },
+  ]);
+  return result;
+};
+
+/**
+ * Everything printed on a statement. Movements come from the account's CLIENT_ACCOUNT
+ * ledger legs, so reversals, adjustments and closure entries appear alongside deposits
+ * and cheques only count once cleared. Late fees come from the CLIENT_PENALTY legs
+ * (charges, waivers, collections) and are listed separately with the penalty still due.
+ * @param {Object} account - Account document
+ * @param {Object} period - result of parseStatementPeriod
+ */
+export const buildStatementData = async (account, { from, to }) => {
+  const [ledger, penaltyLedger, company, client, scheme, interest, pendingCheques] = await Promise.all([
+    ledgerMovements("CLIENT_ACCOUNT", account._id, { from, to }),
+    ledgerMovements("CLIENT_PENALTY", account._id, { from, to }),
+    Company.findById(account.companyId).select("companyName address contactInfo"),
+    User.findById(account.userId).select("name email"),
+    getAccountScheme(account),
+    getAccountInterest(account),
+    Deposit.find({ accountId: account._id, paymentMethod: "Cheque", chequeStatus: "Pending" })
+      .select("date amount receiptNumber paymentDetails.chequeNumber")
+      .sort({ date: 1 })
+      .lean(),
+  ]);
+
+  // Receipt / payment details of the deposit rows
+  const depositIds = ledger.entries.filter((e) => e.sourceType === "Deposit").map((e) => e.sourceId);
+  const deposits = await Deposit.find({ _id: { $in: depositIds } })
+    .select("receiptNumber paymentMethod paymentDetails collectedBy")
+    .populate("collectedBy", "name")
+    .lean();
+  const depositById = new Map(deposits.map((d) => [d._id.toString(), d]));
+
+  const openingBalance = round2(ledger.opening[0]?.total || 0);
+  let balance = openingBalance;
+  const entries = ledger.entries.map((e) => {
+    const deposit = e.sourceType === "Deposit" ? depositById.get(String(e.sourceId)) : null;
+    balance = round2(balance + e.credit - e.debit);
+    return {
+      date: e.date,
+      description: e.description || e.sourceType,
+      reference:
+        deposit?.receiptNumber ||
+        deposit?.paymentDetails?.utr ||
+        deposit?.paymentDetails?.chequeNumber ||
+        "",
+      paymentMethod: deposit?.paymentMethod || "",
+      collectedBy: deposit?.collectedBy?.name || "",
+      credit: round2(e.credit),
+      debit: round2(e.debit),
+      balance,
+    };
+  });
+
+  // CLIENT_PENALTY is a receivable: debits are charges, credits are waivers / collections
+  const penaltyOpening = round2(-(penaltyLedger.opening[0]?.total || 0));
+  let penaltyDue = penaltyOpening;
+  const penaltyEntries = penaltyLedger.entries.map((e) => {
+    penaltyDue = round2(penaltyDue + e.debit - e.credit);
+    return {
+      date: e.date,
+      description: e.description || e.sourceType,
+      charged: round2(e.debit),
+      cleared: round2(e.credit),
+      due: penaltyDue,
+    };
+  });
+
+  return {
+    generatedAt: new Date(),
+    period: { from, to },
+    company: {
+      name: company?.companyName || "",
+      phone: company?.contactInfo?.phone || "",
+      email: company?.contactInfo?.email || "",
+    },
+    client: { name: account.clientName || client?.name || "", email: client?.email || "" },
+    account: {
+      accountId: account._id,
+      accountNumber: account.accountNumber,
+      status: account.status,
+      paymentMode: account.paymentMode,
+      schemeType: account.schemeType,
+      schemeName: scheme?.name || account.schemeType,
+      startDate: getAccountStartDate(account),
+      durationMonths: account.durationMonths,
+      maturityDate: account.maturityDate,
+      totalPayableAmount: account.totalPayableAmount,
+      annualRate: interest.annualRate,
+      accruedInterest: interest.accruedInterest,
+      projectedMaturityValue: interest.projectedMaturityValue,
+    },
+    openingBalance,
+    entries,
+    totalCredits: round2(entries.reduce((s, e) => s + e.credit, 0)),
+    totalDebits: round2(entries.reduce((s, e) => s + e.debit, 0)),
+    closingBalance: balance,
+    penalties: {
+      openingDue: penaltyOpening,
+      entries: penaltyEntries,
+      totalCharged: round2(penaltyEntries.reduce((s, e) => s + e.charged, 0)),
+      totalCleared: round2(penaltyEntries.reduce((s, e) => s + e.cleared, 0)),
+    },
+    penaltyDue,
+    pendingCheques: pendingCheques.map((d) => ({
+      date: d.date,
+      amount: d.amount,
+      receiptNumber: d.receiptNumber,
+      chequeNumber: d.paymentDetails?.chequeNumber,
+    })),
+  };
+};
+
+/**
+ * Statement as CSV: account header lines, one row per movement with its running balance,
+ * then the late fee movements with the penalty still due
+ */
+export const renderStatementCsv = (data) => {
+  const { account, period } = data;
+  const header = [
+    ["Account Statement", account.accountNumber],
+    ["Client", data.client.name],
+    ["Scheme", `${account.schemeName} (${account.paymentMode})`],
+    ["Maturity Date", formatDate(account.maturityDate)],
+    ["Projected Maturity Value", account.projectedMaturityValue],
+    ["Period", `${formatDate(period.from)} - ${formatDate(period.to)}`],
+    ["Penalty Due", data.penaltyDue],
+  ]
+    .map((row) => row.map((v) => `"${String(v ?? "").replace(/"/g, '""')}"`).join(","))
+    .join("\n");
+
+  const rows = [
+    { Date: formatDate(period.from), Description: "Opening Balance", Balance: data.openingBalance },
+    ...data.entries.map((e) => ({
+      Date: formatDate(e.date),
+      Description: e.description,
+      Reference: e.reference,
+      Method: e.paymentMethod,
+      CollectedBy: e.collectedBy,
+      Credit: e.credit || undefined,
+      Debit: e.debit || undefined,
+      Balance: e.balance,
+    })),
+    {
+      Date: formatDate(period.to),
+      Description: "Closing Balance",
+      Credit: data.totalCredits,
+      Debit: data.totalDebits,
+      Balance: data.closingBalance,
+    },
+  ];
+  const parser = new Json2CsvParser({
+    fields: ["Date", "Description", "Reference", "Method", "CollectedBy", "Credit", "Debit", "Balance"],
+  });
+
+  const { penalties } = data;
+  const penaltyRows = [
+    { Date: formatDate(period.from), Description: "Opening Penalty Due", Due: penalties.openingDue },
+    ...penalties.entries.map((e) => ({
+      Date: formatDate(e.date),
+      Description: e.description,
+      Charged: e.charged || undefined,
+      Cleared: e.cleared || undefined,
+      Due: e.due,
+    })),
+    {
+      Date: formatDate(period.to),
+      Description: "Penalty Due",
+      Charged: penalties.totalCharged,
+      Cleared: penalties.totalCleared,
+      Due: data.penaltyDue,
+    },
+  ];
+  const penaltyParser = new Json2CsvParser({ fields: ["Date", "Description", "Charged", "Cleared", "Due"] });
+
+  return `${header}\n\n${parser.parse(rows)}\n\n"Late Fees"\n${penaltyParser.parse(penaltyRows)}\n`;
+};
+
+/**
+ * Render a statement as a PDFKit document (already ended — pipe it to a stream)
+ * @param {Object} data - result of buildStatementData
+ * @returns {PDFDocument}
+ */
+export const renderStatementPdf = (data) => {
+  const doc = new PDFDocument({ margin: 40, size: "A4" });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const { account } = data;
+
+  // 🔹 Header
+  doc.font("Helvetica-Bold").fontSize(14).text(data.company.name, left, 40, { width, align: "right" });
+  doc.font("Helvetica").fontSize(8);
+  const contact = [data.company.phone, data.company.email].filter(Boolean).join("  |  ");
+  if (contact) doc.text(contact, { width, align: "right" });
+
+  doc.moveDown(1.5);
+  doc.font("Helvetica-Bold").fontSize(15).text("ACCOUNT STATEMENT", left, doc.y, { width, align: "center" });
+  doc.font("Helvetica").fontSize(9).text(
+    `${formatDate(data.period.from)} to ${formatDate(data.period.to)}`,
+    left,
+    doc.y,
+    { width, align: "center" }
+  );
+  doc.moveDown(1);
+
+  // 🔹 Account / scheme details (two columns)
+  const details = [
+    ["Client", data.client.name],
+    ["Account Number", account.accountNumber],
+    ["Scheme", `${account.schemeName} (${account.paymentMode})`],
+    ["Status", account.status],
+    ["Opened On", formatDate(account.startDate)],
+    ["Maturity Date", formatDate(account.maturityDate)],
+    ["Interest Rate", `${account.annualRate}% p.a.`],
+    ["Total Payable", formatAmount(account.totalPayableAmount)],
+    ["Interest Accrued", formatAmount(account.accruedInterest)],
+    ["Projected Maturity Value", formatAmount(account.projectedMaturityValue)],
+    ["Penalty Due", formatAmount(data.penaltyDue)],
+  ];
+  let y = doc.y;
+  details.forEach(([label, value], i) => {
+    const x = left + (i % 2) * (width / 2);
+    doc.fillColor("#6b7280").font("Helvetica").fontSize(8).text(label, x, y);
+    doc.fillColor("#111827").font("Helvetica-Bold").fontSize(9).text(String(value ?? ""), x + 110, y, { width: width / 2 - 115 });
+    if (i % 2 === 1) y += 16;
+  });
+  y += details.length % 2 === 1 ? 30 : 14;
+
+  // 🔹 Movements table
+  const columns = [
+    { label: "Date", width: 70 },
+    { label: "Description", width: 130 },
+    { label: "Reference", width: 85 },
+    { label: "Method", width: 55 },
+    { label: "Credit", width: 60, align: "right" },
+    { label: "Debit", width: 55, align: "right" },
+    { label: "Balance", width: width - 455, align: "right" },
+  ];
+  const drawRow = (cells, { bold = false, shade = false } = {}) => {
+    if (y > doc.page.height - doc.page.margins.bottom - 30) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    if (shade) doc.rect(left, y - 3, width, 16).fillOpacity(0.06).fill("#1e3a8a").fillOpacity(1);
+    let x = left;
+    doc.fillColor("#111827").font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ""), x + 2, y, { width: columns[i].width - 4, align: columns[i].align || "left", lineBreak: false });
+      x += columns[i].width;
+    });
+    y += 16;
+  };
+
+  drawRow(columns.map((c) => c.label), { bold: true, shade: true });
+  drawRow([formatDate(data.period.from), "Opening Balance", "", "", "", "", formatAmount(data.openingBalance)], { bold: true });
+  data.entries.forEach((e, i) =>
+    drawRow(
+      [
+        formatDate(e.date),
+        e.description,
+        e.reference,
+        e.paymentMethod,
+        e.credit ? formatAmount(e.credit) : "",
+        e.debit ? formatAmount(e.debit) : "",
+        formatAmount(e.balance),
+      ],
+      { shade: i % 2 === 1 }
+    )
+  );
+  drawRow(
+    [
+      formatDate(data.period.to),
+      "Closing Balance",
+      "",
+      "",
+      formatAmount(data.totalCredits),
+      formatAmount(data.totalDebits),
+      formatAmount(data.closingBalance),
+    ],
+    { bold: true, shade: true }
+  );
+
+  // 🔹 Late fees (only when the account has any)
+  const { penalties } = data;
+  if (penalties.entries.length || penalties.openingDue || data.penaltyDue) {
+    y += 14;
+    doc.fillColor("#111827").font("Helvetica-Bold").fontSize(10).text("Late Fees", left, y);
+    y += 16;
+    drawRow(["Date", "Description", "", "", "Charged", "Cleared", "Due"], { bold: true, shade: true });
+    drawRow([formatDate(data.period.from), "Opening Penalty Due", "", "", "", "", formatAmount(penalties.openingDue)], { bold: true });
+    penalties.entries.forEach((e, i) =>
+      drawRow(
+        [
+          formatDate(e.date),
+          e.description,
+          "",
+          "",
+          e.charged ? formatAmount(e.charged) : "",
+          e.cleared ? formatAmount(e.cleared) : "",
+          formatAmount(e.due),
+        ],
+        { shade: i % 2 === 1 }
+      )
+    );
+    drawRow(
+      [
+        formatDate(data.period.to),
+        "Penalty Due",
+        "",
+        "",
+        formatAmount(penalties.totalCharged),
+        formatAmount(penalties.totalCleared),
+        formatAmount(data.penaltyDue),
+      ],
+      { bold: true, shade: true }
+    );
+  }
+
+  // 🔹 Footer
+  const notes = [];
+  if (data.pendingCheques.length) {
+    const total = data.pendingCheques.reduce((s, c) => s + c.amount, 0);
+    notes.push(`${data.pendingCheques.length} cheque(s) totalling ${formatAmount(total)} are awaiting clearance and are not included above.`);
+  }
+  notes.push("This is a computer generated statement and does not require a signature.");
+  doc.fillColor("#6b7280").font("Helvetica").fontSize(8).text(notes.join("\n"), left, y + 14, { width, align: "center" });
+
+  doc.end();
+  return doc;
+};
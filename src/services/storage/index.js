@@ -0,0 +1,13 @@
+// services/storage/index.js
+import { localStorage } from "./localStorage.js";
+import { s3Storage } from "./s3Storage.js";
+
+// Registered backends by name (stored on each document so old files stay readable after a switch)
+const BACKENDS = {
+  [localStorage.name]: localStorage,
+  [s3Storage.name]: s3Storage,
+};
+
+export const DEFAULT_STORAGE = process.env.DOCUMENT_STORAGE || localStorage.name;
+
+export const getStorage = (name = DEFAULT_STORAGE) => BACKENDS[name] || null;
@@ -0,0 +1,36 @@
+// services/storage/localStorage.js
+import fs from "fs";
+import path from "path";
+
+const getRoot = () => path.resolve(process.env.DOCUMENT_STORAGE_DIR || "./uploads/documents");
+
+// Keys are generated by the app ("<companyId>/<userId>/<uuid>.pdf") — never let one escape the root
+const resolveKey = (key) => {
+  const root = getRoot();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return file;
+};
+
+/**
+ * Files on the server's disk (DOCUMENT_STORAGE_DIR, default ./uploads/documents)
+ */
+export const localStorage = {
+  name: "local",
+
+  async put(key, buffer) {
+    const file = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer, { flag: "wx" });
+  },
+
+  async get(key) {
+    const file = resolveKey(key);
+    await fs.promises.access(file);
+    return fs.createReadStream(file);
+  },
+
+  async remove(key) {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  },
+};
@@ -0,0 +1,54 @@
+// services/storage/s3Storage.js
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+
+let client = null;
+
+// Same credentials as the backups; S3_ENDPOINT points at any S3-compatible service (MinIO, R2, Spaces …)
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.AWS_REGION || "ap-south-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials:
+        process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+          ? {
+              accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+              secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            }
+          : undefined,
+    });
+  }
+  return client;
+};
+
+const getBucket = () => process.env.DOCUMENT_S3_BUCKET || process.env.S3_BUCKET;
+const getPrefix = () => process.env.DOCUMENT_S3_PREFIX || "documents/";
+
+/**
+ * Objects in an S3 bucket (DOCUMENT_S3_BUCKET, else the backup bucket S3_BUCKET)
+ */
+export const s3Storage = {
+  name: "s3",
+
+  async put(key, buffer, { contentType } = {}) {
+    await getClient().send(
+      new PutObjectCommand({
+        Bucket: getBucket(),
+        Key: `${getPrefix()}${key}`,
+        Body: buffer,
+        ContentType: contentType,
+        ServerSideEncryption: "AES256",
+      })
+    );
+  },
+
+  async get(key) {
+    const { Body } = await getClient().send(new GetObjectCommand({ Bucket: getBucket(), Key: `${getPrefix()}${key}` }));
+    return Body;
+  },
+
+  async remove(key) {
+    await getClient().send(new DeleteObjectCommand({ Bucket: getBucket(), Key: `${getPrefix()}${key}` }));
+  },
+};
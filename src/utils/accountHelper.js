@@ -1,41 +1,20 @@
 // utils/accountHelper.js
-import { Counter } from "../models/Counter.js";
+import Scheme from "../models/Scheme.js";
 
-export const checkAndUpdateAccountStatus = async (account) => {
-    if (!account) return;
-
-    const today = new Date();
-    if (account.status === "Active" && today >= account.maturityDate) {
-        account.status = "Matured";
-        await account.save();
-    }
-};
-
-export const generateAccountNumber = async (paymentMode) => {
-  let prefix;
-  switch (paymentMode) {
-    case "Yearly":
-      prefix = "YR";
-      break;
-    case "Monthly":
-      prefix = "MN";
-      break;
-    case "Daily":
-      prefix = "DL";
-      break;
-    default:
-      throw new Error("Invalid payment mode");
-  }
-
-  const counter = await Counter.findOneAndUpdate(
-    { key: paymentMode },
-    { $inc: { seq: 1 } },
-    { new: true, upsert: true }
-  );
-
-  // 👇 Ensure number always has at least 6 digits
-  const paddedNumber = String(counter.seq).padStart(6, "0");
-
-  return `${prefix}${paddedNumber}`;
+/**
+ * Day the account's term started (maturity date minus its duration)
+ */
+export const getAccountStartDate = (account) => {
+  const start = new Date(account.maturityDate);
+  start.setMonth(start.getMonth() - account.durationMonths);
+  start.setHours(0, 0, 0, 0);
+  return start;
 };
 
+/**
+ * Scheme of an account: the company's own scheme of that type, else the global one
+ */
+export const getAccountScheme = async (account, session = null) =>
+  Scheme.findOne({ type: account.schemeType, companyId: { $in: [account.companyId, null] } })
+    .sort({ companyId: -1 })
+    .session(session);
@@ -0,0 +1,59 @@
+import crypto from "crypto";
+
+// Encrypted values look like "enc:v1:<base64 of iv | auth tag | ciphertext>" (AES-256-GCM)
+const PREFIX = "enc:v1:";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// FIELD_ENCRYPTION_KEY: 32 bytes as 64 hex characters or base64
+const parseKey = (value, name) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (key.length !== 32) throw new Error(`${name} must be 32 bytes (64 hex characters or base64)`);
+  return key;
+};
+
+const getEncryptionKey = () => {
+  if (!process.env.FIELD_ENCRYPTION_KEY) throw new Error("FIELD_ENCRYPTION_KEY is not configured");
+  return parseKey(process.env.FIELD_ENCRYPTION_KEY, "FIELD_ENCRYPTION_KEY");
+};
+
+// Separate key for blind indexes (FIELD_INDEX_KEY, else derived from the encryption key)
+const getIndexKey = () =>
+  process.env.FIELD_INDEX_KEY
+    ? parseKey(process.env.FIELD_INDEX_KEY, "FIELD_INDEX_KEY")
+    : Buffer.from(crypto.hkdfSync("sha256", getEncryptionKey(), Buffer.alloc(0), "blind-index", 32));
+
+export const isEncrypted = (value) => typeof value === "string" && value.startsWith(PREFIX);
+
+/**
+ * Encrypt a field value (already encrypted values and empty values are returned unchanged)
+ */
+export const encryptField = (value) => {
+  if (value == null || value === "" || isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+  return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+};
+
+/**
+ * Decrypt a field value; plaintext written before encryption was enabled is returned as is
+ */
+export const decryptField = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const raw = Buffer.from(value.slice(PREFIX.length), "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), raw.subarray(0, IV_BYTES));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Deterministic keyed hash of a value for exact-match lookups on an encrypted field.
+ * The field name is mixed in so equal values of different fields don't share an index.
+ */
+export const blindIndex = (field, value) =>
+  value == null || value === ""
+    ? undefined
+    : crypto.createHmac("sha256", getIndexKey()).update(`${field}:${value}`).digest("hex");
@@ -0,0 +1,20 @@
+// utils/geo.js
+const EARTH_RADIUS_METERS = 6371000;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export const isValidCoordinate = (lat, lng) =>
+  typeof lat === "number" && typeof lng === "number" &&
+  Number.isFinite(lat) && Number.isFinite(lng) &&
+  lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+/**
+ * Great-circle distance between two { lat, lng } points (haversine), in meters
+ */
+export const distanceInMeters = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
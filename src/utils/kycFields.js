@@ -0,0 +1,104 @@
+import { decryptField, encryptField, blindIndex, isEncrypted } from "./fieldEncryption.js";
+import { logAudit } from "./auditLogger.js";
+
+export const VIEW_KYC_PERMISSION = "VIEW_KYC";
+
+// Encrypted identity numbers on Account: format, normalisation, mask and blind index field
+export const KYC_FIELDS = {
+  aadharCardNumber: {
+    index: "aadharIndex",
+    normalize: (v) => String(v).replace(/[\s-]/g, ""),
+    pattern: /^[0-9]{12}$/,
+    message: "Aadhar card number must be exactly 12 digits",
+    mask: (v) => `XXXX-XXXX-${v.slice(-4)}`,
+  },
+  panNumber: {
+    index: "panIndex",
+    normalize: (v) => String(v).trim().toUpperCase(),
+    pattern: /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/,
+    message: "Invalid PAN number format",
+    mask: (v) => `XXXXXX${v.slice(-4)}`,
+  },
+};
+
+/**
+ * Blind index of a search term for one KYC field (same normalisation as on save)
+ */
+export const kycSearchIndex = (field, value) => blindIndex(field, KYC_FIELDS[field].normalize(value));
+
+/**
+ * Validate, index and encrypt modified KYC fields of an Account document (pre-validate hook).
+ * @returns {Object|null} { field, message } of the first invalid field
+ */
+export const encryptKycFields = (doc) => {
+  for (const [field, rule] of Object.entries(KYC_FIELDS)) {
+    const value = doc.get(field);
+    if (!doc.isModified(field) || !value || isEncrypted(value)) continue;
+
+    const normalized = rule.normalize(value);
+    if (!rule.pattern.test(normalized)) return { field, message: rule.message };
+
+    doc.set(rule.index, blindIndex(field, normalized));
+    doc.set(field, encryptField(normalized));
+  }
+  return null;
+};
+
+const readField = (value) => {
+  try {
+    return decryptField(value);
+  } catch {
+    return null; // wrong key / corrupted value — never leak the ciphertext
+  }
+};
+
+/**
+ * Replace KYC fields of a plain account object with their masked form and drop the blind indexes
+ */
+export const maskKycFields = (account) => {
+  for (const [field, rule] of Object.entries(KYC_FIELDS)) {
+    delete account[rule.index];
+    if (!account[field]) continue;
+    const plain = readField(account[field]);
+    account[field] = plain ? rule.mask(plain) : null;
+  }
+  return account;
+};
+
+export const canViewKyc = (user) => Boolean(user?.permissions?.includes(VIEW_KYC_PERMISSION));
+
+/**
+ * Accounts as sent to the caller: KYC numbers masked, or in full for callers with the
+ * VIEW_KYC permission — every such unmasked read is written to the audit log.
+ * @param {Object|Object[]} accounts - Account documents
+ * @param {Object} reqUser - req.user
+ * @returns {Promise<Object|Object[]>} plain objects
+ */
+export const presentAccounts = async (accounts, reqUser) => {
+  const list = Array.isArray(accounts) ? accounts : [accounts];
+  const plain = list.map((a) => (typeof a.toJSON === "function" ? a.toJSON() : maskKycFields({ ...a })));
+
+  if (canViewKyc(reqUser)) {
+    const revealed = [];
+    list.forEach((account, i) => {
+      for (const field of Object.keys(KYC_FIELDS)) {
+        const value = account.get ? account.get(field) : account[field];
+        if (!value) continue;
+        plain[i][field] = readField(value);
+        if (revealed[revealed.length - 1] !== account._id) revealed.push(account._id);
+      }
+    });
+
+    if (revealed.length) {
+      await logAudit({
+        action: "VIEW_KYC_FIELDS",
+        entityType: "Account",
+        entityId: revealed.length === 1 ? revealed[0] : null,
+        details: { accountIds: revealed, fields: Object.keys(KYC_FIELDS) },
+        reqUser,
+      });
+    }
+  }
+
+  return Array.isArray(accounts) ? plain : plain[0];
+};
@@ -0,0 +1,29 @@
+// utils/receiptHelper.js
+import { Counter } from "../models/Counter.js";
+
+const RECEIPT_PREFIX = "RC";
+
+const formatReceiptNumber = (seq) => `${RECEIPT_PREFIX}${String(seq).padStart(6, "0")}`;
+
+/**
+ * Reserve `count` consecutive receipt numbers from the company's own sequence.
+ * @param {string|ObjectId} companyId
+ * @param {number} count
+ * @param {ClientSession|null} session
+ * @returns {Promise<string[]>} e.g. ["RC000041", "RC000042"]
+ */
+export const generateReceiptNumbers = async (companyId, count = 1, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { key: `receipt:${companyId}` },
+    { $inc: { seq: count } },
+    { new: true, upsert: true, ...(session ? { session } : {}) }
+  );
+
+  const first = counter.seq - count + 1;
+  return Array.from({ length: count }, (_, i) => formatReceiptNumber(first + i));
+};
+
+export const generateReceiptNumber = async (companyId, session = null) => {
+  const [receiptNumber] = await generateReceiptNumbers(companyId, 1, session);
+  return receiptNumber;
+};
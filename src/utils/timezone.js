@@ -25,3 +25,9 @@ export const getWeekRange = (offset = 0, partial = false) => {
     : base.endOf("week");
   return { start: start.toDate(), end: end.toDate() };
 };
+
+// Day boundaries (default timezone) for the given date
+export const getDayRange = (date = new Date()) => {
+  const day = dayjs(date).tz();
+  return { start: day.startOf("day").toDate(), end: day.endOf("day").toDate() };
+};